@@ -11,7 +11,8 @@
 const tabStates = new Map();
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  const tabId = sender.tab?.id || chrome.devtools?.inspectedWindow?.tabId;
+  // The DevTools panel has no sender tab, so it names the inspected tab
+  const tabId = message.tabId ?? sender.tab?.id;
   
   switch(message.type) {
     case 'PANEL_OPENED':
@@ -31,17 +32,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       break;
       
-    case 'EXECUTION_START':
-      // Active execution - show RUN badge
+    case 'EXECUTION_START': {
+      // Active execution - show RUN badge. Executions are counted so an
+      // awaited snippet keeps RUN lit while its polling evals come and go.
+      const state = tabStates.get(tabId) || { panelOpen: true };
+      state.running = (state.running || 0) + 1;
+      tabStates.set(tabId, state);
+      
       chrome.action.setBadgeText({ text: 'RUN', tabId });
       chrome.action.setBadgeBackgroundColor({ color: '#ff0000', tabId });
       break;
+    }
+      
+    case 'EXECUTION_END': {
+      const state = tabStates.get(tabId);
+      if (state) {
+        state.running = Math.max(0, (state.running || 0) - 1);
+        if (state.running > 0) break;
+      }
       
-    case 'EXECUTION_END':
       // Execution complete - return to ON state
       chrome.action.setBadgeText({ text: 'ON', tabId });
       chrome.action.setBadgeBackgroundColor({ color: '#00ff00', tabId });
       break;
+    }
   }
 });
 
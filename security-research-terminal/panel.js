@@ -11,717 +11,9220 @@
  * 1. Explicit user action required for all operations
  * 2. No background injection or hidden behavior
  * 3. No data exfiltration
- * 4. No persistence across sessions
- * 5. Clear visual indicators of all active capabilities
+ * 4. No persistence across sessions beyond what the user saves: command
+ *    history (only after an explicit `set history on`), scope rules,
+ *    findings, postMessage payloads, macros and saved snippets
+ * 5. Nothing runs against a page or target outside the saved scope
+ * 6. Clear visual indicators of all active capabilities
  */
 
+/**
+ * Commands whose arguments are tokenized shell-style. Anything else is
+ * treated as a JavaScript snippet and passed through untouched.
+ */
+const BUILTIN_COMMANDS = new Set([
+  'help', 'clear', 'scrape', 'dom', 'set', 'cancel', 'history', 'transcript', 'scan',
+  'sourcemap', 'audit', 'csp', 'net', 'trace', 'postmessage', 'scope', 'finding',
+  'report', 'macro', 'snippets'
+]);
+
+/**
+ * Built-in commands that change the inspected page, which a macro asks
+ * about before running: a test of each command's arguments and options.
+ * Snippet steps always ask, since what a snippet does to the page can't
+ * be told from its text.
+ */
+const PAGE_CHANGING_COMMANDS = {
+  dom: (args) => args[0]?.toLowerCase() !== 'history',
+  trace: (args, options) => args[0]?.toLowerCase() === 'seed' || (args[0]?.toLowerCase() === 'sinks' && Boolean(options.reload)),
+  postmessage: (args) => args[0]?.toLowerCase() === 'send',
+  net: (args) => args[0]?.toLowerCase() === 'replay',
+  snippets: (args) => args[0]?.toLowerCase() === 'run'
+};
+
+/**
+ * Commands that explicitly run the rest of the line as JavaScript
+ */
+const SNIPPET_COMMANDS = new Set(['eval', 'exec', 'run']);
+
+/**
+ * Filters that can follow a command after `|`: the single-letter flags
+ * each takes, how many other arguments, and its usage. head and tail
+ * keep PIPE_DEFAULT_COUNT items unless told otherwise.
+ */
+const PIPE_FILTERS = {
+  grep: { flags: 'iv', operands: 1, usage: 'grep [-i] [-v] <regex>' },
+  head: { flags: 'n', operands: 1, usage: 'head [-n] [count]' },
+  tail: { flags: 'n', operands: 1, usage: 'tail [-n] [count]' },
+  sort: { flags: 'nr', operands: 1, usage: 'sort [-n] [-r] [key]' },
+  uniq: { flags: 'c', operands: 0, usage: 'uniq [-c]' },
+  count: { flags: '', operands: 0, usage: 'count' },
+  jq: { flags: '', operands: 1, usage: 'jq <path>' },
+  json: { flags: '', operands: 0, usage: 'json' },
+  csv: { flags: '', operands: 0, usage: 'csv' }
+};
+const PIPE_DEFAULT_COUNT = 10;
+
+/**
+ * Escape sequences recognised inside double quotes. Any other backslash
+ * sequence is kept verbatim, as in a POSIX shell.
+ */
+const DOUBLE_QUOTE_ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  'n': '\n',
+  't': '\t',
+  'r': '\r'
+};
+
+/**
+ * Terminal settings, changed with `set <name> <value>`. Held in panel
+ * memory only.
+ */
+const SETTINGS = {
+  timeout: {
+    description: 'Milliseconds to wait for a snippet to settle (0 = no limit)',
+    defaultValue: 30000,
+    parse(value) {
+      const ms = Number(value);
+      if (!Number.isInteger(ms) || ms < 0) {
+        throw new Error('timeout must be a whole number of milliseconds');
+      }
+      return ms;
+    }
+  },
+  history: {
+    description: 'Keep command history per origin across sessions (on/off)',
+    defaultValue: false,
+    parse(value) {
+      const normalized = String(value).toLowerCase();
+      if (['on', 'true', '1'].includes(normalized)) return true;
+      if (['off', 'false', '0'].includes(normalized)) return false;
+      throw new Error('history must be on or off');
+    },
+    format: (value) => value ? 'on' : 'off',
+    apply: 'applyHistorySetting'
+  },
+  'github-token': {
+    description: 'GitHub API token for this session only (none = clear)',
+    defaultValue: null,
+    secret: true,
+    parse(value) {
+      return ['none', 'off', ''].includes(String(value).toLowerCase()) ? null : String(value);
+    },
+    format: (value) => value ? `…${value.slice(-4)}` : 'none'
+  }
+};
+
+/**
+ * Options that take the following token as their value when written
+ * without '=' (`--ref main` as well as `--ref=main`)
+ */
+const VALUE_OPTIONS = new Set([
+  'ref', 'flags', 'page', 'max-files', 'rules', 'allow', 'method', 'status', 'mime',
+  'url', 'limit', 'canary', 'param', 'frame', 'origin', 'format', 'id', 'remove',
+  'tags', 'description', 'category'
+]);
+
+/**
+ * Maximum number of commands kept in history (in memory and stored)
+ */
+const HISTORY_LIMIT = 500;
+
+/**
+ * chrome.storage.local keys for opt-in history persistence. Stored
+ * history is keyed per origin of the inspected page.
+ */
+const HISTORY_PREFERENCE_KEY = 'historyPersistence';
+const HISTORY_KEY_PREFIX = 'history:';
+
+/**
+ * Command tree for Tab completion
+ * 
+ * Objects list subcommands; a string names the completer used for the
+ * first argument after that point ('selector', 'github-path',
+ * 'source-file', 'macro-name', 'snippet-name' or 'javascript'); null
+ * means nothing more to complete.
+ */
+const COMPLETION_TREE = {
+  help: null,
+  clear: null,
+  cancel: null,
+  transcript: null,
+  history: { clear: null },
+  set: { timeout: null, history: { on: null, off: null }, 'github-token': null },
+  scrape: {
+    github: { readme: null, tree: null, file: 'github-path' },
+    page: { text: null, links: null, meta: null, scripts: null, forms: null }
+  },
+  dom: {
+    set: 'selector',
+    html: 'selector',
+    attr: 'selector',
+    replace: null,
+    undo: null,
+    redo: null,
+    history: null,
+    'revert-all': null
+  },
+  scan: { secrets: null, rules: null, allow: { clear: null } },
+  sourcemap: {
+    load: null,
+    list: null,
+    tree: null,
+    show: 'source-file',
+    map: null,
+    clear: null
+  },
+  audit: { headers: null, cookies: null },
+  csp: { analyze: null },
+  net: {
+    capture: { start: null, stop: null },
+    list: null,
+    show: null,
+    grep: null,
+    replay: null,
+    variants: null,
+    diff: null,
+    export: null,
+    import: null,
+    clear: null
+  },
+  trace: {
+    sinks: null,
+    seed: { hash: null, query: null, message: null },
+    stop: null
+  },
+  postmessage: {
+    listeners: null,
+    monitor: { start: null, stop: null },
+    frames: null,
+    send: null,
+    payloads: { add: null, remove: null }
+  },
+  scope: {
+    list: null,
+    include: null,
+    exclude: null,
+    remove: null,
+    check: null,
+    import: null,
+    export: null,
+    clear: null
+  },
+  finding: {
+    list: null,
+    add: null,
+    show: null,
+    edit: null,
+    evidence: null,
+    delete: null
+  },
+  report: { export: null },
+  macro: {
+    list: null,
+    define: 'macro-name',
+    show: 'macro-name',
+    run: 'macro-name',
+    delete: 'macro-name',
+    import: null,
+    export: null
+  },
+  snippets: {
+    list: null,
+    search: null,
+    show: 'snippet-name',
+    run: 'snippet-name',
+    save: null,
+    delete: 'snippet-name'
+  },
+  eval: 'javascript',
+  exec: 'javascript',
+  run: 'javascript'
+};
+
+/**
+ * Most candidates listed when Tab is ambiguous
+ */
+const COMPLETION_LIST_LIMIT = 100;
+
+/**
+ * Secret detectors for `scan secrets`
+ * 
+ * Each rule has an `id`, a `description` and a global `pattern`. If the
+ * pattern has a capture group, group 1 is the secret; otherwise the whole
+ * match is. Rules with `minEntropy` only report secrets whose Shannon
+ * entropy (bits per character) reaches it, which weeds out placeholders
+ * like "your-api-key-here". Rules with `redact: false` match a marker
+ * rather than the secret itself, so the match is shown as is. Add a rule
+ * here to extend the scanner.
+ */
+const SECRET_RULES = [
+  {
+    id: 'aws-access-key-id',
+    description: 'AWS access key ID',
+    pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16})\b/g
+  },
+  {
+    id: 'aws-secret-access-key',
+    description: 'AWS secret access key',
+    pattern: /aws.{0,20}?(?:secret|key).{0,20}?['"]([A-Za-z0-9/+=]{40})['"]/gi,
+    minEntropy: 4
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub token',
+    pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g
+  },
+  {
+    id: 'google-api-key',
+    description: 'Google API key',
+    pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/g
+  },
+  {
+    id: 'stripe-secret-key',
+    description: 'Stripe secret or restricted key',
+    pattern: /\b([sr]k_live_[0-9A-Za-z]{20,})\b/g
+  },
+  {
+    id: 'slack-webhook',
+    description: 'Slack incoming webhook URL',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/g
+  },
+  {
+    id: 'slack-token',
+    description: 'Slack API token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g
+  },
+  {
+    id: 'private-key',
+    description: 'Private key block',
+    pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+    redact: false
+  },
+  {
+    id: 'jwt',
+    description: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    id: 'generic-secret',
+    description: 'High-entropy value assigned to a key/secret/token/password',
+    pattern: /(?:api[_-]?key|secret|token|passw(?:or)?d|auth)[\w.-]{0,20}['"]?\s*[:=]\s*['"]([A-Za-z0-9+/=_.-]{20,})['"]/gi,
+    minEntropy: 3.5
+  }
+];
+
+/**
+ * Secrets matching any of these are known examples or placeholders and
+ * never reported. `scan allow <regex>` adds to this for the session.
+ */
+const SECRET_ALLOWLIST = [
+  /EXAMPLE/i,
+  /^(.)\1+$/,
+  /x{8,}/i
+];
+
+/**
+ * Files `scan secrets` does not fetch: binary formats, and anything over
+ * the size limit
+ */
+const SCAN_SKIP_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'webp', 'ico', 'bmp', 'svgz', 'pdf',
+  'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'jar', 'war',
+  'woff', 'woff2', 'ttf', 'otf', 'eot', 'mp3', 'mp4', 'webm', 'mov', 'avi',
+  'exe', 'dll', 'so', 'dylib', 'bin', 'class', 'pyc', 'wasm'
+]);
+const SCAN_MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Default cap on files fetched by one `scan secrets`
+ */
+const SCAN_DEFAULT_MAX_FILES = 500;
+
+/**
+ * Downloads run at once by commands that fetch many files
+ */
+const FETCH_CONCURRENCY = 4;
+
+/**
+ * Largest script `scrape page scripts` will analyze
+ */
+const SCRIPT_MAX_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Hostnames that suggest internal infrastructure when found in client
+ * code: private TLDs, environment labels and private IP ranges
+ */
+const INTERNAL_HOST_PATTERNS = [
+  /\.(?:internal|local|localdomain|corp|lan|intranet|private)$/i,
+  /(?:^|[.-])(?:dev|devel|staging|stage|stg|qa|uat|test|preprod|sandbox|internal|intranet|corp|admin)(?:[.-]|\d*\.)/i,
+  /^localhost$/i,
+  /^(?:10|127)\.\d+\.\d+\.\d+$/,
+  /^192\.168\.\d+\.\d+$/,
+  /^172\.(?:1[6-9]|2\d|3[01])\.\d+\.\d+$/
+];
+
+/**
+ * URLs in bundles that are never endpoints (XML namespaces, docs links)
+ */
+const SCRIPT_URL_NOISE = /^https?:\/\/(?:www\.)?(?:w3\.org|schema\.org|reactjs\.org\/docs|react\.dev\/errors|developer\.mozilla\.org|github\.com\/[^/]+\/[^/]+\/(?:issues|blob))(?:[/?#]|$)/i;
+
+/**
+ * Lines per page for `sourcemap show`
+ */
+const SOURCE_PAGE_LINES = 200;
+
+/**
+ * Digit alphabet of source map Base64 VLQ mappings
+ */
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Audit finding severities, worst first
+ */
+const AUDIT_SEVERITIES = ['high', 'medium', 'low', 'info', 'pass'];
+
+/**
+ * Cookie names that usually carry a session or credential
+ */
+const SESSION_COOKIE_PATTERN = /sess|sid|auth|token|jwt|login|remember/i;
+
+/**
+ * Form field names and ids that look like an anti-CSRF token
+ */
+const CSRF_FIELD_PATTERN = /csrf|xsrf|authenticity.?token|verification.?token|anti.?forgery|^_?token$|form.?key|nonce/i;
+
+/**
+ * Most field rows `scrape page forms` prints
+ */
+const FORM_FIELD_ROWS = 300;
+
+/**
+ * CSP fetch directives and the directives they fall back to, in order
+ * (CSP Level 3). Directives with an empty chain have no fallback.
+ */
+const CSP_FALLBACKS = {
+  'default-src': [],
+  'script-src': ['default-src'],
+  'script-src-elem': ['script-src', 'default-src'],
+  'script-src-attr': ['script-src', 'default-src'],
+  'style-src': ['default-src'],
+  'style-src-elem': ['style-src', 'default-src'],
+  'style-src-attr': ['style-src', 'default-src'],
+  'object-src': ['default-src'],
+  'img-src': ['default-src'],
+  'font-src': ['default-src'],
+  'connect-src': ['default-src'],
+  'media-src': ['default-src'],
+  'manifest-src': ['default-src'],
+  'child-src': ['default-src'],
+  'frame-src': ['child-src', 'default-src'],
+  'worker-src': ['child-src', 'script-src', 'default-src'],
+  'base-uri': [],
+  'form-action': [],
+  'frame-ancestors': []
+};
+
+/**
+ * Valid CSP directives that are not fetch directives
+ */
+const CSP_OTHER_DIRECTIVES = new Set([
+  'sandbox', 'report-to', 'upgrade-insecure-requests', 'require-trusted-types-for',
+  'trusted-types', 'fenced-frame-src', 'webrtc'
+]);
+
+/**
+ * Deprecated or removed directives, with advice
+ */
+const CSP_DEPRECATED_DIRECTIVES = {
+  'report-uri': 'Deprecated in favour of report-to (keep both for older browsers)',
+  'block-all-mixed-content': 'Obsolete; browsers now block or upgrade mixed content anyway',
+  'plugin-types': 'Removed from browsers; use object-src \'none\'',
+  'prefetch-src': 'Removed from browsers',
+  'navigate-to': 'Never shipped in browsers',
+  'referrer': 'Removed; use the Referrer-Policy header',
+  'reflected-xss': 'Removed; it never had an effect in most browsers'
+};
+
+/**
+ * Directives browsers ignore in <meta http-equiv> policies
+ */
+const CSP_META_IGNORED = new Set(['frame-ancestors', 'report-uri', 'report-to', 'sandbox']);
+
+/**
+ * Hosts that defeat a script allowlist: JSONP endpoints, script CDNs
+ * serving AngularJS or arbitrary packages, and platforms where anyone
+ * can publish content. A leading '*.' covers all subdomains.
+ */
+const CSP_BYPASS_HOSTS = [
+  { host: 'www.google.com', reason: 'hosts JSONP endpoints' },
+  { host: 'accounts.google.com', reason: 'hosts JSONP endpoints' },
+  { host: '*.googleapis.com', reason: 'serves AngularJS and JSONP endpoints' },
+  { host: '*.gstatic.com', reason: 'serves AngularJS builds' },
+  { host: '*.youtube.com', reason: 'hosts JSONP endpoints' },
+  { host: '*.doubleclick.net', reason: 'hosts JSONP endpoints' },
+  { host: '*.googletagmanager.com', reason: 'runs attacker-configurable tags' },
+  { host: 'cdnjs.cloudflare.com', reason: 'serves AngularJS and thousands of other libraries' },
+  { host: 'cdn.jsdelivr.net', reason: 'serves any npm package or GitHub file' },
+  { host: 'unpkg.com', reason: 'serves any npm package' },
+  { host: 'code.angularjs.org', reason: 'serves AngularJS' },
+  { host: 'api.twitter.com', reason: 'hosts JSONP endpoints' },
+  { host: '*.yandex.ru', reason: 'hosts JSONP endpoints' },
+  { host: '*.vk.com', reason: 'hosts JSONP endpoints' },
+  { host: '*.github.io', reason: 'hosts pages anyone can publish' },
+  { host: '*.herokuapp.com', reason: 'hosts apps anyone can publish' },
+  { host: '*.appspot.com', reason: 'hosts apps anyone can publish' },
+  { host: '*.firebaseapp.com', reason: 'hosts apps anyone can publish' },
+  { host: '*.azurewebsites.net', reason: 'hosts apps anyone can publish' },
+  { host: '*.cloudfront.net', reason: 'fronts buckets anyone can create' },
+  { host: '*.amazonaws.com', reason: 'hosts buckets anyone can create' },
+  { host: '*.blob.core.windows.net', reason: 'hosts storage anyone can create' },
+  { host: 'storage.googleapis.com', reason: 'hosts buckets anyone can create' }
+];
+
+/**
+ * Inspector limits: entries fetched per expansion, and page objects kept
+ * reachable for later expansion before the oldest are released
+ */
+const PREVIEW_PAGE_SIZE = 100;
+const PREVIEW_HANDLE_LIMIT = 5000;
+
+/**
+ * Page-side node helpers shared by PREVIEW_HELPERS and
+ * PIPE_VALUE_HELPERS, so the inspector and pipes describe nodes alike
+ */
+const NODE_HELPERS = `
+  const truncate = (text, max) => text.length > max ? text.slice(0, max) + '…' : text;
+  const isNode = (value) => {
+    try {
+      return typeof value.nodeType === 'number' && typeof value.nodeName === 'string';
+    } catch (error) {
+      return false; // Prototype getters throw "Illegal invocation"
+    }
+  };
+  
+  const nodeSummary = (node) => {
+    switch (node.nodeType) {
+      case 1:
+        return '<' + node.nodeName.toLowerCase() +
+          (node.id ? '#' + node.id : '') +
+          Array.from(node.classList || []).map(c => '.' + c).join('') + '>';
+      case 3: return '#text ' + JSON.stringify(truncate(node.nodeValue, 40));
+      case 8: return '<!--' + truncate(node.nodeValue, 40) + '-->';
+      case 9: return '#document';
+      case 11: return node.host ? '#shadow-root' : '#document-fragment';
+      default: return node.nodeName;
+    }
+  };
+`;
+
+/**
+ * Page-side value serializer for the inspector
+ * 
+ * preview(value) returns a JSON-safe { type, description, handle? } node.
+ * Objects are registered under a numeric handle (deduplicated, so the
+ * same object always has the same handle and the panel can spot cycles)
+ * and expand(handle, offset) lists one page of their entries on demand.
+ * Getters are never invoked; accessors are shown as (getter)/(setter).
+ */
+const PREVIEW_HELPERS = `
+  const registryKey = Symbol.for('securityResearchTerminal.handles');
+  const registry = window[registryKey] ||
+    (window[registryKey] = { objects: new Map(), ids: new WeakMap(), next: 1 });
+  
+  const register = (object) => {
+    let id = registry.ids.get(object);
+    if (id === undefined || !registry.objects.has(id)) {
+      id = registry.next++;
+      registry.ids.set(object, id);
+      registry.objects.set(id, object);
+      if (registry.objects.size > ${PREVIEW_HANDLE_LIMIT}) {
+        registry.objects.delete(registry.objects.keys().next().value);
+      }
+    }
+    return id;
+  };
+  
+  ${NODE_HELPERS}
+  const tagOf = (value) => Object.prototype.toString.call(value).slice(8, -1);
+  
+  // True for objects like Map.prototype, whose brand getters would throw
+  const isPrototype = (value) => {
+    const own = Object.getOwnPropertyDescriptor(value, 'constructor');
+    return Boolean(own && typeof own.value === 'function' && own.value.prototype === value);
+  };
+  const isArrayLike = (value) => Array.isArray(value) ||
+    (ArrayBuffer.isView(value) && !(value instanceof DataView));
+  
+  const constructorName = (value) => {
+    if (isPrototype(value)) return value.constructor.name || 'Object';
+    const proto = Object.getPrototypeOf(value);
+    if (proto === null) return '[Object: null prototype]';
+    return (proto.constructor && proto.constructor.name) || 'Object';
+  };
+  
+  // Short, handle-free description used for inline previews
+  const summarize = (value) => {
+    if (value === null) return { type: 'null', description: 'null' };
+    
+    switch (typeof value) {
+      case 'undefined': return { type: 'undefined', description: 'undefined' };
+      case 'string': return { type: 'string', description: JSON.stringify(truncate(value, 10000)) };
+      case 'number': return { type: 'number', description: Object.is(value, -0) ? '-0' : String(value) };
+      case 'boolean': return { type: 'boolean', description: String(value) };
+      case 'bigint': return { type: 'bigint', description: value + 'n' };
+      case 'symbol': return { type: 'symbol', description: value.toString() };
+      case 'function': return { type: 'function', description: 'ƒ ' + (value.name || 'anonymous') + '()' };
+    }
+    
+    try {
+      if (isPrototype(value)) return { type: 'object', description: constructorName(value) };
+      if (isNode(value)) return { type: 'node', description: nodeSummary(value) };
+      
+      const tag = tagOf(value);
+      if (isArrayLike(value)) return { type: 'array', description: constructorName(value) + '(' + value.length + ')' };
+      if (tag === 'Map') return { type: 'map', description: 'Map(' + value.size + ')' };
+      if (tag === 'Set') return { type: 'set', description: 'Set(' + value.size + ')' };
+      if (tag === 'Date') return { type: 'date', description: isNaN(value) ? 'Invalid Date' : value.toISOString() };
+      if (tag === 'RegExp') return { type: 'regexp', description: String(value) };
+      if (tag === 'Promise') return { type: 'promise', description: 'Promise' };
+      if (tag === 'Error' || value instanceof Error) {
+        return { type: 'error', description: value.name + ': ' + value.message };
+      }
+      if (value === window) return { type: 'object', description: 'Window' };
+      
+      const name = constructorName(value);
+      return { type: 'object', description: name === 'Object' ? '{…}' : name };
+    } catch (error) {
+      // Cross-origin windows and hostile proxies throw on access
+      return { type: 'object', description: '[inaccessible]' };
+    }
+  };
+  
+  const inlinePreview = (value, type) => {
+    const limit = 5;
+    const parts = [];
+    let more = false;
+    
+    if (type === 'array') {
+      Array.prototype.slice.call(value, 0, limit).forEach(item => parts.push(summarize(item).description));
+      more = value.length > limit;
+      return ' [' + parts.join(', ') + (more ? ', …' : '') + ']';
+    }
+    
+    if (type === 'map' || type === 'set') {
+      for (const [key, item] of value.entries()) {
+        if (parts.length === limit) { more = true; break; }
+        parts.push(type === 'map'
+          ? summarize(key).description + ' => ' + summarize(item).description
+          : summarize(item).description);
+      }
+      return ' {' + parts.join(', ') + (more ? ', …' : '') + '}';
+    }
+    
+    if (type === 'object' && value !== window && !isPrototype(value)) {
+      const keys = Object.keys(value);
+      keys.slice(0, limit).forEach(key => {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+        parts.push(key + ': ' + ('value' in descriptor ? summarize(descriptor.value).description : '(...)'));
+      });
+      return ' {' + parts.join(', ') + (keys.length > limit ? ', …' : '') + '}';
+    }
+    
+    return '';
+  };
+  
+  const preview = (value) => {
+    const node = summarize(value);
+    if ((typeof value === 'object' && value !== null) || typeof value === 'function') {
+      try {
+        node.description = node.description.replace(/ ?[{]…[}]$/, '') + inlinePreview(value, node.type);
+        node.description = node.description.trim() || '{}';
+      } catch (error) {
+        // Keep the plain summary
+      }
+      node.handle = register(value);
+    }
+    return node;
+  };
+  
+  const expand = (id, offset) => {
+    if (!registry.objects.has(id)) return null;
+    
+    const value = registry.objects.get(id);
+    const entries = [];
+    let index = 0;
+    
+    const visit = (name, read, separator) => {
+      if (index >= offset && entries.length < ${PREVIEW_PAGE_SIZE}) {
+        let child;
+        try {
+          child = read();
+        } catch (error) {
+          child = { type: 'error', description: '[threw ' + error + ']' };
+        }
+        entries.push({ name: String(name), value: child, separator: separator || ': ' });
+      }
+      index++;
+    };
+    const visitValue = (name, child) => visit(name, () => preview(child));
+    
+    const tag = tagOf(value);
+    
+    if (isNode(value)) {
+      Array.from(value.attributes || []).forEach(attr => visitValue('@' + attr.name, attr.value));
+      if (value.shadowRoot) visitValue('#shadow-root', value.shadowRoot);
+      Array.from(value.childNodes).forEach((child, i) => visitValue(i, child));
+    } else if (tag === 'Map') {
+      value.forEach((item, key) => visit(summarize(key).description, () => preview(item), ' => '));
+    } else if (tag === 'Set') {
+      let i = 0;
+      value.forEach(item => visitValue(i++, item));
+    } else {
+      if (typeof value === 'function') {
+        visitValue('[[Source]]', truncate(Function.prototype.toString.call(value), 2000));
+      }
+      Reflect.ownKeys(value).forEach(key => {
+        const name = typeof key === 'symbol' ? '[' + key.toString() + ']' : key;
+        visit(name, () => {
+          const descriptor = Object.getOwnPropertyDescriptor(value, key);
+          if ('value' in descriptor) return preview(descriptor.value);
+          return { type: 'accessor', description: descriptor.get ? '(getter)' : '(setter)' };
+        });
+      });
+    }
+    
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== null) visitValue('[[Prototype]]', proto);
+    
+    return { entries, remaining: Math.max(0, index - offset - entries.length) };
+  };
+`;
+
+/**
+ * Page-side normalizer for snippet values sent to pipe filters
+ * 
+ * preview(value) returns plain data that survives the JSON round trip:
+ * iterables and array-likes (NodeList, Set, Map, arguments) become
+ * arrays, DOM nodes the inspector's short description (<a#id.class>),
+ * functions, symbols and bigints text, and a reference back to an
+ * enclosing object '[Circular]'.
+ */
+const PIPE_VALUE_HELPERS = `
+  ${NODE_HELPERS}
+  const isArrayLike = (value) => Number.isInteger(value.length) && value.length >= 0 &&
+    (value.length === 0 ? Object.getPrototypeOf(value) !== Object.prototype : value.length - 1 in value);
+  
+  // Objects on the path from the root, to tell a cycle from a shared value
+  const path = new Set();
+  const preview = (value) => {
+    switch (typeof value) {
+      case 'bigint': return String(value);
+      case 'symbol': return value.toString();
+      case 'function': return 'ƒ ' + (value.name || 'anonymous') + '()';
+      case 'object': break;
+      default: return value;
+    }
+    if (value === null) return null;
+    if (value === window) return 'Window';
+    if (path.has(value)) return '[Circular]';
+    
+    try {
+      if (isNode(value)) return nodeSummary(value);
+      if (value instanceof Error) return value.name + ': ' + value.message;
+      
+      path.add(value);
+      try {
+        if (typeof value.toJSON === 'function') return preview(value.toJSON());
+        if (Array.isArray(value) || typeof value[Symbol.iterator] === 'function' || isArrayLike(value)) {
+          return Array.from(value, preview);
+        }
+        return Object.fromEntries(Object.keys(value).map(key => [key, preview(value[key])]));
+      } finally {
+        path.delete(value);
+      }
+    } catch (error) {
+      // Cross-origin windows and hostile proxies throw on access
+      return '[inaccessible]';
+    }
+  };
+`;
+
+/**
+ * Network capture limits: requests held (oldest dropped first), response
+ * body bytes kept per request, and snippets shown per request by net grep
+ */
+const NET_CAPTURE_LIMIT = 1000;
+const NET_BODY_LIMIT = 1024 * 1024;
+const NET_GREP_SNIPPETS = 3;
+
+/**
+ * Request headers fetch() does not let page code set; `net replay` leaves
+ * them out of the editable request (names starting with sec- or proxy-,
+ * and HTTP/2 pseudo-headers, are dropped too)
+ */
+const NET_BROWSER_CONTROLLED_HEADERS = new Set([
+  'accept-charset', 'accept-encoding', 'access-control-request-headers', 'access-control-request-method',
+  'connection', 'content-length', 'cookie', 'cookie2', 'date', 'dnt', 'expect', 'host', 'keep-alive',
+  'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'user-agent', 'via'
+]);
+
+/**
+ * Response diff layout: column width, unchanged lines kept around each
+ * change, and the largest LCS table (old lines × new lines) worth building
+ */
+const NET_DIFF_COLUMN_WIDTH = 60;
+const NET_DIFF_CONTEXT = 3;
+const NET_DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Request headers that mark a request as authenticated for `net list --auth`
+ */
+const NET_AUTH_HEADERS = new Set([
+  'authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'x-auth-token', 'x-access-token'
+]);
+
+/**
+ * Header values `net export --redact` replaces
+ */
+const NET_REDACTED_HEADERS = new Set([
+  ...NET_AUTH_HEADERS, 'set-cookie', 'www-authenticate', 'proxy-authenticate'
+]);
+
+/**
+ * Sink tracing: how often buffered calls are fetched from the page, the
+ * most calls buffered between fetches, value characters and stack frames
+ * kept per call
+ */
+const SINK_TRACE_POLL_INTERVAL = 500;
+const SINK_HIT_LIMIT = 1000;
+const SINK_VALUE_LIMIT = 2000;
+const SINK_STACK_DEPTH = 6;
+
+/**
+ * postMessage handler source lines shown, message data characters kept
+ * and messages buffered in a window between polls
+ */
+const MESSAGE_HANDLER_LINES = 40;
+const MESSAGE_DATA_LIMIT = 1000;
+const MESSAGE_LOG_LIMIT = 1000;
+
+/**
+ * Dangerous operations worth pointing out in a message handler's source
+ */
+const MESSAGE_HANDLER_SINKS = [
+  { name: 'innerHTML/outerHTML', pattern: /\.(inner|outer)HTML\s*\+?=(?!=)/ },
+  { name: 'insertAdjacentHTML', pattern: /\.insertAdjacentHTML\s*\(/ },
+  { name: 'document.write', pattern: /document\.write(ln)?\s*\(/ },
+  { name: 'eval', pattern: /\beval\s*\(/ },
+  { name: 'Function constructor', pattern: /\bFunction\s*\(/ },
+  { name: 'navigation', pattern: /\blocation(\.href)?\s*=(?!=)|location\.(assign|replace)\s*\(|\bwindow\.open\s*\(/ },
+  { name: 'src/href assignment', pattern: /\.(src|href|action)\s*=(?!=)/ },
+  { name: 'jQuery .html()', pattern: /\.html\s*\(\s*[^)\s]/ }
+];
+
+/**
+ * Built-in payloads for `postmessage send <name>`; user payloads are
+ * saved under MESSAGE_PAYLOADS_KEY in chrome.storage.local
+ */
+const MESSAGE_PAYLOADS = [
+  { name: 'ping', data: 'ping', json: false },
+  { name: 'html', data: '<img src=x onerror=alert(document.domain)>', json: false },
+  { name: 'html-json', data: '{"type":"html","html":"<img src=x onerror=alert(document.domain)>"}', json: true },
+  { name: 'redirect', data: '{"url":"javascript:alert(document.domain)","redirect":"javascript:alert(document.domain)"}', json: true },
+  { name: 'eval', data: 'alert(document.domain)', json: false },
+  { name: 'proto', data: '{"__proto__":{"srtPolluted":true},"constructor":{"prototype":{"srtPolluted":true}}}', json: true }
+];
+const MESSAGE_PAYLOADS_KEY = 'postMessagePayloads';
+
+/**
+ * Scope rules are saved under SCOPE_KEY in chrome.storage.local. Imported
+ * program scopes keep only assets of these (lowercased) types.
+ */
+const SCOPE_KEY = 'scopeRules';
+const SCOPE_WEB_ASSET_TYPES = new Set(['url', 'wildcard', 'website', 'api', 'web', 'domain']);
+
+/**
+ * Finding severities, most severe first, with the lowest CVSS v3 base
+ * score of each
+ */
+const FINDING_SEVERITIES = [
+  { name: 'critical', score: 9 },
+  { name: 'high', score: 7 },
+  { name: 'medium', score: 4 },
+  { name: 'low', score: 0.1 },
+  { name: 'informational', score: 0 }
+];
+
+/**
+ * Findings are saved under FINDINGS_KEY in chrome.storage.local; each
+ * evidence block keeps at most FINDING_EVIDENCE_LIMIT characters of output
+ */
+const FINDINGS_KEY = 'findings';
+const FINDING_EVIDENCE_LIMIT = 20000;
+
+/**
+ * Macros are saved under MACROS_KEY in chrome.storage.local. A macro may
+ * run other macros, at most MACRO_DEPTH_LIMIT deep.
+ */
+const MACROS_KEY = 'macros';
+const MACRO_DEPTH_LIMIT = 5;
+const MACRO_NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Built-in snippet library for `snippets run <name> [args]`
+ *
+ * Each entry's code runs through handleSnippetExecution like a typed
+ * snippet, with the run's arguments in an `args` array. User entries are
+ * saved under SNIPPETS_KEY in chrome.storage.local.
+ */
+const SNIPPET_LIBRARY = [
+  {
+    name: 'storage-dump',
+    category: 'storage',
+    description: 'localStorage, sessionStorage, cookies and IndexedDB databases',
+    tags: ['storage', 'cookies', 'tokens'],
+    code: `
+const dump = (storage) => Object.fromEntries(
+  Array.from({ length: storage.length }, (_, i) => storage.key(i)).map(key => [key, storage.getItem(key)])
+);
+const cookies = document.cookie.split('; ').filter(Boolean).map(pair => pair.split('='));
+({
+  localStorage: dump(localStorage),
+  sessionStorage: dump(sessionStorage),
+  cookies: Object.fromEntries(cookies.map(([name, ...value]) => [name, value.join('=')])),
+  indexedDB: indexedDB.databases ? (await indexedDB.databases()).map(db => db.name + ' v' + db.version) : []
+})`
+  },
+  {
+    name: 'jwt-decode',
+    category: 'storage',
+    description: 'Find JWTs in storage and cookies and decode their header and claims',
+    args: '[name filter]',
+    tags: ['jwt', 'tokens', 'auth'],
+    code: `
+const filter = (args[0] || '').toLowerCase();
+const decode = (part) => JSON.parse(new TextDecoder().decode(
+  Uint8Array.from(atob(part.replace(/-/g, '+').replace(/_/g, '/')), ch => ch.charCodeAt(0))
+));
+const sources = [
+  ...Object.entries(localStorage).map(([key, value]) => ['localStorage.' + key, value]),
+  ...Object.entries(sessionStorage).map(([key, value]) => ['sessionStorage.' + key, value]),
+  ...document.cookie.split('; ').filter(Boolean).map(pair => ['cookie.' + pair.split('=')[0], pair.slice(pair.indexOf('=') + 1)])
+];
+sources
+  .filter(([where]) => where.toLowerCase().includes(filter))
+  .flatMap(([where, value]) => (value.match(/eyJ[\\w-]+\\.eyJ[\\w-]+\\.[\\w-]*/g) || []).map(token => {
+    const [header, payload] = token.split('.');
+    const claims = decode(payload);
+    return {
+      where,
+      header: decode(header),
+      claims,
+      expires: claims.exp ? new Date(claims.exp * 1000).toISOString() : null
+    };
+  }))`
+  },
+  {
+    name: 'globals-diff',
+    category: 'recon',
+    description: 'Globals the page added, compared with a fresh window',
+    args: '[name filter]',
+    tags: ['globals', 'window', 'state'],
+    code: `
+const frame = document.createElement('iframe');
+frame.style.display = 'none';
+document.documentElement.appendChild(frame);
+const builtins = new Set(Object.getOwnPropertyNames(frame.contentWindow));
+frame.remove();
+const filter = (args[0] || '').toLowerCase();
+Object.getOwnPropertyNames(window)
+  .filter(name => !builtins.has(name) && !/^\\d+$/.test(name) && name.toLowerCase().includes(filter))
+  .sort()
+  .map(name => {
+    let type;
+    try { type = typeof window[name]; } catch (error) { type = 'unreadable'; }
+    return name + ': ' + type;
+  })`
+  },
+  {
+    name: 'api-globals',
+    category: 'recon',
+    description: 'Globals whose name suggests API configuration or secrets',
+    args: '[regex]',
+    tags: ['globals', 'api', 'secrets', 'config'],
+    code: `
+const pattern = new RegExp(args[0] || 'api|config|env|token|key|secret|auth|endpoint|url', 'i');
+Object.fromEntries(Object.getOwnPropertyNames(window)
+  .filter(name => pattern.test(name))
+  .map(name => {
+    try { return [name, window[name]]; } catch (error) { return [name, '(unreadable)']; }
+  }))`
+  },
+  {
+    name: 'frameworks',
+    category: 'recon',
+    description: 'Front-end frameworks and libraries in use, with versions where exposed',
+    tags: ['frameworks', 'versions', 'fingerprint'],
+    code: `
+const found = {};
+const elements = Array.from(document.querySelectorAll('body *')).slice(0, 3000);
+const hasKey = (prefix) => elements.some(el => Object.keys(el).some(key => key.startsWith(prefix)));
+if (window.React || document.querySelector('[data-reactroot]') || hasKey('__react')) found.React = window.React?.version || 'detected';
+if (window.Vue) found.Vue = window.Vue.version || 'detected';
+else if (document.querySelector('[data-v-app]') || elements.some(el => el.__vue__)) found.Vue = document.querySelector('[data-v-app]')?.__vue_app__?.version || 'detected';
+if (document.querySelector('[ng-version]')) found.Angular = document.querySelector('[ng-version]').getAttribute('ng-version');
+if (window.angular) found.AngularJS = window.angular.version?.full || 'detected';
+if (window.jQuery) found.jQuery = window.jQuery.fn?.jquery || 'detected';
+if (window.__NEXT_DATA__) found['Next.js'] = window.next?.version || 'detected';
+if (window.__NUXT__ || window.$nuxt) found.Nuxt = 'detected';
+if (document.querySelector('[class*="svelte-"]')) found.Svelte = 'detected';
+if (window.Ember) found.Ember = window.Ember.VERSION;
+if (window.Backbone) found.Backbone = window.Backbone.VERSION;
+if (window._?.VERSION) found.lodash = window._.VERSION;
+if (window.DOMPurify) found.DOMPurify = window.DOMPurify.version || 'detected';
+if (window.Handlebars) found.Handlebars = window.Handlebars.VERSION;
+found`
+  },
+  {
+    name: 'comments',
+    category: 'recon',
+    description: 'HTML comments left in the document',
+    tags: ['comments', 'leaks', 'html'],
+    code: `
+const walker = document.createTreeWalker(document, NodeFilter.SHOW_COMMENT);
+const comments = [];
+while (walker.nextNode()) {
+  const text = walker.currentNode.textContent.trim();
+  if (text) comments.push(text);
+}
+comments`
+  },
+  {
+    name: 'service-workers',
+    category: 'recon',
+    description: 'Registered service workers, their scopes and scripts',
+    tags: ['service-worker', 'cache', 'offline'],
+    code: `
+const registrations = navigator.serviceWorker ? await navigator.serviceWorker.getRegistrations() : [];
+registrations.map(registration => ({
+  scope: registration.scope,
+  script: (registration.active || registration.waiting || registration.installing)?.scriptURL,
+  state: (registration.active || registration.waiting || registration.installing)?.state
+}))`
+  },
+  {
+    name: 'third-party-origins',
+    category: 'recon',
+    description: 'Origins the page loaded resources from, with request counts',
+    tags: ['origins', 'third-party', 'resources', 'csp'],
+    code: `
+const counts = {};
+performance.getEntriesByType('resource').forEach(entry => {
+  const origin = new URL(entry.name).origin;
+  if (origin !== location.origin) counts[origin] = (counts[origin] || 0) + 1;
+});
+Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]))`
+  },
+  {
+    name: 'event-listeners',
+    category: 'dom',
+    description: 'Elements with event listeners and the events they handle',
+    args: '[selector]',
+    tags: ['events', 'listeners', 'handlers'],
+    code: `
+const describe = (node) => node === window ? 'window' : node === document ? 'document'
+  : node.tagName.toLowerCase() + (node.id ? '#' + node.id : '') +
+    (typeof node.className === 'string' && node.className.trim() ? '.' + node.className.trim().split(/\\s+/).join('.') : '');
+[window, document, ...document.querySelectorAll(args[0] || '*')]
+  .map(node => ({ node: describe(node), events: Object.keys(getEventListeners(node)) }))
+  .filter(entry => entry.events.length > 0)`
+  },
+  {
+    name: 'hidden-inputs',
+    category: 'dom',
+    description: 'Hidden form inputs with their names and values',
+    tags: ['forms', 'hidden', 'csrf'],
+    code: `
+Array.from(document.querySelectorAll('input[type="hidden"]')).map(input => ({
+  form: input.form ? (input.form.getAttribute('action') || '(no action)') : null,
+  name: input.name || input.id,
+  value: input.value
+}))`
+  },
+  {
+    name: 'inline-handlers',
+    category: 'dom',
+    description: 'Inline on* event handler attributes and javascript: URLs',
+    tags: ['events', 'handlers', 'csp', 'xss'],
+    code: `
+Array.from(document.querySelectorAll('*')).flatMap(el => Array.from(el.attributes)
+  .filter(attr => /^on/i.test(attr.name) || /^\\s*javascript:/i.test(attr.value))
+  .map(attr => ({ element: el.tagName.toLowerCase() + (el.id ? '#' + el.id : ''), [attr.name]: attr.value })))`
+  },
+  {
+    name: 'slow-resources',
+    category: 'performance',
+    description: 'Slowest resources loaded by the page',
+    args: '[count]',
+    tags: ['performance', 'timing', 'resources'],
+    code: `
+performance.getEntriesByType('resource')
+  .sort((a, b) => b.duration - a.duration)
+  .slice(0, Number(args[0]) || 10)
+  .map(entry => ({ url: entry.name, type: entry.initiatorType, ms: Math.round(entry.duration), bytes: entry.transferSize }))`
+  }
+];
+const SNIPPETS_KEY = 'snippets';
+
+/**
+ * CVSS v3 base metric weights (PR is scope-dependent; the Scope: Changed
+ * values for L and H are applied in parseCvss)
+ */
+const CVSS_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  UI: { N: 0.85, R: 0.62 },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 }
+};
+
+/**
+ * How often to check on a snippet whose promise has not settled yet
+ */
+const SNIPPET_POLL_INTERVAL = 150;
+
+/**
+ * Maximum number of DOM commands kept in the undo journal
+ */
+const DOM_JOURNAL_LIMIT = 50;
+
+/**
+ * Page-side helpers that address nodes by their childNodes index path
+ * from `document` (e.g. "1/2/0"). Paths survive innerHTML round trips,
+ * unlike node references, so journal entries can be replayed later.
+ */
+const DOM_PATH_HELPERS = `
+  const pathOf = (node) => {
+    const path = [];
+    while (node.parentNode) {
+      path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+      node = node.parentNode;
+    }
+    return node === document ? path.join('/') : null;
+  };
+  const nodeAt = (path) => {
+    let node = document;
+    for (const index of path.split('/').filter(Boolean)) {
+      node = node && node.childNodes[Number(index)];
+    }
+    return node || null;
+  };
+`;
+
+/**
+ * Raised when a command line cannot be tokenized or its options are
+ * malformed. `column` is 1-based and points into the full command line.
+ */
+class CommandParseError extends Error {
+  constructor(message, column) {
+    super(message);
+    this.name = 'CommandParseError';
+    this.column = column;
+  }
+}
+
 class SecurityResearchTerminal {
   constructor() {
     // DOM Elements
     this.output = document.getElementById('output');
     this.commandInput = document.getElementById('commandInput');
+    this.prompt = document.getElementById('prompt');
     this.targetUrl = document.getElementById('targetUrl');
     this.validateBtn = document.getElementById('validateUrl');
     
-    // Status indicators
-    this.snippetStatus = document.getElementById('snippetStatus');
-    this.domStatus = document.getElementById('domStatus');
-    this.scrapeStatus = document.getElementById('scrapeStatus');
+    // Status indicators
+    this.snippetStatus = document.getElementById('snippetStatus');
+    this.domStatus = document.getElementById('domStatus');
+    this.scrapeStatus = document.getElementById('scrapeStatus');
+    this.captureStatus = document.getElementById('captureStatus');
+    this.traceStatus = document.getElementById('traceStatus');
+    this.messageStatus = document.getElementById('messageStatus');
+    
+    // State
+    this.commandHistory = [];
+    this.historyIndex = -1;
+    this.historyOrigin = null;
+    this.reverseSearch = null;
+    this.transcript = [];
+    this.defaultBranches = new Map();
+    this.repositoryTrees = new Map();
+    this.secretAllowlist = [];
+    this.sourceMaps = new Map();
+    this.capturedRequests = [];
+    this.captureSequence = 0;
+    this.captureListener = null;
+    this.sinkTrace = null;
+    this.messageMonitor = null;
+    this.messagePayloads = null;
+    this.scope = { include: [], exclude: [] };
+    this.findings = null;
+    this.macros = null;
+    this.macroDepth = 0;
+    this.pendingConfirmation = null;
+    this.errorCount = 0;
+    this.userSnippets = null;
+    this.lastSnippet = null;
+    this.pipeCapture = null;
+    this.validatedUrl = null;
+    this.currentOperation = null;
+    this.domUndoStack = [];
+    this.domRedoStack = [];
+    this.editorMode = false;
+    this.editorDraft = null;
+    this.defaultPrompt = this.prompt.textContent;
+    this.sandboxRequests = new Map();
+    this.sandboxRequestId = 0;
+    this.pendingSnippets = new Map();
+    this.snippetCounter = 0;
+    this.settings = Object.fromEntries(
+      Object.entries(SETTINGS).map(([name, setting]) => [name, setting.defaultValue])
+    );
+    
+    // Initialize
+    this.init();
+  }
+  
+  init() {
+    // Command input handler
+    this.commandInput.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    this.commandInput.addEventListener('input', () => this.resizeCommandInput());
+    
+    // Snippet analyzer sandbox (see sandbox.js). Created here so the load
+    // listener is attached before the frame can finish loading.
+    this.sandboxFrame = document.createElement('iframe');
+    this.sandboxFrame.src = 'sandbox.html';
+    this.sandboxFrame.hidden = true;
+    this.sandboxReady = new Promise((resolve) => {
+      this.sandboxFrame.addEventListener('load', resolve, { once: true });
+    });
+    document.body.appendChild(this.sandboxFrame);
+    window.addEventListener('message', (e) => this.handleSandboxMessage(e));
+    
+    // Alt+click selects a command and its output as finding evidence
+    this.output.addEventListener('click', (e) => {
+      const entry = e.altKey && e.target.closest('.command-entry');
+      if (entry) {
+        e.preventDefault();
+        this.toggleEvidenceSelection(entry);
+      }
+    });
+    
+    // URL validation
+    this.validateBtn.addEventListener('click', () => this.validateTargetUrl());
+    this.targetUrl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.validateTargetUrl();
+    });
+    
+    // DOM journal paths are meaningless once the page navigates
+    chrome.devtools.network.onNavigated.addListener((url) => {
+      this.invalidateDomJournal();
+      this.switchHistoryOrigin(url);
+      
+      const violation = this.scopeViolation(url);
+      if (violation) {
+        this.appendBackgroundOutput(`WARNING: ${url} is out of scope (${violation}); page commands will be refused`, 'warning');
+      }
+      
+      // Sink hooks are gone with the old document, unless this is the
+      // reload `trace sinks --reload` injected them into
+      if (this.sinkTrace) {
+        if (this.sinkTrace.reloading) {
+          this.sinkTrace.reloading = false;
+        } else {
+          this.endSinkTrace();
+          this.appendBackgroundOutput('WARNING: Page navigated; sink tracing ended (trace sinks --reload traces a page from its load)', 'warning');
+        }
+      }
+      
+      if (this.messageMonitor) {
+        this.endMessageMonitor();
+        this.appendBackgroundOutput('WARNING: Page navigated; message monitor stopped', 'warning');
+      }
+    });
+    
+    // Page commands wait for the saved scope before running anything
+    this.scopeReady = this.restoreScope();
+    
+    // Stored history is only read if the user opted in earlier
+    this.restoreHistorySetting();
+    
+    // Focus on command input
+    this.commandInput.focus();
+  }
+  
+  /**
+   * Handle keyboard input in command line
+   * 
+   * Shift+Enter inserts a newline. In editor mode plain Enter does too and
+   * Ctrl+Enter (Cmd+Enter) runs the buffer. History navigation only kicks
+   * in when the caret is already on the first/last line.
+   */
+  handleKeyDown(e) {
+    if (this.reverseSearch) {
+      this.handleReverseSearchKey(e);
+      return;
+    }
+    
+    if (e.key === 'r' && e.ctrlKey) {
+      e.preventDefault();
+      this.startReverseSearch();
+      return;
+    }
+    
+    switch(e.key) {
+      case 'Tab':
+        if (e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) {
+          return;
+        }
+        e.preventDefault();
+        this.completeInput();
+        break;
+        
+      case 'Enter':
+        if (e.shiftKey || (this.editorMode && !e.ctrlKey && !e.metaKey)) {
+          return; // Let the textarea insert the newline
+        }
+        e.preventDefault();
+        this.executeCommand();
+        break;
+        
+      case 'Escape':
+        if (this.pendingConfirmation) {
+          e.preventDefault();
+          this.commandInput.value = '';
+          this.appendOutput('[y/N]> (Esc)', 'command-line');
+          this.answerConfirmation(false);
+        } else if (this.editorMode) {
+          e.preventDefault();
+          this.commandInput.value = '';
+          this.setEditorMode(false);
+        }
+        break;
+        
+      case 'ArrowUp':
+        if (this.commandInput.value.substring(0, this.commandInput.selectionStart).includes('\n')) {
+          return;
+        }
+        e.preventDefault();
+        this.navigateHistory('up');
+        break;
+        
+      case 'ArrowDown':
+        if (this.commandInput.value.substring(this.commandInput.selectionEnd).includes('\n')) {
+          return;
+        }
+        e.preventDefault();
+        this.navigateHistory('down');
+        break;
+    }
+  }
+  
+  /**
+   * Grow the command input to fit its content
+   */
+  resizeCommandInput() {
+    this.commandInput.style.height = 'auto';
+    this.commandInput.style.height = `${this.commandInput.scrollHeight}px`;
+  }
+  
+  /**
+   * Toggle multi-line editor mode
+   * 
+   * A replay draft ({ entry }) turns the buffer into an HTTP request for
+   * `net replay` instead of a snippet.
+   */
+  setEditorMode(enabled, editorDraft = null) {
+    this.editorMode = enabled;
+    this.editorDraft = enabled ? editorDraft : null;
+    this.commandInput.parentElement.classList.toggle('editor-mode', enabled);
+    this.prompt.textContent = enabled ? this.editorPrompt() : this.defaultPrompt;
+    this.resizeCommandInput();
+    
+    if (enabled && !editorDraft) {
+      this.appendOutput('Editor mode: Enter adds a line, Ctrl+Enter runs, Esc cancels.', 'success');
+    }
+  }
+  
+  /**
+   * Prompt shown in editor mode
+   */
+  editorPrompt() {
+    return this.editorDraft ? this.editorDraft.prompt : 'editor>';
+  }
+  
+  /**
+   * Begin a Ctrl+R incremental search backwards through history
+   */
+  startReverseSearch() {
+    this.reverseSearch = {
+      query: '',
+      matchIndex: -1,
+      original: this.commandInput.value
+    };
+    this.updateReverseSearch(0);
+  }
+  
+  /**
+   * Keys while reverse-searching, as in bash: typing extends the query,
+   * Ctrl+R finds the next older match, Enter runs the match, Esc or an
+   * arrow key keeps it for editing and Ctrl+G restores the original input
+   */
+  handleReverseSearchKey(e) {
+    const search = this.reverseSearch;
+    
+    if (e.key === 'r' && e.ctrlKey) {
+      e.preventDefault();
+      this.updateReverseSearch(search.matchIndex + 1);
+    } else if (e.key === 'g' && e.ctrlKey) {
+      e.preventDefault();
+      this.commandInput.value = search.original;
+      this.endReverseSearch();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.endReverseSearch();
+      this.executeCommand();
+    } else if (['Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+      e.preventDefault();
+      this.endReverseSearch();
+    } else if (e.key === 'Backspace') {
+      e.preventDefault();
+      search.query = search.query.slice(0, -1);
+      this.updateReverseSearch(0);
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      search.query += e.key;
+      this.updateReverseSearch(Math.max(search.matchIndex, 0));
+    }
+  }
+  
+  /**
+   * Find the newest history entry at or after `fromIndex` that contains
+   * the query, and show it
+   */
+  updateReverseSearch(fromIndex) {
+    const search = this.reverseSearch;
+    const query = search.query.toLowerCase();
+    let found = -1;
+    
+    for (let i = fromIndex; i < this.commandHistory.length; i++) {
+      if (this.commandHistory[i].toLowerCase().includes(query)) {
+        found = i;
+        break;
+      }
+    }
+    
+    if (found !== -1) {
+      search.matchIndex = found;
+      this.commandInput.value = this.commandHistory[found];
+    }
+    
+    const failed = found === -1 && search.query !== '';
+    this.prompt.textContent = `(${failed ? 'failed ' : ''}reverse-i-search)'${search.query}':`;
+    this.resizeCommandInput();
+  }
+  
+  /**
+   * Leave reverse search, keeping whatever is in the input
+   */
+  endReverseSearch() {
+    this.reverseSearch = null;
+    this.historyIndex = -1;
+    this.prompt.textContent = this.editorMode ? this.editorPrompt() : this.defaultPrompt;
+    this.resizeCommandInput();
+  }
+  
+  /**
+   * Navigate through command history
+   */
+  navigateHistory(direction) {
+    if (this.commandHistory.length === 0) return;
+    
+    if (direction === 'up') {
+      if (this.historyIndex < this.commandHistory.length - 1) {
+        this.historyIndex++;
+        this.commandInput.value = this.commandHistory[this.historyIndex];
+      }
+    } else {
+      if (this.historyIndex > 0) {
+        this.historyIndex--;
+        this.commandInput.value = this.commandHistory[this.historyIndex];
+      } else if (this.historyIndex === 0) {
+        this.historyIndex = -1;
+        this.commandInput.value = '';
+      }
+    }
+  }
+  
+  /**
+   * Complete the word before the caret
+   * 
+   * A single candidate is inserted, several are narrowed to their common
+   * prefix, and if that adds nothing the candidates are listed. Page and
+   * network lookups are async, so the result is dropped if the input
+   * changed meanwhile.
+   */
+  async completeInput() {
+    const input = this.commandInput;
+    const value = input.value;
+    const caret = input.selectionStart;
+    const before = value.substring(0, caret);
+    
+    let completion;
+    try {
+      completion = await this.findCompletions(before);
+    } catch (error) {
+      return;
+    }
+    
+    if (!completion || completion.candidates.length === 0) return;
+    if (input.value !== value || input.selectionStart !== caret) return;
+    
+    const { word, candidates, suffix } = completion;
+    let insert;
+    
+    if (candidates.length === 1) {
+      const candidate = candidates[0];
+      insert = candidate + (candidate.endsWith('/') ? '' : suffix);
+    } else {
+      insert = candidates.reduce((prefix, candidate) => {
+        let i = 0;
+        while (i < prefix.length && prefix[i] === candidate[i]) i++;
+        return prefix.substring(0, i);
+      });
+      
+      if (insert.length <= word.length) {
+        const shown = candidates.slice(0, COMPLETION_LIST_LIMIT);
+        const more = candidates.length - shown.length;
+        this.appendOutput(shown.join('  ') + (more > 0 ? `  … ${more} more` : ''), 'success');
+        this.output.parentElement.scrollTop = this.output.parentElement.scrollHeight;
+        return;
+      }
+    }
+    
+    const start = caret - word.length;
+    input.value = value.substring(0, start) + insert + value.substring(caret);
+    input.selectionStart = input.selectionEnd = start + insert.length;
+    this.resizeCommandInput();
+  }
+  
+  /**
+   * Work out what the text before the caret is asking to complete
+   * 
+   * Returns { word, candidates, suffix }, where `word` is the text being
+   * replaced and `suffix` is appended after a unique match.
+   */
+  async findCompletions(before) {
+    const words = before.split(/\s+/);
+    const word = words.pop();
+    const commandName = words[0]?.toLowerCase();
+    
+    // A filter after a pipe
+    if (words[words.length - 1] === '|') {
+      return { word, candidates: Object.keys(PIPE_FILTERS).filter(name => name.startsWith(word)), suffix: ' ' };
+    }
+    
+    // First word: built-in command names, or a page global
+    if (words.length === 0 || (words.length === 1 && words[0] === '')) {
+      const commands = Object.keys(COMPLETION_TREE).filter(name => name.startsWith(word.toLowerCase()));
+      if (commands.length > 0) {
+        return { word, candidates: commands, suffix: ' ' };
+      }
+      return this.completeJavaScript(before);
+    }
+    
+    if (!(commandName in COMPLETION_TREE)) {
+      return this.completeJavaScript(before);
+    }
+    
+    // Walk the tree along the words already typed, ignoring --options
+    // and the values of VALUE_OPTIONS
+    const typedWords = words.filter((w, i) =>
+      w && !w.startsWith('--') && !VALUE_OPTIONS.has(words[i - 1]?.substring(2))
+    );
+    let node = COMPLETION_TREE;
+    let argumentIndex = 0;
+    
+    for (const typed of typedWords) {
+      if (node && typeof node === 'object') {
+        node = node[typed.toLowerCase()];
+        if (node === undefined) return null;
+      } else {
+        argumentIndex++;
+      }
+    }
+    
+    if (node && typeof node === 'object') {
+      const candidates = Object.keys(node).filter(name => name.startsWith(word.toLowerCase()));
+      return { word, candidates, suffix: ' ' };
+    }
+    
+    switch(node) {
+      case 'javascript':
+        return this.completeJavaScript(before);
+        
+      case 'selector':
+        return argumentIndex === 0 ? this.completeSelector(word) : null;
+        
+      case 'github-path':
+        return argumentIndex === 0 ? this.completeGitHubPath(word) : null;
+        
+      case 'source-file':
+        return argumentIndex === 0 ? this.completePath(word, this.originalSourcePaths()) : null;
+        
+      case 'macro-name':
+        return argumentIndex === 0 ? this.completeMacroName(word) : null;
+        
+      case 'snippet-name':
+        return argumentIndex === 0 ? this.completeSnippetName(word) : null;
+        
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Complete a property chain such as `document.loc`
+   * 
+   * The chain is sent to the page as data and walked one property at a
+   * time from `window`, so nothing typed is ever evaluated as code.
+   */
+  async completeJavaScript(before) {
+    const match = before.match(/((?:[A-Za-z_$][\w$]*\.)*)([A-Za-z_$][\w$]*)?$/);
+    const word = match[2] || '';
+    const chain = match[1] ? match[1].slice(0, -1).split('.') : [];
+    
+    // Nothing to go on (e.g. after a closing bracket)
+    if (chain.length === 0 && !word) return null;
+    
+    const payload = this.toPageLiteral({ chain, prefix: word });
+    const code = `
+      (() => {
+        const { chain, prefix } = ${payload};
+        let target = window;
+        for (const name of chain) {
+          try {
+            target = target[name];
+          } catch (e) {
+            return [];
+          }
+          if (target === null || target === undefined) return [];
+        }
+        const names = new Set();
+        for (let obj = Object(target); obj; obj = Object.getPrototypeOf(obj)) {
+          for (const name of Object.getOwnPropertyNames(obj)) {
+            if (name.startsWith(prefix) && /^[A-Za-z_$][\\w$]*$/.test(name)) names.add(name);
+          }
+        }
+        return Array.from(names).sort();
+      })()
+    `;
+    
+    const { result, isException } = await this.executeInPage(code);
+    return { word, candidates: isException || !Array.isArray(result) ? [] : result, suffix: '' };
+  }
+  
+  /**
+   * Complete the last #id or .class of a selector from the page
+   */
+  async completeSelector(word) {
+    const match = word.match(/([#.])([\w-]*)$/);
+    if (!match) return null;
+    
+    const payload = this.toPageLiteral({ kind: match[1], prefix: match[2] });
+    const code = `
+      (() => {
+        const { kind, prefix } = ${payload};
+        const names = new Set();
+        for (const el of document.querySelectorAll(kind === '#' ? '[id]' : '[class]')) {
+          const values = kind === '#' ? [el.id] : Array.from(el.classList);
+          values.forEach(name => { if (name.startsWith(prefix)) names.add(name); });
+        }
+        return Array.from(names).sort();
+      })()
+    `;
+    
+    const { result, isException } = await this.executeInPage(code);
+    if (isException || !Array.isArray(result)) return null;
+    
+    // Candidates must be CSS-safe identifiers to be pasted back in
+    const head = word.substring(0, word.length - match[2].length);
+    const candidates = result
+      .filter(name => /^-?[A-Za-z_][\w-]*$/.test(name))
+      .map(name => head + name);
+    return { word, candidates, suffix: ' ' };
+  }
+  
+  /**
+   * Complete a repository path for `scrape github file`, one directory
+   * level at a time
+   */
+  async completeGitHubPath(word) {
+    const repository = this.githubRepository();
+    if (!repository || this.scopeViolation(`https://github.com/${repository.owner}/${repository.repo}`)) return null;
+    
+    const ref = repository.ref || await this.fetchDefaultBranch(repository.owner, repository.repo);
+    const { entries } = await this.fetchRepositoryTree(repository.owner, repository.repo, ref);
+    return this.completePath(word, entries.map(entry => entry.type === 'tree' ? entry.path + '/' : entry.path));
+  }
+  
+  /**
+   * Complete the name of a saved macro
+   */
+  async completeMacroName(word) {
+    const names = Object.keys(await this.loadMacros()).sort();
+    return { word, candidates: names.filter(name => name.startsWith(word)), suffix: ' ' };
+  }
+  
+  /**
+   * Complete the name of a library snippet
+   */
+  async completeSnippetName(word) {
+    await this.loadSnippets();
+    const names = this.librarySnippets().map(entry => entry.name).sort();
+    return { word, candidates: names.filter(name => name.startsWith(word)), suffix: ' ' };
+  }
+  
+  /**
+   * Complete `word` against a list of paths, one directory level at a
+   * time. Directory paths may be listed with a trailing '/' or implied.
+   */
+  completePath(word, paths) {
+    const candidates = new Set();
+    
+    for (const path of paths) {
+      if (!path.startsWith(word) || path === word) continue;
+      const slash = path.indexOf('/', word.length);
+      candidates.add(slash === -1 ? path : path.substring(0, slash + 1));
+    }
+    
+    return { word, candidates: Array.from(candidates).sort(), suffix: ' ' };
+  }
+  
+  /**
+   * Paths of every original file in the loaded source maps
+   */
+  originalSourcePaths() {
+    return Array.from(this.sourceMaps.values()).flatMap(sourceMap =>
+      sourceMap.sources.map(source => source.path)
+    );
+  }
+  
+  /**
+   * Execute command from input
+   */
+  async executeCommand() {
+    let command = this.commandInput.value.trim();
+    
+    // The line answers a pending y/N question; an empty one means no
+    if (this.pendingConfirmation) {
+      this.commandInput.value = '';
+      this.appendOutput(`[y/N]> ${command}`, 'command-line');
+      this.answerConfirmation(/^y(es)?$/i.test(command));
+      return;
+    }
+    
+    if (!command) return;
+    
+    // Editor toggle is handled here, not by the command parser
+    if (command === '.editor') {
+      this.commandInput.value = '';
+      this.setEditorMode(!this.editorMode);
+      return;
+    }
+    
+    // Drafts (a request to replay, a finding) go to their owner as typed
+    // and are kept out of history, since they often carry credentials
+    if (this.editorDraft) {
+      const { prompt, submit } = this.editorDraft;
+      const draft = this.commandInput.value;
+      
+      this.appendOutput(`${prompt} ${command.split('\n')[0]}`, 'command-line');
+      this.commandInput.value = '';
+      this.setEditorMode(false);
+      
+      try {
+        await submit(draft);
+      } catch (error) {
+        this.appendOutput(`ERROR: ${error.message}`, 'error');
+      }
+      this.output.parentElement.scrollTop = this.output.parentElement.scrollHeight;
+      return;
+    }
+    
+    // History expansion: !n re-runs entry n of `history`, !! the last one
+    if (/^!(!|\d+)$/.test(command)) {
+      const expanded = this.expandHistoryReference(command);
+      
+      if (expanded === null) {
+        this.commandInput.value = '';
+        this.appendOutput(`researcher@browser:~$ ${command}`, 'command-line');
+        this.appendOutput(`ERROR: ${command}: event not found`, 'error');
+        return;
+      }
+      command = expanded;
+    }
+    
+    // Add to history. Commands carrying a secret are left out: recalled
+    // in their masked form they would set the secret to ********
+    if (this.redactCommand(command) === command) {
+      this.recordHistory(command);
+    }
+    
+    // Display command in output
+    this.appendOutput(`researcher@browser:~$ ${this.redactCommand(command)}`, 'command-line');
+    
+    // Clear input (editor mode ends once its buffer has run)
+    this.commandInput.value = '';
+    if (this.editorMode) {
+      this.setEditorMode(false);
+    } else {
+      this.resizeCommandInput();
+    }
+    
+    // Parse and execute
+    await this.parseCommand(command);
+    
+    // Scroll to bottom
+    this.output.parentElement.scrollTop = this.output.parentElement.scrollHeight;
+  }
+  
+  /**
+   * Parse command and route to appropriate handler
+   */
+  async parseCommand(command) {
+    try {
+      const pipeline = this.parsePipeline(command);
+      if (pipeline.filters.length > 0) {
+        await this.runPipeline(pipeline);
+        return;
+      }
+      
+      const invocation = this.parseInvocation(command);
+
+      switch(invocation.name) {
+        case 'help':
+          this.showHelp();
+          break;
+
+        case 'clear':
+          this.clearTerminal();
+          break;
+
+        case 'scrape':
+          await this.handleScrapeCommand(invocation.args, invocation.options);
+          break;
+
+        case 'dom':
+          await this.handleDomCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'set':
+          await this.handleSetCommand(invocation.args);
+          break;
+          
+        case 'cancel':
+          this.cancelSnippets();
+          break;
+          
+        case 'history':
+          await this.handleHistoryCommand(invocation.args);
+          break;
+          
+        case 'transcript':
+          this.saveTranscript(invocation.args);
+          break;
+          
+        case 'scan':
+          await this.handleScanCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'sourcemap':
+          await this.handleSourceMapCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'audit':
+          await this.handleAuditCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'csp':
+          await this.handleCspCommand(invocation.source);
+          break;
+          
+        case 'net':
+          await this.handleNetCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'trace':
+          await this.handleTraceCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'postmessage':
+          await this.handlePostMessageCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'scope':
+          await this.handleScopeCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'finding':
+          await this.handleFindingCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'report':
+          await this.handleReportCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'macro':
+          await this.handleMacroCommand(invocation.args, invocation.options);
+          break;
+          
+        case 'snippets':
+          await this.handleSnippetsCommand(invocation.args, invocation.options);
+          break;
+
+        default:
+          // eval/exec/run and unrecognized commands are JavaScript snippets
+          if (invocation.source) {
+            this.lastSnippet = invocation.source; // for `snippets save`
+          }
+          await this.handleSnippetExecution(invocation.source);
+      }
+    } catch (error) {
+      if (error instanceof CommandParseError) {
+        this.reportParseError(command, error);
+      } else {
+        this.appendOutput(`ERROR: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * Split a command line into a structured invocation
+   *
+   * Built-in commands are tokenized shell-style into positional `args`
+   * and `options`. Snippets are never tokenized: their JavaScript is
+   * carried verbatim in `source`.
+   */
+  parseInvocation(command) {
+    const name = command.split(/\s+/)[0].toLowerCase();
+
+    if (SNIPPET_COMMANDS.has(name)) {
+      return { name, args: [], options: {}, source: command.substring(name.length).trim() };
+    }
+
+    if (!BUILTIN_COMMANDS.has(name)) {
+      return { name: 'eval', args: [], options: {}, source: command };
+    }
+
+    // First token is the command name itself
+    const { args, options } = this.parseArguments(this.tokenize(command).slice(1));
+    return { name, args, options, source: command.substring(name.length).trim() };
+  }
+
+  /**
+   * Shell-style lexer
+   *
+   * Supports 'single quotes' (fully literal), "double quotes" (with \" \\
+   * \n \t \r escapes) and backslash escapes outside quotes. Adjacent
+   * quoted and unquoted parts join into one token, so --name="a b" works.
+   * A token is `literal` when it starts with a quote or escape, which
+   * keeps it from being read as an option.
+   */
+  tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      // Skip whitespace between tokens
+      while (i < input.length && /\s/.test(input[i])) i++;
+      if (i >= input.length) break;
+
+      const column = i + 1;
+      let value = '';
+      const literal = input[i] === "'" || input[i] === '"' || input[i] === '\\';
+
+      while (i < input.length && !/\s/.test(input[i])) {
+        const ch = input[i];
+
+        if (ch === "'") {
+          const close = input.indexOf("'", i + 1);
+          if (close === -1) {
+            throw new CommandParseError('Unterminated single quote', i + 1);
+          }
+          value += input.substring(i + 1, close);
+          i = close + 1;
+
+        } else if (ch === '"') {
+          const open = i;
+          let closed = false;
+          i++;
+
+          while (i < input.length) {
+            const c = input[i];
+            if (c === '"') {
+              closed = true;
+              i++;
+              break;
+            }
+            if (c === '\\' && i + 1 < input.length) {
+              const next = input[i + 1];
+              value += next in DOUBLE_QUOTE_ESCAPES ? DOUBLE_QUOTE_ESCAPES[next] : c + next;
+              i += 2;
+              continue;
+            }
+            value += c;
+            i++;
+          }
+
+          if (!closed) {
+            throw new CommandParseError('Unterminated double quote', open + 1);
+          }
+
+        } else if (ch === '\\') {
+          if (i + 1 >= input.length) {
+            throw new CommandParseError('Trailing backslash', i + 1);
+          }
+          value += input[i + 1];
+          i += 2;
+
+        } else {
+          value += ch;
+          i++;
+        }
+      }
+
+      tokens.push({ value, literal, column });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Separate tokens into positional arguments and --options
+   *
+   * `--name=value` sets a string option, bare `--name` sets it to true and
+   * a lone `--` ends option parsing. Options in VALUE_OPTIONS also take
+   * the next token as their value. Literal tokens are always positional,
+   * so "--text" can be passed as a value.
+   */
+  parseArguments(tokens) {
+    const args = [];
+    const options = {};
+    let optionsEnded = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (optionsEnded || token.literal || !token.value.startsWith('--')) {
+        args.push(token.value);
+        continue;
+      }
+
+      if (token.value === '--') {
+        optionsEnded = true;
+        continue;
+      }
+
+      const match = token.value.match(/^--([a-zA-Z][\w-]*)(?:=([\s\S]*))?$/);
+      if (!match) {
+        throw new CommandParseError(`Invalid option "${token.value}"`, token.column);
+      }
+
+      const name = match[1].toLowerCase();
+
+      if (match[2] === undefined && VALUE_OPTIONS.has(name)) {
+        if (i + 1 >= tokens.length) {
+          throw new CommandParseError(`Option --${name} needs a value`, token.column);
+        }
+        options[name] = tokens[++i].value;
+        continue;
+      }
+
+      options[name] = match[2] === undefined ? true : match[2];
+    }
+
+    return { args, options };
+  }
+
+  /**
+   * Show a parse error with a caret under the offending column
+   */
+  reportParseError(command, error) {
+    const caret = ' '.repeat(Math.max(0, error.column - 1)) + '^';
+    this.appendOutput(
+      `PARSE ERROR: ${error.message} (column ${error.column})\n  ${command}\n  ${caret}`,
+      'error'
+    );
+  }
+
+  /**
+   * Split a command line into the command, its filters and a `> file`
+   * 
+   * A `|` outside quotes (and, in snippets, outside brackets) starts a
+   * filter when a filter name follows it, so `a | b` in a snippet stays
+   * bitwise OR and `||` is never a pipe. A trailing `> file` is read only
+   * after a filter: before one, `>` is a comparison in a snippet and text
+   * in a built-in (`dom set h1 Price > 100`).
+   */
+  parsePipeline(command) {
+    const builtin = BUILTIN_COMMANDS.has(command.split(/\s+/)[0].toLowerCase());
+    const quotes = builtin ? '\'"' : '\'"`';
+    const cuts = [];
+    let redirectAt = -1;
+    let quote = null;
+    let depth = 0;
+    
+    for (let i = 0; i < command.length; i++) {
+      const ch = command[i];
+    
+      if (quote) {
+        if (ch === '\\' && !(builtin && quote === "'")) {
+          i++;
+        } else if (ch === quote) {
+          quote = null;
+        }
+      } else if (ch === '\\') {
+        i++;
+      } else if (quotes.includes(ch)) {
+        quote = ch;
+      } else if (!builtin && '([{'.includes(ch)) {
+        depth++;
+      } else if (!builtin && ')]}'.includes(ch)) {
+        depth = Math.max(0, depth - 1);
+      } else if (depth > 0) {
+        continue;
+      } else if (ch === '|' && command[i + 1] === '|') {
+        i++;
+      } else if (ch === '|' && Object.hasOwn(PIPE_FILTERS, /^\s*([a-z]+)(?=\s|$)/.exec(command.substring(i + 1))?.[1])) {
+        cuts.push(i);
+        redirectAt = -1;
+      } else if (ch === '>' && cuts.length > 0 && /\s/.test(command[i - 1]) && /^\s*[^\s>=]/.test(command.substring(i + 1))) {
+        redirectAt = i;
+      }
+    }
+    
+    // `> file` is the last thing on the line: `a > b c` is no redirection
+    let redirect = null;
+    if (redirectAt !== -1) {
+      const target = this.tokenize(command.substring(redirectAt + 1));
+      if (target.length === 1) {
+        redirect = target[0].value;
+        command = command.substring(0, redirectAt);
+      }
+    }
+    
+    const stages = [-1, ...cuts].map((cut, i) => [cut + 1, cuts[i] ?? command.length]);
+    const filters = stages.slice(1).map(([start, end]) => {
+      let tokens;
+      try {
+        tokens = this.tokenize(command.substring(start, end));
+      } catch (error) {
+        if (error instanceof CommandParseError) {
+          error.column += start;
+        }
+        throw error;
+      }
+      return { name: tokens[0].value, tokens: tokens.slice(1) };
+    });
+    
+    return {
+      command: command.substring(0, stages[0][1]).trim(),
+      filters,
+      redirect
+    };
+  }
+  
+  /**
+   * Run a command with its output captured, pass the result through each
+   * filter in turn, then show it or save it to a file
+   */
+  async runPipeline({ command, filters, redirect }) {
+    const outer = this.pipeCapture;
+    const errors = this.errorCount;
+    let chunks;
+    
+    this.pipeCapture = [];
+    try {
+      await this.parseCommand(command);
+    } finally {
+      chunks = this.pipeCapture;
+      this.pipeCapture = outer;
+    }
+    
+    // The command has reported its own error
+    if (this.errorCount > errors) return;
+    
+    let value = this.pipeInput(chunks);
+    for (const filter of filters) {
+      value = this.applyPipeFilter(value, filter);
+    }
+    
+    if (redirect) {
+      this.savePipeOutput(redirect, value);
+    } else {
+      this.showPipeOutput(value, ['json', 'csv'].includes(filters[filters.length - 1]?.name));
+    }
+  }
+  
+  /**
+   * Hand a result to the pipeline being run, if any; false means there
+   * is none and the caller shows the result itself
+   */
+  pipeValue(value) {
+    if (!this.pipeCapture) return false;
+    
+    this.pipeCapture.push({ value });
+    return true;
+  }
+  
+  /**
+   * The captured output of a piped command as one value
+   * 
+   * Results handed over with pipeValue() win: progress messages printed
+   * alongside them are dropped. Commands that only print text give their
+   * non-blank lines.
+   */
+  pipeInput(chunks) {
+    const values = chunks.filter(chunk => 'value' in chunk).map(chunk => chunk.value);
+    
+    if (values.length === 1) return values[0];
+    if (values.length > 1) return values.flat();
+    return chunks.flatMap(chunk => chunk.text.split('\n')).filter(line => line.trim());
+  }
+  
+  /**
+   * A value as the list of items line-oriented filters work on: an
+   * array's elements, a string's lines, or the value itself
+   */
+  pipeItems(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split('\n');
+    return value === undefined || value === null ? [] : [value];
+  }
+  
+  /**
+   * Apply one filter stage to a value
+   */
+  applyPipeFilter(value, { name, tokens }) {
+    const { flags: allowed, operands: maxOperands, usage } = PIPE_FILTERS[name];
+    const flags = new Set();
+    const operands = [];
+    
+    tokens.forEach(token => {
+      if (!token.literal && /^-\d+$/.test(token.value) && (name === 'head' || name === 'tail')) {
+        operands.push(token.value.substring(1)); // head -5
+      } else if (!token.literal && /^-[a-z]+$/i.test(token.value)) {
+        [...token.value.substring(1)].forEach(flag => {
+          if (!allowed.includes(flag)) {
+            throw new Error(`${name}: unknown option -${flag}. Usage: ${usage}`);
+          }
+          flags.add(flag);
+        });
+      } else {
+        operands.push(token.value);
+      }
+    });
+    
+    if (operands.length > maxOperands) {
+      throw new Error(`${name}: too many arguments. Usage: ${usage}`);
+    }
+    
+    const items = this.pipeItems(value);
+    const [operand] = operands;
+    
+    switch(name) {
+      case 'grep': {
+        if (operand === undefined) {
+          throw new Error(`Usage: ${usage}`);
+        }
+        let pattern;
+        try {
+          pattern = new RegExp(operand, flags.has('i') ? 'i' : '');
+        } catch (error) {
+          throw new Error(`grep: ${error.message}`);
+        }
+        return items.filter(item => pattern.test(this.pipeItemText(item)) !== flags.has('v'));
+      }
+    
+      case 'head':
+      case 'tail': {
+        const count = operand === undefined ? PIPE_DEFAULT_COUNT : Number(operand);
+        if (!Number.isInteger(count) || count < 0) {
+          throw new Error(`${name}: not a count: ${operand}`);
+        }
+        return name === 'head' ? items.slice(0, count) : items.slice(Math.max(0, items.length - count));
+      }
+    
+      case 'sort': {
+        const path = operand === undefined || operand.startsWith('.') ? operand : `.${operand}`;
+        const key = (item) => path === undefined ? item : this.selectPath(item, path);
+        const numeric = flags.has('n') || items.every(item => typeof key(item) === 'number');
+        const compare = (a, b) => {
+          if (numeric) return (Number(a) || 0) - (Number(b) || 0);
+          const [x, y] = [a, b].map(part => this.pipeItemText(part));
+          return x < y ? -1 : x > y ? 1 : 0;
+        };
+        const sorted = [...items].sort((a, b) => compare(key(a), key(b)));
+        return flags.has('r') ? sorted.reverse() : sorted;
+      }
+    
+      case 'uniq': {
+        const groups = new Map();
+        items.forEach(item => {
+          const id = JSON.stringify(item);
+          const group = groups.get(id) || { count: 0, value: item };
+          group.count++;
+          groups.set(id, group);
+        });
+        return flags.has('c') ? [...groups.values()] : [...groups.values()].map(group => group.value);
+      }
+    
+      case 'count':
+        return items.length;
+    
+      case 'jq':
+        if (operand === undefined) {
+          throw new Error(`Usage: ${usage} (e.g. .[].href, .data.items[0])`);
+        }
+        return this.selectPath(value, operand);
+    
+      case 'json':
+        return JSON.stringify(value ?? null, null, 2);
+    
+      case 'csv':
+        return this.toCsv(items);
+    }
+  }
+  
+  /**
+   * The text filters match and compare an item by: a string as it is,
+   * an object's values joined by tabs
+   */
+  pipeItemText(item) {
+    if (item !== null && typeof item === 'object') {
+      return Object.values(item).map(part => typeof part === 'string' ? part : JSON.stringify(part)).join('\t');
+    }
+    return String(item);
+  }
+  
+  /**
+   * Select from a value with a jq-style path
+   * 
+   * Supports .name, ["name"], [n] (negative counts from the end) and []
+   * to take every element or value; after [] the result is a list.
+   * Missing properties give null.
+   */
+  selectPath(value, path) {
+    const step = /\.?\[\]|\.?\[(-?\d+)\]|\.?\["((?:[^"\\]|\\.)*)"\]|\.([A-Za-z_$][\w$-]*)|\./y;
+    let results = [value];
+    let listed = false;
+    
+    if (!path.startsWith('.')) {
+      throw new Error(`jq: a path starts with "." (got ${path})`);
+    }
+    
+    while (step.lastIndex < path.length) {
+      const start = step.lastIndex;
+      const match = step.exec(path);
+      if (!match) {
+        throw new Error(`jq: can't read path ${path} at column ${start + 1}`);
+      }
+    
+      const [text, index, quoted, name] = match;
+      if (text.endsWith('[]')) {
+        results = results.flatMap(item => item !== null && typeof item === 'object' ? Object.values(item) : []);
+        listed = true;
+      } else if (index !== undefined || quoted !== undefined || name !== undefined) {
+        const key = index !== undefined ? Number(index) : quoted !== undefined ? JSON.parse(`"${quoted}"`) : name;
+        results = results.map(item => {
+          if (item === null || typeof item !== 'object') return null;
+          const at = typeof key === 'number' && key < 0 && Array.isArray(item) ? item.length + key : key;
+          return Object.hasOwn(item, at) ? item[at] : null;
+        });
+      }
+    }
+    
+    return listed ? results : results[0];
+  }
+  
+  /**
+   * Items as CSV: objects give a header row and one row each, anything
+   * else one value per row
+   * 
+   * Cells that a spreadsheet would run as a formula (=, +, -, @) are
+   * prefixed with ', since scraped values come from the page.
+   */
+  toCsv(items) {
+    const cell = (value) => {
+      let text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    if (items.length > 0 && items.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+      const headers = [...new Set(items.flatMap(item => Object.keys(item)))];
+      return [headers, ...items.map(item => headers.map(header => item[header]))]
+        .map(row => row.map(cell).join(','))
+        .join('\n');
+    }
+    
+    return items.map(item => Array.isArray(item) ? item.map(cell).join(',') : cell(item)).join('\n');
+  }
+  
+  /**
+   * Show a pipeline's result: lists of objects as a table, other lists
+   * one item per line
+   */
+  showPipeOutput(value, formatted) {
+    // Inside another pipeline, the value goes on as it is
+    if (this.pipeValue(value)) return;
+    
+    if (typeof value === 'string') {
+      this.appendOutput(value, formatted ? 'code' : 'success');
+    } else if (Array.isArray(value)) {
+      if (value.length === 0) {
+        this.appendOutput('(no items)', 'warning');
+      } else if (value.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+        const headers = [...new Set(value.flatMap(item => Object.keys(item)))];
+        this.appendTable(headers, value.map(item => headers.map(header =>
+          item[header] !== null && typeof item[header] === 'object' ? JSON.stringify(item[header]) : item[header]
+        )));
+      } else {
+        this.appendOutput(value.map(item => typeof item === 'string' ? item : JSON.stringify(item)).join('\n'), 'success');
+      }
+    } else if (value !== null && typeof value === 'object') {
+      this.appendOutput(JSON.stringify(value, null, 2), 'code');
+    } else {
+      this.appendOutput(String(value), 'success');
+    }
+  }
+  
+  /**
+   * Download a pipeline's result; the file's extension picks the format
+   * (.json, .csv, or text with one item per line)
+   */
+  savePipeOutput(fileName, value) {
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    let text;
+    
+    if (typeof value === 'string') {
+      text = value;
+    } else if (extension === 'json') {
+      text = JSON.stringify(value ?? null, null, 2);
+    } else if (extension === 'csv') {
+      text = this.toCsv(this.pipeItems(value));
+    } else {
+      text = this.pipeItems(value).map(item => typeof item === 'string' ? item : JSON.stringify(item)).join('\n');
+    }
+    
+    const mimeType = { json: 'application/json', csv: 'text/csv' }[extension] || 'text/plain';
+    this.downloadFile(fileName, text + '\n', mimeType);
+    this.appendOutput(`✓ Saved output to ${fileName} (${text.split('\n').length} line(s))`, 'success');
+  }
+  
+  /**
+   * Display help information
+   */
+  showHelp() {
+    const helpText = `
+═══════════════════════════════════════════════════════════════
+AVAILABLE COMMANDS
+═══════════════════════════════════════════════════════════════
+
+JAVASCRIPT SNIPPET EXECUTION:
+  <javascript code>          Execute JavaScript in page context
+  eval <code>                Explicitly evaluate JavaScript
+  .editor                    Toggle multi-line editor mode
+  Shift+Enter                Insert a newline
+  cancel                     Stop waiting for a pending snippet
+  Snippets may contain several statements; the value of the last
+  expression is returned, like the Chrome console. Top-level await
+  works and returned Promises are resolved (see 'set timeout').
+  Results appear in an inspector: click ▶ to expand objects.
+  Examples:
+    document.title
+    Array.from(document.links).map(l => l.href)
+    let n = 0; for (const a of document.links) n++; n
+    await fetch('/api/me').then(r => r.json())
+
+DOM MODIFICATION:
+  dom set <selector> <value>     Set text content of elements
+  dom html <selector> <html>     Set innerHTML of elements
+  dom attr <selector> <attr> <value>  Set attribute
+  dom replace <old> <new>        Replace text in page (literal)
+    --regex                      Treat <old> as a regular expression
+    --flags=<flags>              Regex flags (default: g)
+  dom undo                       Undo the last DOM command
+  dom redo                       Redo the last undone command
+  dom history                    List DOM commands since page load
+  dom revert-all                 Undo every recorded DOM command
+  Examples:
+    dom set h1 "New Heading"
+    dom html #content "<p>Updated</p>"
+    dom attr .button disabled true
+    dom replace "old text" "new text"
+    dom replace --regex --flags=gi "v(\\d+)" "version $1"
+
+SCRAPING (requires validated Target URL):
+  scrape github readme           Fetch README.md
+  scrape github tree [dir]       Show repository tree with sizes
+  scrape github file <path>      Fetch specific file
+  scrape github file owner/repo@ref:path
+    --ref=<branch|tag|sha>       Use a ref other than the default branch
+  set github-token <token>       Session-only API token (none = clear)
+  scan secrets [dir]             Scan repository files for leaked secrets
+    --rules=<id,id>              Only these rules (see 'scan rules')
+    --allow=<regex>              Ignore matching secrets this time
+    --max-files=<n>              File cap (default 500)
+  scan rules                     List secret detection rules
+  scan allow [<regex>|clear]     Show or edit the session allowlist
+  scrape page text               Extract visible text
+  scrape page links              Extract all links
+  scrape page meta               Extract meta tags
+  scrape page scripts            Endpoints, keys, hosts and source maps
+                                 found in the page's JavaScript
+  scrape page forms              Forms, fields, hidden values, CSRF
+                                 tokens, uploads and event handlers
+
+AUDITS (inspected page):
+  audit headers                  Grade CSP, HSTS, framing, Referrer-,
+                                 Permissions-Policy, COOP/COEP/CORP, nosniff
+  audit cookies                  Check Secure, HttpOnly, SameSite,
+                                 Domain/Path and cookie prefixes
+  csp analyze [policy]           Analyze the page's CSP (headers and
+                                 <meta>), or a pasted policy
+
+NETWORK (kept in panel memory only):
+  net capture start|stop         Record requests as they finish
+  net list                       List captured requests
+    --method=<verb>              e.g. --method=POST
+    --status=<code|4xx|a-b>      e.g. --status=4xx, --status=200-299
+    --mime=<text>                MIME type contains text
+    --url=<regex>                URL matches
+    --auth                       Requests sending credentials
+  net show <id>                  Headers and bodies of request #id
+  net grep <pattern>             Search captured bodies (takes the
+                                 list filters; --regex, --flags=<f>)
+  net replay <id>                Edit and resend a request from the
+                                 page (Ctrl+Enter sends, Esc cancels)
+  net variants <id>              Replayed variants (#id.1, #id.2, ...)
+  net diff <a> [b]               Compare responses side by side (one
+                                 variant: against its original)
+  net export [file]              Save captured requests as HAR 1.2
+    --redact                     Blank Authorization/Cookie values
+                                 (also takes the list filters)
+  net import                     Load a HAR file to list, show, grep
+  net clear                      Forget captured requests
+
+DOM XSS TRACING (inspected page):
+  trace sinks                    Hook innerHTML, outerHTML,
+                                 insertAdjacentHTML, document.write,
+                                 string timers, location, jQuery .html()
+                                 and report each call with its stack
+    --eval                       Hook eval too (the page's direct eval
+                                 calls then lose their local scope)
+    --reload                     Reload with hooks in place from load
+    --canary=<text>              Use this canary (default: random)
+    --canary-only                Only report calls carrying the canary
+  trace seed [hash|query|message]  Put the canary in the URL hash, the
+                                 query (--param=<name>) or a postMessage
+  trace stop                     Restore the original functions
+
+POSTMESSAGE (inspected page):
+  postmessage listeners          Message handlers, their source and
+                                 origin checks
+  postmessage monitor start|stop Log messages to the page and its frames,
+                                 and postMessage calls with their
+                                 targetOrigin
+  postmessage frames             Number the page's iframes
+  postmessage send <payload|message>  Post from the page (--json,
+                                 --frame=<n>, --origin=<targetOrigin>)
+  postmessage payloads           List payloads; add <name> <message>
+                                 [--json] or remove <name> to edit
+
+SOURCE MAPS:
+  sourcemap load [url]           Load a map, or find the page's maps
+  sourcemap list                 Show loaded maps
+  sourcemap tree                 Recovered original files
+  sourcemap show <file>          Show an original file
+    --page=<n>                   Page of 200 lines (default 1)
+  sourcemap map <script:line:col>  Original location of minified code
+  sourcemap clear                Forget loaded maps
+
+SCOPE (saved; enforced for page commands, scraping and requests):
+  scope [list]                   Show rules; is the inspected page in?
+  scope include <pattern>...     Allow [scheme://]host[:port][/path]
+  scope exclude <pattern>...     Deny, even if included
+                                 (*.example.com = any subdomain, * = any
+                                 host; paths cover what is below them)
+  scope remove <pattern>...      Delete rules
+  scope check [url]              Test a URL (default: inspected page)
+  scope import                   Load a program's scope JSON
+    --replace                    Drop the current rules first
+  scope export [file]            Save the rules as JSON
+  scope clear                    Remove all rules (nothing restricted)
+
+FINDINGS (saved until deleted):
+  Alt+click output               Select a command and its output as
+                                 evidence (again to deselect)
+  finding add [title]            Write a finding in the editor: title,
+                                 severity, CVSS vector, URL, description,
+                                 steps, impact; selected output attached
+    --last=<n>                   Attach the last n commands instead
+  finding list                   Findings, most severe first
+  finding show <id>              A finding as it appears in the report
+  finding edit <id>              Change a finding in the editor
+  finding evidence <id>          Attach selected output (or --last=<n>)
+    --remove=<n>                 Drop evidence block n instead
+  finding delete <id>            Delete a finding
+  report export [file]           Download a report of all findings
+    --format=md|json             Markdown (default) or JSON
+    --id=<n,n>                   Only these findings
+
+MACROS (saved command sequences):
+  macro define <name> [cmd...]   Save commands as a macro; without any,
+                                 write one per line in the editor
+  macro run <name> [args]        Run each step; stops at the first error
+                                 and asks y/N before steps that change
+                                 the page
+  macro list                     Saved macros
+  macro show <name>              A macro's steps
+  macro delete <name>            Delete a macro
+  macro export [file]            Save all macros as a text file
+  macro import                   Load macros from a text file
+    --replace                    Drop the current macros first
+  In steps: $1, $2, ... arguments, $@ all of them, $TARGET (Target URL),
+  $URL, $ORIGIN, $HOST (inspected page). Quote "$1" if it has spaces.
+
+PIPES (filter a command's results, or save them):
+  <command> | <filter> | ...     Pass results through filters; they see
+                                 data (snippet values, table rows, all
+                                 scraped links), or else output lines
+  grep [-i] [-v] <regex>         Keep items that match (-v: that don't)
+  head [n] / tail [n]            First / last n items (default 10)
+  sort [-n] [-r] [key]           Sort, by a property or jq path of each
+                                 item (-n: numbers, -r: reverse)
+  uniq [-c]                      Drop repeats (-c: count them)
+  count                          Number of items
+  jq <path>                      Select, e.g. .[].href, .data[0].id
+  json / csv                     Format as JSON / CSV
+  ... | <filter> > <file>        Download instead (.json, .csv or text)
+  Examples:
+    scrape page links | grep api | count
+    eval Object.keys(localStorage) | sort | uniq
+    net list | jq .[].url > urls.txt
+  After a snippet, '|' is a pipe only before a filter name. '>' saves
+  only after a filter (scrape page links | json > links.json).
+
+SNIPPET LIBRARY (built-in recon snippets and your own):
+  snippets [list] [category]     Snippets by category (storage, recon,
+                                 dom, performance, saved)
+  snippets search <text>         Match names, tags, descriptions, code
+  snippets show <name>           A snippet's description and code
+  snippets run <name> [args]     Run it in the page; args arrive in the
+                                 snippet as the array 'args'
+  snippets save <name>           Save the last snippet you ran
+    --tags=<a,b>                 Tags to find it by
+    --description=<text>         One line shown in the list
+    --category=<name>            Category (default: saved)
+  snippets delete <name>         Delete a saved snippet
+
+UTILITY:
+  help                          Show this help
+  clear                         Clear terminal output
+  set                           List settings
+  set <name> <value>            Change a setting (e.g. set timeout 5000)
+  transcript [file]             Download this session's output
+
+COMPLETION:
+  Tab                           Complete commands, subcommands, settings,
+                                #ids/.classes for dom selectors, paths for
+                                'scrape github file' and page properties
+                                (e.g. document.loc). Press again to list.
+
+HISTORY:
+  history [count]               List recent commands (default 50)
+  history clear                 Forget history for this origin
+  !n / !!                       Re-run command n / the last command
+  Ctrl+R                        Reverse search (Enter runs, Esc edits,
+                                Ctrl+G cancels)
+  set history on|off            Keep history per origin across sessions
+                                (off by default; off deletes it)
+
+COMMAND SYNTAX (built-in commands):
+  "double quotes"               Keep spaces; \\" \\\\ \\n \\t escapes
+  'single quotes'               Keep spaces; taken literally
+  \\<char>                       Escape a single character
+  --name=value, --flag          Options
+  --                            End of options
+
+═══════════════════════════════════════════════════════════════
+ETHICAL USAGE GUIDELINES
+═══════════════════════════════════════════════════════════════
+
+✓ Only operate on tabs you explicitly opened
+✓ Keep to the program's scope (see 'scope')
+✓ Only scrape public repositories and websites
+✓ Respect robots.txt and terms of service
+✓ Use for authorized bug bounty research only
+✓ No automated crawling or rate limit abuse
+
+✗ No authentication bypass attempts
+✗ No private content access
+✗ No data exfiltration
+✗ No malicious code injection
+
+═══════════════════════════════════════════════════════════════
+`;
+    this.appendOutput(helpText, 'success');
+  }
+  
+  /**
+   * Show or change terminal settings
+   */
+  async handleSetCommand(args) {
+    if (args.length === 0) {
+      const lines = Object.entries(SETTINGS).map(([name, setting]) =>
+        `  ${name.padEnd(12)} ${this.formatSetting(name).padEnd(8)} ${setting.description}`
+      );
+      this.appendOutput(`Settings:\n${lines.join('\n')}`, 'success');
+      return;
+    }
+    
+    const name = args[0].toLowerCase();
+    const setting = SETTINGS[name];
+    
+    if (!setting) {
+      this.appendOutput(`ERROR: Unknown setting "${args[0]}". Use: ${Object.keys(SETTINGS).join(', ')}`, 'error');
+      return;
+    }
+    
+    if (args.length < 2) {
+      this.appendOutput(`ERROR: Usage: set ${name} <value>`, 'error');
+      return;
+    }
+    
+    this.settings[name] = setting.parse(args[1]);
+    
+    if (setting.apply) {
+      await this[setting.apply](this.settings[name]);
+    }
+    
+    this.appendOutput(`✓ ${name} = ${this.formatSetting(name)}`, 'success');
+  }
+  
+  /**
+   * Display form of a setting's current value
+   */
+  formatSetting(name) {
+    const setting = SETTINGS[name];
+    return setting.format ? setting.format(this.settings[name]) : String(this.settings[name]);
+  }
+  
+  /**
+   * Mask the value of secret settings (`set github-token ...`) so it never
+   * reaches history, the transcript or the screen
+   * 
+   * Matches anywhere in the line, so a `set` quoted inside another
+   * command (`macro define login "set github-token ..."`) is caught too.
+   */
+  redactCommand(command) {
+    return command.replace(/(\bset\s+)([\w-]+)(\s+)("[^"]*"?|'[^']*'?|[^\s"']+)/gi, (match, set, name, space) =>
+      SETTINGS[name.toLowerCase()]?.secret ? `${set}${name}${space}********` : match);
+  }
+  
+  /**
+   * Add a command to history, skipping immediate repeats
+   */
+  recordHistory(command) {
+    if (this.commandHistory[0] !== command) {
+      this.commandHistory.unshift(command);
+      this.commandHistory.length = Math.min(this.commandHistory.length, HISTORY_LIMIT);
+      this.saveHistory();
+    }
+    this.historyIndex = -1;
+  }
+  
+  /**
+   * Resolve !n / !! to a history entry, or null if there is none
+   * 
+   * Numbers match the `history` listing, where 1 is the oldest entry.
+   */
+  expandHistoryReference(reference) {
+    if (reference === '!!') {
+      return this.commandHistory[0] ?? null;
+    }
+    
+    const number = Number(reference.substring(1));
+    const index = this.commandHistory.length - number;
+    return number >= 1 && index >= 0 ? this.commandHistory[index] : null;
+  }
+  
+  /**
+   * List or clear command history
+   */
+  async handleHistoryCommand(args) {
+    const action = args[0]?.toLowerCase();
+    
+    if (action === 'clear') {
+      this.commandHistory = [];
+      this.historyIndex = -1;
+      if (this.settings.history && this.historyOrigin) {
+        await chrome.storage.local.remove(HISTORY_KEY_PREFIX + this.historyOrigin);
+      }
+      this.appendOutput('✓ History cleared', 'success');
+      return;
+    }
+    
+    if (action !== undefined && !/^\d+$/.test(action)) {
+      this.appendOutput('ERROR: Usage: history [count] | history clear', 'error');
+      return;
+    }
+    
+    const count = action === undefined ? 50 : Number(action);
+    const total = this.commandHistory.length;
+    const shown = this.commandHistory.slice(0, count).reverse();
+    const width = String(total).length;
+    
+    const lines = shown.map((command, i) => {
+      const number = total - shown.length + i + 1;
+      return `  ${String(number).padStart(width)}  ${command.replace(/\n/g, '\n' + ' '.repeat(width + 4))}`;
+    });
+    
+    this.appendOutput(lines.length > 0 ? lines.join('\n') : 'History is empty.', 'success');
+  }
+  
+  /**
+   * React to `set history on|off`
+   * 
+   * Turning persistence off deletes every stored history, for all
+   * origins, along with the preference itself.
+   */
+  async applyHistorySetting(enabled) {
+    if (enabled) {
+      await chrome.storage.local.set({ [HISTORY_PREFERENCE_KEY]: true });
+      if (!this.historyOrigin) {
+        this.historyOrigin = await this.detectInspectedOrigin();
+      }
+      await this.saveHistory();
+      this.appendOutput(`History for ${this.historyOrigin} will be kept in chrome.storage.local`, 'warning');
+    } else {
+      const stored = await chrome.storage.local.get(null);
+      const keys = Object.keys(stored).filter(key => key.startsWith(HISTORY_KEY_PREFIX));
+      await chrome.storage.local.remove([HISTORY_PREFERENCE_KEY, ...keys]);
+      this.appendOutput(`Stored history deleted (${keys.length} origin(s))`, 'success');
+    }
+  }
+  
+  /**
+   * Re-enable persistence at startup if the user opted in earlier
+   */
+  async restoreHistorySetting() {
+    const stored = await chrome.storage.local.get(HISTORY_PREFERENCE_KEY);
+    if (!stored[HISTORY_PREFERENCE_KEY]) return;
+    
+    this.settings.history = true;
+    this.historyOrigin = await this.detectInspectedOrigin();
+    
+    const key = HISTORY_KEY_PREFIX + this.historyOrigin;
+    const saved = (await chrome.storage.local.get(key))[key] || [];
+    this.commandHistory = this.commandHistory.concat(saved).slice(0, HISTORY_LIMIT);
+  }
+  
+  /**
+   * Swap to the stored history of a new origin after navigation
+   */
+  async switchHistoryOrigin(url) {
+    if (!this.settings.history) return;
+    
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch (error) {
+      return;
+    }
+    if (origin === this.historyOrigin) return;
+    
+    this.historyOrigin = origin;
+    const key = HISTORY_KEY_PREFIX + origin;
+    this.commandHistory = (await chrome.storage.local.get(key))[key] || [];
+    this.historyIndex = -1;
+  }
+  
+  /**
+   * Write history for the current origin, if persistence is on
+   */
+  async saveHistory() {
+    if (!this.settings.history || !this.historyOrigin) return;
+    await chrome.storage.local.set({ [HISTORY_KEY_PREFIX + this.historyOrigin]: this.commandHistory });
+  }
+  
+  /**
+   * Origin of the inspected page
+   */
+  async detectInspectedOrigin() {
+    // Read directly: out-of-scope pages still keep their own history
+    const url = await this.inspectedUrl();
+    return url ? new URL(url).origin : 'unknown';
+  }
+  
+  /**
+   * Save everything shown this session, including cleared output
+   */
+  saveTranscript(args) {
+    const stamp = new Date().toISOString();
+    const fileName = args[0] || `terminal-transcript-${stamp.replace(/[:.]/g, '-')}.txt`;
+    const header = `# Security Research Terminal transcript - ${stamp}\n\n`;
+    
+    this.downloadFile(fileName, header + this.transcript.join('\n') + '\n', 'text/plain');
+    this.appendOutput(`✓ Saved transcript (${this.transcript.length} entries) to ${fileName}`, 'success');
+  }
+  
+  /**
+   * Offer content to the user as a file download
+   */
+  downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  /**
+   * Clear terminal output
+   */
+  clearTerminal() {
+    this.output.innerHTML = '';
+    
+    // Inspector trees are gone, so let the page release their objects
+    this.executeInPage(`delete window[Symbol.for('securityResearchTerminal.handles')]`);
+    
+    this.appendOutput('Terminal cleared.', 'success');
+  }
+  
+  /**
+   * Validate target URL for scraping
+   */
+  validateTargetUrl() {
+    const url = this.targetUrl.value.trim();
+    
+    if (!url) {
+      this.appendOutput('ERROR: Please enter a URL', 'error');
+      return;
+    }
+    
+    try {
+      const parsedUrl = new URL(url);
+      
+      // Validate protocol
+      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new Error('Only HTTP and HTTPS protocols are supported');
+      }
+      
+      const violation = this.scopeViolation(parsedUrl.href);
+      if (violation) {
+        throw new Error(`Out of scope (${violation}). Use: scope`);
+      }
+      
+      this.validatedUrl = parsedUrl;
+      this.targetUrl.style.borderColor = 'var(--text-primary)';
+      this.appendOutput(`✓ Target URL validated: ${url}`, 'success');
+      
+    } catch (error) {
+      this.validatedUrl = null;
+      this.targetUrl.style.borderColor = 'var(--text-error)';
+      this.appendOutput(`ERROR: Invalid URL - ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Handle scraping commands
+   */
+  async handleScrapeCommand(args, options = {}) {
+    if (!this.validatedUrl) {
+      this.appendOutput('ERROR: Please validate a Target URL first', 'error');
+      return;
+    }
+    
+    // Rules may have changed since the URL was validated
+    const violation = this.scopeViolation(this.validatedUrl.href);
+    if (violation) {
+      this.appendOutput(`ERROR: Target ${this.validatedUrl.href} is out of scope (${violation}). Use: scope`, 'error');
+      return;
+    }
+    
+    this.setStatusIndicator('scraping', true);
+    
+    try {
+      const type = args[0]?.toLowerCase();
+      
+      switch(type) {
+        case 'github':
+          await this.scrapeGitHub(args.slice(1), options);
+          break;
+          
+        case 'page': {
+          // Page scrapers run in the inspected page, so it must be in scope too
+          const pageViolation = await this.inspectedScopeViolation();
+          if (pageViolation) {
+            this.appendOutput(`ERROR: ${pageViolation}`, 'error');
+            break;
+          }
+          await this.scrapePage(args.slice(1), options);
+          break;
+        }
+          
+        default:
+          this.appendOutput('ERROR: Unknown scrape type. Use: github or page', 'error');
+      }
+    } finally {
+      this.setStatusIndicator('scraping', false);
+    }
+  }
+  
+  /**
+   * Scrape GitHub repository (public only)
+   * 
+   * The ref comes from --ref, then an `@ref` in the file spec, then a
+   * /blob/<ref>/ or /tree/<ref>/ Target URL, and otherwise the
+   * repository's default branch.
+   */
+  async scrapeGitHub(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    const fileSpec = action === 'file' ? this.parseGitHubFileSpec(args.slice(1).join(' ')) : null;
+    const repository = fileSpec?.owner ? fileSpec : this.githubRepository();
+    
+    if (!repository) {
+      this.appendOutput('ERROR: Invalid GitHub repository URL', 'error');
+      return;
+    }
+    
+    const { owner, repo } = repository;
+    
+    if (options.ref === '') {
+      this.appendOutput('ERROR: --ref needs a branch, tag or commit SHA', 'error');
+      return;
+    }
+    
+    try {
+      this.requireInScope(`https://github.com/${owner}/${repo}`, 'Repository');
+      const ref = options.ref || fileSpec?.ref || repository.ref || await this.fetchDefaultBranch(owner, repo);
+      
+      this.appendOutput(`Scraping GitHub: ${owner}/${repo}@${ref}`, 'success');
+      
+      switch(action) {
+        case 'readme':
+          await this.fetchGitHubFile(owner, repo, ref, 'README.md');
+          break;
+          
+        case 'tree':
+          await this.fetchGitHubTree(owner, repo, ref, args.slice(1).join(' ') || repository.directory || '');
+          break;
+          
+        case 'file':
+          const filePath = fileSpec.path || repository.filePath;
+          if (!filePath) {
+            this.appendOutput('ERROR: Please specify a file path', 'error');
+            return;
+          }
+          await this.fetchGitHubFile(owner, repo, ref, filePath);
+          break;
+          
+        default:
+          this.appendOutput('ERROR: Unknown GitHub action. Use: readme, tree, or file <path>', 'error');
+      }
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Repository details from the validated Target URL, if it is a GitHub
+   * repository URL
+   * 
+   * URLs pasted from GitHub's file and directory views carry a ref and a
+   * path (/blob/<ref>/<path>, /tree/<ref>/<path>). Refs containing '/'
+   * cannot be told apart from the path there; use --ref for those.
+   */
+  githubRepository() {
+    const url = this.validatedUrl;
+    if (!url) return null;
+    
+    const pathParts = url.pathname.split('/').filter(p => p).map(decodeURIComponent);
+    
+    if (!url.hostname.includes('github.com') || pathParts.length < 2) {
+      return null;
+    }
+    
+    const repository = { owner: pathParts[0], repo: pathParts[1].replace(/\.git$/, '') };
+    
+    if (['blob', 'tree'].includes(pathParts[2]) && pathParts[3]) {
+      repository.ref = pathParts[3];
+      repository[pathParts[2] === 'blob' ? 'filePath' : 'directory'] = pathParts.slice(4).join('/');
+    }
+    
+    return repository;
+  }
+  
+  /**
+   * Parse the argument of `scrape github file`
+   * 
+   * Either a plain path in the Target URL's repository, or
+   * `owner/repo@ref:path` / `owner/repo:path` naming another one.
+   */
+  parseGitHubFileSpec(spec) {
+    const match = spec.match(/^([\w.-]+)\/([\w.-]+)(?:@([^:\s]+))?:(.*)$/);
+    
+    if (!match) {
+      return { path: spec.replace(/^\/+/, '') };
+    }
+    
+    return { owner: match[1], repo: match[2], ref: match[3], path: match[4].replace(/^\/+/, '') };
+  }
+  
+  /**
+   * Call the GitHub REST API
+   * 
+   * Sends the session token from `set github-token` if there is one,
+   * which raises the rate limit. The token only ever goes to
+   * api.github.com.
+   */
+  async githubApi(path) {
+    const headers = { Accept: 'application/vnd.github+json' };
+    
+    if (this.settings['github-token']) {
+      headers.Authorization = `Bearer ${this.settings['github-token']}`;
+    }
+    
+    const response = await fetch(`https://api.github.com${path}`, { headers });
+    
+    if (response.status === 404) {
+      throw new Error('Not found on GitHub (unknown repository or ref, or a private repository)');
+    }
+    if (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0') {
+      throw new Error('GitHub API rate limit reached. Try later or use: set github-token <token>');
+    }
+    if (!response.ok) {
+      throw new Error(`GitHub API returned ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Name of a repository's default branch
+   */
+  async fetchDefaultBranch(owner, repo) {
+    const key = `${owner}/${repo}`;
+    
+    if (!this.defaultBranches.has(key)) {
+      const data = await this.githubApi(`/repos/${owner}/${repo}`);
+      this.defaultBranches.set(key, data.default_branch);
+    }
+    
+    return this.defaultBranches.get(key);
+  }
+  
+  /**
+   * Full recursive tree of a ref, from the Git Trees API
+   * 
+   * Resolves to { entries: [{ path, type, size }], truncated }, where
+   * `truncated` means GitHub stopped listing (very large repositories).
+   * Cached for the session.
+   */
+  async fetchRepositoryTree(owner, repo, ref) {
+    const key = `${owner}/${repo}@${ref}`;
+    
+    if (!this.repositoryTrees.has(key)) {
+      // Branch names may hold slashes (feature/x); only each segment is encoded
+      const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+      const data = await this.githubApi(`/repos/${owner}/${repo}/git/trees/${encodedRef}?recursive=1`);
+      this.repositoryTrees.set(key, {
+        entries: data.tree.map(({ path, type, size }) => ({ path, type, size })),
+        truncated: data.truncated
+      });
+    }
+    
+    return this.repositoryTrees.get(key);
+  }
+  
+  /**
+   * Fetch file from GitHub (public repos only)
+   */
+  async fetchGitHubFile(owner, repo, ref, filePath) {
+    const content = await this.fetchGitHubText(owner, repo, ref, filePath);
+    this.displayFileContent(filePath, content);
+  }
+  
+  /**
+   * Raw content of a repository file
+   */
+  async fetchGitHubText(owner, repo, ref, filePath) {
+    const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+    const rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/${encodedRef}/${encodedPath}`;
+    const response = await fetch(rawUrl);
+    
+    if (!response.ok) {
+      throw new Error(`File not found: ${filePath} (at ${ref})`);
+    }
+    
+    return response.text();
+  }
+  
+  /**
+   * Show the repository tree, or the part below `basePath`, indented with
+   * file sizes
+   */
+  async fetchGitHubTree(owner, repo, ref, basePath) {
+    const { entries, truncated } = await this.fetchRepositoryTree(owner, repo, ref);
+    const prefix = basePath ? basePath.replace(/^\/+|\/+$/g, '') + '/' : '';
+    
+    const selected = entries
+      .filter(entry => entry.path.startsWith(prefix))
+      .map(entry => ({ ...entry, path: entry.path.substring(prefix.length) }));
+    const files = selected.filter(entry => entry.type === 'blob');
+    const fileCount = files.length;
+    const totalSize = files.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const root = this.buildTree(selected);
+    
+    if (root.children.size === 0) {
+      this.appendOutput(prefix ? `ERROR: No such directory: ${basePath}` : 'Repository is empty', prefix ? 'error' : 'warning');
+      return;
+    }
+    
+    const lines = [
+      `${prefix || '.'}  (${fileCount} files, ${this.formatSize(totalSize)})`,
+      ...this.formatTree(root)
+    ];
+    
+    this.appendOutput(lines.join('\n'), 'success');
+    
+    if (truncated) {
+      this.appendOutput('WARNING: GitHub truncated this tree (repository too large); some entries are missing', 'warning');
+    }
+  }
+  
+  /**
+   * Nest slash-separated paths into a tree for formatTree
+   * 
+   * Entries are { path, type, size, note } with Git Trees API types
+   * ('blob', 'tree', 'commit'); directories missing from the list are
+   * implied. Files without a size show `note` instead.
+   */
+  buildTree(entries) {
+    const root = { type: 'tree', children: new Map() };
+    
+    for (const entry of entries) {
+      let node = root;
+      for (const name of entry.path.split('/')) {
+        if (!node.children.has(name)) {
+          node.children.set(name, { type: 'tree', children: new Map() });
+        }
+        node = node.children.get(name);
+      }
+      
+      node.type = entry.type;
+      node.size = entry.size;
+      node.note = entry.note;
+    }
+    
+    return root;
+  }
+  
+  /**
+   * Render a buildTree tree as indented lines with sizes
+   */
+  formatTree(root) {
+    const lines = [];
+    
+    const walk = (node, indent) => {
+      // Directories first, then files, each alphabetically
+      const children = Array.from(node.children).sort(([nameA, a], [nameB, b]) =>
+        (a.type === 'tree' ? 0 : 1) - (b.type === 'tree' ? 0 : 1) || nameA.localeCompare(nameB)
+      );
+      
+      children.forEach(([name, child], i) => {
+        const last = i === children.length - 1;
+        const label = child.type === 'tree'
+          ? `${name}/`
+          : child.type === 'commit' ? `${name} (submodule)`
+          : child.size === undefined ? `${name}  ${child.note || ''}`.trimEnd()
+          : `${name}  ${this.formatSize(child.size)}`;
+        
+        lines.push(`${indent}${last ? '└── ' : '├── '}${label}`);
+        walk(child, indent + (last ? '    ' : '│   '));
+      });
+    };
+    walk(root, '');
+    
+    return lines;
+  }
+  
+  /**
+   * Human-readable byte size
+   */
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  
+  /**
+   * Handle scan commands
+   */
+  async handleScanCommand(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    switch(action) {
+      case 'secrets':
+        if (!this.validatedUrl) {
+          this.appendOutput('ERROR: Please validate a Target URL first', 'error');
+          return;
+        }
+        
+        this.setStatusIndicator('scraping', true);
+        try {
+          await this.scanRepositorySecrets(args.slice(1), options);
+        } catch (error) {
+          this.appendOutput(`ERROR: ${error.message}`, 'error');
+        } finally {
+          this.setStatusIndicator('scraping', false);
+        }
+        break;
+        
+      case 'rules':
+        this.appendOutput(
+          'Secret rules:\n' + SECRET_RULES.map(rule =>
+            `  ${rule.id.padEnd(24)} ${rule.description}${rule.minEntropy ? ` (entropy ≥ ${rule.minEntropy})` : ''}`
+          ).join('\n'),
+          'success'
+        );
+        break;
+        
+      case 'allow':
+        this.handleSecretAllowlist(args.slice(1));
+        break;
+        
+      default:
+        this.appendOutput('ERROR: Unknown scan action. Use: secrets [dir], rules, or allow [<regex>|clear]', 'error');
+    }
+  }
+  
+  /**
+   * List, extend or clear the session secret allowlist
+   */
+  handleSecretAllowlist(args) {
+    if (args.length === 0) {
+      const entries = [...SECRET_ALLOWLIST, ...this.secretAllowlist];
+      this.appendOutput(`Secret allowlist:\n${entries.map(regex => `  ${regex}`).join('\n')}`, 'success');
+      return;
+    }
+    
+    if (args[0].toLowerCase() === 'clear') {
+      this.secretAllowlist = [];
+      this.appendOutput('✓ Session allowlist cleared', 'success');
+      return;
+    }
+    
+    try {
+      this.secretAllowlist.push(new RegExp(args[0]));
+      this.appendOutput(`✓ Allowing secrets matching /${args[0]}/`, 'success');
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Scan every text file of the Target URL's repository for secrets
+   * 
+   * Options: --ref, --rules=<id,id> to pick rules, --allow=<regex> for a
+   * one-off allowlist entry and --max-files=<n>.
+   */
+  async scanRepositorySecrets(args, options = {}) {
+    const repository = this.githubRepository();
+    
+    if (!repository) {
+      this.appendOutput('ERROR: Invalid GitHub repository URL', 'error');
+      return;
+    }
+    
+    const rules = this.selectSecretRules(options.rules);
+    const allowlist = [...SECRET_ALLOWLIST, ...this.secretAllowlist];
+    if (typeof options.allow === 'string') {
+      allowlist.push(new RegExp(options.allow));
+    }
+    
+    const maxFiles = options['max-files'] === undefined ? SCAN_DEFAULT_MAX_FILES : Number(options['max-files']);
+    if (!Number.isInteger(maxFiles) || maxFiles < 1) {
+      throw new Error('--max-files must be a positive whole number');
+    }
+    
+    const { owner, repo } = repository;
+    this.requireInScope(`https://github.com/${owner}/${repo}`, 'Repository');
+    const ref = options.ref || repository.ref || await this.fetchDefaultBranch(owner, repo);
+    const basePath = args.join(' ').replace(/^\/+|\/+$/g, '') || repository.directory || '';
+    const prefix = basePath ? basePath + '/' : '';
+    
+    const { entries, truncated } = await this.fetchRepositoryTree(owner, repo, ref);
+    const blobs = entries.filter(entry => entry.type === 'blob' && entry.path.startsWith(prefix));
+    const files = blobs.filter(entry =>
+      entry.size <= SCAN_MAX_FILE_SIZE &&
+      !SCAN_SKIP_EXTENSIONS.has(entry.path.split('.').pop().toLowerCase())
+    );
+    const scanned = files.slice(0, maxFiles);
+    
+    this.appendOutput(`Scanning ${owner}/${repo}@${ref}${prefix ? ` (${prefix})` : ''}: ${scanned.length} of ${blobs.length} files, ${rules.length} rules...`, 'success');
+    if (truncated) {
+      this.appendOutput('WARNING: GitHub truncated this tree (repository too large); some files are not scanned', 'warning');
+    }
+    if (files.length > maxFiles) {
+      this.appendOutput(`WARNING: Only the first ${maxFiles} files are scanned; raise with --max-files`, 'warning');
+    }
+    
+    const findings = [];
+    const failures = [];
+    
+    await this.forEachConcurrently(scanned, async (file) => {
+      try {
+        const content = await this.fetchGitHubText(owner, repo, ref, file.path);
+        findings.push(...this.findSecrets(content, file.path, rules, allowlist));
+      } catch (error) {
+        failures.push(file.path);
+      }
+    });
+    
+    if (failures.length > 0) {
+      this.appendOutput(`WARNING: Could not fetch ${failures.length} file(s): ${failures.slice(0, 5).join(', ')}${failures.length > 5 ? ', …' : ''}`, 'warning');
+    }
+    
+    if (findings.length === 0) {
+      this.appendOutput('✓ No secrets found', 'success');
+      return;
+    }
+    
+    findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    this.appendOutput(
+      `Found ${findings.length} possible secret(s):\n` +
+      findings.map(finding => `  ${finding.file}:${finding.line}  ${finding.rule.padEnd(22)} ${finding.match}`).join('\n'),
+      'warning'
+    );
+  }
+  
+  /**
+   * Run `task` over `items`, FETCH_CONCURRENCY at a time
+   */
+  async forEachConcurrently(items, task) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        await task(items[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+  }
+  
+  /**
+   * Rules named in --rules, or all of them
+   */
+  selectSecretRules(selection) {
+    if (typeof selection !== 'string') return SECRET_RULES;
+    
+    const ids = selection.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !SECRET_RULES.some(rule => rule.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown rule(s): ${unknown.join(', ')}. See: scan rules`);
+    }
+    
+    return SECRET_RULES.filter(rule => ids.includes(rule.id));
+  }
+  
+  /**
+   * Run rules over one file's content
+   * 
+   * Returns findings as { file, line, rule, match } with the secret
+   * already redacted.
+   */
+  findSecrets(content, file, rules, allowlist) {
+    const findings = [];
+    const seen = new Set();
+    let lineStarts = null;
+    
+    // Line of an offset, by binary search over the line start offsets
+    // (collected once, on the first match)
+    const lineAt = (index) => {
+      if (!lineStarts) {
+        lineStarts = [0];
+        for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+          lineStarts.push(i + 1);
+        }
+      }
+      
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= index) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      return low + 1;
+    };
+    
+    for (const rule of rules) {
+      rule.pattern.lastIndex = 0;
+      
+      for (const match of content.matchAll(rule.pattern)) {
+        const secret = match[1] ?? match[0];
+        
+        if (rule.minEntropy && this.shannonEntropy(secret) < rule.minEntropy) continue;
+        if (allowlist.some(regex => regex.test(secret))) continue;
+        
+        const line = lineAt(match.index);
+        const key = `${line}:${secret}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        
+        findings.push({
+          file,
+          line,
+          rule: rule.id,
+          match: rule.redact === false ? secret : this.redactSecret(secret)
+        });
+      }
+    }
+    
+    return findings;
+  }
+  
+  /**
+   * Shannon entropy in bits per character
+   */
+  shannonEntropy(text) {
+    const counts = new Map();
+    for (const ch of text) {
+      counts.set(ch, (counts.get(ch) || 0) + 1);
+    }
+    
+    let entropy = 0;
+    for (const count of counts.values()) {
+      const p = count / text.length;
+      entropy -= p * Math.log2(p);
+    }
+    return entropy;
+  }
+  
+  /**
+   * Keep just enough of a secret to recognise it
+   */
+  redactSecret(secret) {
+    if (secret.length <= 12) {
+      return secret.substring(0, 2) + '*'.repeat(secret.length - 2);
+    }
+    return `${secret.substring(0, 4)}${'*'.repeat(Math.min(secret.length - 8, 16))}${secret.substring(secret.length - 4)}`;
+  }
+  
+  /**
+   * Display file content in terminal
+   */
+  displayFileContent(fileName, content) {
+    this.appendOutput(`\n─── ${fileName} ───`, 'success');
+    
+    // Limit display length for large files
+    const maxLength = 5000;
+    const displayContent = content.length > maxLength 
+      ? content.substring(0, maxLength) + '\n\n[... truncated ...]'
+      : content;
+    
+    this.appendOutput(displayContent, 'code');
+    this.appendOutput(`─── End of ${fileName} ───\n`, 'success');
+  }
+  
+  /**
+   * Scrape webpage content
+   */
+  async scrapePage(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    switch(action) {
+      case 'text':
+        await this.scrapePageText();
+        break;
+        
+      case 'links':
+        await this.scrapePageLinks();
+        break;
+        
+      case 'meta':
+        await this.scrapePageMeta();
+        break;
+        
+      case 'scripts':
+        await this.scrapePageScripts();
+        break;
+        
+      case 'forms':
+        await this.scrapePageForms();
+        break;
+        
+      default:
+        this.appendOutput('ERROR: Unknown page action. Use: text, links, meta, scripts, or forms', 'error');
+    }
+  }
+  
+  /**
+   * Scrape visible page text
+   */
+  async scrapePageText() {
+    const code = `
+      (() => {
+        const body = document.body;
+        const text = body.innerText || body.textContent;
+        return { text };
+      })()
+    `;
+    
+    // Piped, the whole text goes to the filters; shown, the first 5000
+    // characters
+    await this.executeInPage(code, (result) => {
+      if (result && result.text && !this.pipeValue(result.text)) {
+        this.appendOutput('\n─── Page Text ───', 'success');
+        this.appendOutput(result.text.substring(0, 5000), 'success');
+        this.appendOutput('─── End ───\n', 'success');
+      }
+    });
+  }
+  
+  /**
+   * Scrape page links
+   */
+  async scrapePageLinks() {
+    const code = `
+      (() => {
+        return Array.from(document.querySelectorAll('a[href]')).map(a => ({
+          text: a.textContent.trim().substring(0, 50),
+          href: a.href
+        }));
+      })()
+    `;
+    
+    // Piped, every link goes to the filters; shown, the first 100
+    await this.executeInPage(code, (links) => {
+      if (links && !this.pipeValue(links)) {
+        this.appendOutput(`\nFound ${links.length} links (showing first 100):`, 'success');
+        links.slice(0, 100).forEach(link => {
+          this.appendOutput(`  ${link.text} → ${link.href}`, 'success');
+        });
+      }
+    });
+  }
+  
+  /**
+   * Scrape page meta tags
+   */
+  async scrapePageMeta() {
+    const code = `
+      (() => {
+        const metas = Array.from(document.querySelectorAll('meta'));
+        return {
+          title: document.title,
+          metas: metas.map(m => ({
+            name: m.getAttribute('name') || m.getAttribute('property'),
+            content: m.getAttribute('content')
+          })).filter(m => m.name)
+        };
+      })()
+    `;
+    
+    await this.executeInPage(code, (result) => {
+      if (result) {
+        this.appendOutput(`\nTitle: ${result.title}`, 'success');
+        this.appendOutput('\nMeta Tags:', 'success');
+        result.metas.forEach(meta => {
+          this.appendOutput(`  ${meta.name}: ${meta.content}`, 'success');
+        });
+      }
+    });
+  }
+  
+  /**
+   * Map the page's forms and inputs: fields, hidden values, CSRF tokens,
+   * uploads, autocomplete and event handlers
+   * 
+   * Walks same-origin iframes and open shadow roots as well as the
+   * document. Closed shadow roots and cross-origin frames cannot be read.
+   */
+  async scrapePageForms() {
+    const { result, isException } = await this.executeInPage(`
+      (() => {
+        const describe = (element) => element.tagName.toLowerCase() + (element.id ? '#' + element.id : '');
+        const listeners = typeof getEventListeners === 'function' ? getEventListeners : () => ({});
+        const handlers = (element) => {
+          const types = new Set(Object.keys(listeners(element)));
+          for (const attribute of element.attributes) {
+            if (attribute.name.startsWith('on')) types.add(attribute.name.slice(2) + ' (inline)');
+          }
+          return Array.from(types);
+        };
+        const elementsOf = Object.getOwnPropertyDescriptor(HTMLFormElement.prototype, 'elements').get;
+        // A malformed action such as http://[ is reported as written
+        const resolve = (value, base) => {
+          try {
+            return new URL(value, base).href;
+          } catch (error) {
+            return value;
+          }
+        };
+        const field = (element) => {
+          const tag = element.tagName.toLowerCase();
+          const type = tag === 'input' ? (element.getAttribute('type') || 'text').toLowerCase() : tag === 'button' ? 'submit' : tag;
+          return {
+            tag,
+            type,
+            name: element.getAttribute('name') || '',
+            id: element.id,
+            value: type === 'hidden' ? String(element.value).slice(0, 200) : '',
+            autocomplete: element.getAttribute('autocomplete') || '',
+            required: element.hasAttribute('required'),
+            accept: element.getAttribute('accept') || '',
+            formAction: element.hasAttribute('formaction') ? resolve(element.getAttribute('formaction'), element.baseURI) : null,
+            formMethod: element.getAttribute('formmethod'),
+            handlers: handlers(element)
+          };
+        };
+        const isField = (element) => ['input', 'textarea', 'select'].includes(element.tagName.toLowerCase()) ||
+          (element.tagName.toLowerCase() === 'button' && (element.hasAttribute('formaction') || element.hasAttribute('formmethod')));
+        
+        const roots = [];
+        const visit = (root, where) => {
+          roots.push({ root, where });
+          for (const element of root.querySelectorAll('*')) {
+            if (element.shadowRoot) {
+              visit(element.shadowRoot, where + ' > shadow(' + describe(element) + ')');
+            }
+            if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+              let frameDocument = null;
+              try {
+                frameDocument = element.contentDocument;
+              } catch (error) {}
+              if (frameDocument && frameDocument.documentElement) {
+                visit(frameDocument, where + ' > iframe(' + (element.getAttribute('src') || 'about:blank') + ')');
+              }
+            }
+          }
+        };
+        visit(document, 'document');
+        
+        const forms = [];
+        const orphans = [];
+        for (const { root, where } of roots) {
+          const ownerDocument = root.nodeType === Node.DOCUMENT_NODE ? root : root.ownerDocument;
+          const origin = ownerDocument.location ? ownerDocument.location.origin : location.origin;
+          
+          for (const form of root.querySelectorAll('form')) {
+            const action = form.getAttribute('action');
+            forms.push({
+              where,
+              origin,
+              label: describe(form) + (form.getAttribute('name') ? '[name=' + form.getAttribute('name') + ']' : ''),
+              method: (form.getAttribute('method') || 'get').toLowerCase(),
+              action: resolve(action === null ? '' : action, form.baseURI),
+              enctype: form.getAttribute('enctype') || '',
+              autocomplete: form.getAttribute('autocomplete') || '',
+              handlers: handlers(form),
+              fields: Array.from(elementsOf.call(form)).filter(isField).map(field)
+            });
+          }
+          
+          for (const element of root.querySelectorAll('input, textarea, select')) {
+            if (!element.form) orphans.push({ where, ...field(element) });
+          }
+        }
+        
+        return {
+          forms,
+          orphans,
+          csrfMeta: Boolean(document.querySelector('meta[name*="csrf" i], meta[name*="xsrf" i]'))
+        };
+      })()
+    `);
+    
+    if (isException) {
+      this.appendOutput(`ERROR: ${this.describeException(isException)}`, 'error');
+      return;
+    }
+    
+    const { forms, orphans, csrfMeta } = result;
+    
+    if (forms.length === 0 && orphans.length === 0) {
+      this.appendOutput('No forms or inputs found', 'success');
+      return;
+    }
+    
+    const handlerList = (list) => list.join(', ') || '-';
+    const isCsrfField = (field) => CSRF_FIELD_PATTERN.test(field.name) || CSRF_FIELD_PATTERN.test(field.id);
+    
+    if (forms.length > 0) {
+      this.appendOutput(`\n${forms.length} form(s):`, 'success');
+      this.appendTable(
+        ['#', 'Form', 'Where', 'Method', 'Action', 'Fields', 'Hidden', 'CSRF token', 'Uploads', 'Autocomplete', 'Handlers'],
+        forms.map((form, index) => [
+          index + 1,
+          form.label,
+          form.where,
+          form.method.toUpperCase(),
+          form.action,
+          form.fields.length,
+          form.fields.filter(field => field.type === 'hidden').length,
+          form.fields.filter(isCsrfField).map(field => field.name || `#${field.id}`).join(', ') || '-',
+          form.fields.filter(field => field.type === 'file').length,
+          form.autocomplete || '-',
+          handlerList(form.handlers)
+        ])
+      );
+    }
+    
+    const fieldRows = [
+      ...forms.flatMap((form, index) => form.fields.map(field => [String(index + 1), field])),
+      ...orphans.map(field => [`- (${field.where})`, field])
+    ];
+    
+    if (fieldRows.length > 0) {
+      this.appendOutput(`\n${fieldRows.length} field(s)${orphans.length > 0 ? `, ${orphans.length} outside any form` : ''}:`, 'success');
+      this.appendTable(
+        ['Form', 'Name', 'Type', 'Hidden value', 'Autocomplete', 'Required', 'Handlers'],
+        fieldRows.slice(0, FORM_FIELD_ROWS).map(([form, field]) => [
+          form,
+          field.name || (field.id ? `#${field.id}` : '(unnamed)'),
+          field.type + (field.accept ? ` (${field.accept})` : '') + (field.formAction ? ` → ${field.formAction}` : ''),
+          field.value,
+          field.autocomplete || '-',
+          field.required ? 'yes' : '',
+          handlerList(field.handlers)
+        ])
+      );
+      if (fieldRows.length > FORM_FIELD_ROWS) {
+        this.appendOutput(`… ${fieldRows.length - FORM_FIELD_ROWS} more field(s) not shown`, 'success');
+      }
+    }
+    
+    const findings = forms.flatMap((form, index) => this.checkForm(form, `Form ${index + 1} (${form.label})`, isCsrfField, csrfMeta));
+    if (findings.length > 0) {
+      this.reportAuditFindings('\nForm findings', findings);
+    }
+  }
+  
+  /**
+   * Flag CSRF, cross-origin, plain-HTTP and password-in-URL submissions
+   */
+  checkForm(form, subject, isCsrfField, csrfMeta) {
+    const findings = [];
+    const add = (severity, message) => findings.push({ severity, subject, message });
+    const passwords = form.fields.some(field => field.type === 'password');
+    
+    // Submit buttons can override where and how the form is sent
+    const submissions = [
+      { method: form.method, action: form.action, via: '' },
+      ...form.fields
+        .filter(field => field.formAction || field.formMethod)
+        .map(field => ({
+          method: (field.formMethod || form.method).toLowerCase(),
+          action: field.formAction || form.action,
+          via: ` via button ${field.name || field.id || '(unnamed)'}`
+        }))
+    ];
+    
+    for (const submission of submissions) {
+      let target;
+      try {
+        target = new URL(submission.action);
+      } catch (error) {
+        add('info', `Action${submission.via} is not a valid URL: ${submission.action}`);
+        continue;
+      }
+      
+      if (target.protocol === 'javascript:') {
+        add('info', `Action is a javascript: URL${submission.via}; JavaScript handles the submit`);
+        continue;
+      }
+      
+      if (target.origin !== form.origin && form.origin !== 'null' && /^https?:$/.test(target.protocol)) {
+        add('medium', `Submits${submission.via} to another origin: ${target.origin}`);
+      }
+      if (target.protocol === 'http:' && form.origin.startsWith('https:')) {
+        add('high', `Submits${submission.via} over plain HTTP: ${target.href}`);
+      }
+      if (submission.method === 'get' && passwords) {
+        add('high', `Sends a password in the URL${submission.via} (method GET)`);
+      }
+    }
+    
+    if (submissions.some(submission => submission.method === 'post') && !form.fields.some(isCsrfField)) {
+      add(csrfMeta ? 'low' : 'medium', 'POSTs without a CSRF-looking field' +
+        (csrfMeta ? ' (the page has a CSRF <meta> tag, which JavaScript may send instead)' : ''));
+    }
+    
+    form.fields.filter(field => field.type === 'file').forEach(field => {
+      add('info', `File upload ${field.name || field.id || '(unnamed)'}${field.accept ? ` accepting ${field.accept}` : ' accepting any type'}` +
+        (form.method === 'post' && form.enctype.toLowerCase() !== 'multipart/form-data' ? ' (the form is not multipart, so only the file name is sent)' : ''));
+    });
+    
+    return findings;
+  }
+  
+  /**
+   * Map the page's client-side attack surface from its JavaScript
+   * 
+   * Reports endpoints, paths, secrets, internal hostnames and source maps
+   * found in the scripts from collectPageScripts, each with the scripts
+   * it was found in.
+   */
+  async scrapePageScripts() {
+    const scripts = await this.collectPageScripts();
+    if (!scripts) return;
+    
+    // category -> value -> names of scripts it appears in
+    const categories = {
+      'API endpoints': new Map(),
+      'Relative paths': new Map(),
+      'Keys and tokens': new Map(),
+      'Internal hostnames': new Map(),
+      'Source maps': new Map()
+    };
+    const add = (category, value, source) => {
+      const map = categories[category];
+      if (!map.has(value)) map.set(value, new Set());
+      map.get(value).add(source);
+    };
+    
+    const allowlist = [...SECRET_ALLOWLIST, ...this.secretAllowlist];
+    
+    for (const script of scripts) {
+      const found = this.extractScriptFindings(script, allowlist);
+      for (const [category, values] of Object.entries(found)) {
+        values.forEach(value => add(category, value, script.name));
+      }
+    }
+    
+    const sections = Object.entries(categories)
+      .filter(([, values]) => values.size > 0)
+      .map(([category, values]) => {
+        const lines = Array.from(values)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([value, sources]) => {
+            const [first] = sources;
+            const where = sources.size > 1 ? `${first} +${sources.size - 1} more` : first;
+            return `  ${value}  ← ${where}`;
+          });
+        return `${category} (${values.size}):\n${lines.join('\n')}`;
+      });
+    
+    if (sections.length === 0) {
+      this.appendOutput('✓ Nothing of interest found', 'success');
+      return;
+    }
+    
+    this.appendOutput(sections.join('\n\n'), 'success');
+  }
+  
+  /**
+   * Inline scripts, and the content of external scripts, on the inspected
+   * page
+   * 
+   * Includes scripts seen only in Resource Timing (lazily loaded chunks).
+   * External scripts are downloaded by the panel without cookies. Returns
+   * [{ name, url, content, mapHeader }], or null if the page can't be read.
+   */
+  async collectPageScripts() {
+    const code = `
+      (() => {
+        const inline = [];
+        const external = new Set();
+        document.querySelectorAll('script').forEach(script => {
+          if (script.src) {
+            external.add(script.src);
+          } else if (script.textContent.trim()) {
+            inline.push(script.textContent);
+          }
+        });
+        performance.getEntriesByType('resource').forEach(entry => {
+          if (entry.initiatorType === 'script' || /\\.m?js(?:[?#]|$)/.test(entry.name)) {
+            external.add(entry.name);
+          }
+        });
+        return { inline, external: Array.from(external), pageUrl: location.href };
+      })()
+    `;
+    
+    const { result, isException } = await this.executeInPage(code);
+    if (isException || !result) {
+      this.appendOutput(`ERROR: ${this.describeException(isException)}`, 'error');
+      return null;
+    }
+    
+    const scripts = result.inline.map((content, i) => ({
+      name: `inline #${i + 1}`,
+      url: result.pageUrl,
+      content
+    }));
+    const external = result.external.filter(url => /^https?:/.test(url) && !this.scopeViolation(url));
+    const skipped = result.external.filter(url => /^https?:/.test(url) && this.scopeViolation(url));
+    
+    if (skipped.length > 0) {
+      this.appendOutput(`Not fetching ${skipped.length} out-of-scope script(s):\n  ${skipped.join('\n  ')}`, 'warning');
+    }
+    
+    this.appendOutput(`Collecting ${scripts.length} inline and ${external.length} external script(s)...`, 'success');
+    
+    const failures = [];
+    await this.forEachConcurrently(external, async (url) => {
+      try {
+        const response = await fetch(url, { credentials: 'omit' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const content = await response.text();
+        if (content.length > SCRIPT_MAX_SIZE) throw new Error('too large');
+        
+        const mapHeader = response.headers.get('SourceMap') || response.headers.get('X-SourceMap');
+        scripts.push({ name: url, url, content, mapHeader });
+      } catch (error) {
+        failures.push(`${url} (${error.message})`);
+      }
+    });
+    
+    if (failures.length > 0) {
+      this.appendOutput(`WARNING: Could not fetch ${failures.length} script(s):\n  ${failures.join('\n  ')}`, 'warning');
+    }
+    
+    return scripts;
+  }
+  
+  /**
+   * Source map URLs a script declares, via `sourceMappingURL` comments or
+   * a SourceMap response header, resolved against the script's URL
+   */
+  sourceMapReferences(script) {
+    const references = Array.from(script.content.matchAll(/[#@]\s*sourceMappingURL=([^\s'"*]+)/g), match => match[1]);
+    if (script.mapHeader) references.push(script.mapHeader);
+    
+    return references.map(reference => {
+      try {
+        return new URL(reference, script.url).href;
+      } catch (error) {
+        return reference;
+      }
+    });
+  }
+  
+  /**
+   * Pull endpoints, paths, secrets, hostnames and source map references
+   * out of one script
+   * 
+   * Secrets use the `scan secrets` rules and allowlist and are redacted.
+   */
+  extractScriptFindings(script, allowlist) {
+    const { content } = script;
+    const found = {
+      'API endpoints': new Set(),
+      'Relative paths': new Set(),
+      'Keys and tokens': new Set(),
+      'Internal hostnames': new Set(),
+      'Source maps': new Set()
+    };
+    
+    for (const [url] of content.matchAll(/\bhttps?:\/\/[^\s"'`<>()\\{}|^]+/g)) {
+      const cleaned = url.replace(/[.,;:]+$/, '');
+      if (SCRIPT_URL_NOISE.test(cleaned)) continue;
+      
+      found['API endpoints'].add(cleaned);
+      
+      try {
+        const { hostname } = new URL(cleaned);
+        if (INTERNAL_HOST_PATTERNS.some(pattern => pattern.test(hostname))) {
+          found['Internal hostnames'].add(hostname);
+        }
+      } catch (error) {
+        // Template fragments and other non-URLs
+      }
+    }
+    
+    for (const match of content.matchAll(/["'`](\/[A-Za-z0-9_~%.-]+(?:\/[A-Za-z0-9_~%.:{}$-]+)*\/?(?:\?[^"'`\s]*)?)["'`]/g)) {
+      const path = match[1];
+      // One-letter paths like "/a" are mostly minifier and regex noise
+      if (path.length < 3) continue;
+      found['Relative paths'].add(path);
+    }
+    
+    for (const match of content.matchAll(/["'`]((?:[a-z0-9-]+\.)+(?:internal|local|corp|lan|intranet))["'`]/gi)) {
+      found['Internal hostnames'].add(match[1].toLowerCase());
+    }
+    
+    for (const finding of this.findSecrets(content, script.name, SECRET_RULES, allowlist)) {
+      found['Keys and tokens'].add(`${finding.rule}: ${finding.match}`);
+    }
+    
+    for (const reference of this.sourceMapReferences(script)) {
+      found['Source maps'].add(reference.startsWith('data:') ? `(inline data: URL in ${script.name})` : reference);
+    }
+    
+    return found;
+  }
+  
+  /**
+   * Handle source map commands
+   */
+  async handleSourceMapCommand(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    try {
+      switch(action) {
+        case 'load':
+          this.setStatusIndicator('scraping', true);
+          try {
+            await this.loadSourceMaps(args[1]);
+          } finally {
+            this.setStatusIndicator('scraping', false);
+          }
+          break;
+          
+        case 'list':
+          this.listSourceMaps();
+          break;
+          
+        case 'tree':
+          this.showSourceTree();
+          break;
+          
+        case 'show':
+          this.showOriginalSource(args.slice(1).join(' '), options);
+          break;
+          
+        case 'map':
+          this.mapGeneratedPosition(args.slice(1).join(' '));
+          break;
+          
+        case 'clear':
+          this.sourceMaps.clear();
+          this.appendOutput('✓ Source maps cleared', 'success');
+          break;
+          
+        default:
+          this.appendOutput('ERROR: Unknown sourcemap action. Use: load [url], list, tree, show <file>, map <script:line:col>, or clear', 'error');
+      }
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Load one source map, or find and load those of the page's scripts
+   * 
+   * Scripts without a sourceMappingURL or SourceMap header are probed at
+   * `<script>.map`, where many build setups leave them.
+   */
+  async loadSourceMaps(url) {
+    const candidates = new Map();
+    
+    if (url) {
+      candidates.set(new URL(url, this.validatedUrl || undefined).href, { scriptUrl: null, probed: false });
+    } else {
+      const scripts = await this.collectPageScripts();
+      if (!scripts) return;
+      
+      for (const script of scripts) {
+        const references = this.sourceMapReferences(script);
+        references.forEach(reference => candidates.set(reference, { scriptUrl: script.url, probed: false }));
+        
+        if (references.length === 0 && script.name === script.url) {
+          const probe = new URL(script.url);
+          probe.pathname += '.map';
+          probe.search = '';
+          candidates.set(probe.href, { scriptUrl: script.url, probed: true });
+        }
+      }
+    }
+    
+    const loaded = [];
+    const failures = [];
+    const partial = [];
+    
+    await this.forEachConcurrently(Array.from(candidates), async ([mapUrl, { scriptUrl, probed }]) => {
+      try {
+        const sourceMap = this.parseSourceMap(await this.fetchSourceMap(mapUrl), mapUrl, scriptUrl);
+        this.sourceMaps.set(mapUrl, sourceMap);
+        loaded.push(sourceMap);
+        if (sourceMap.skippedSections > 0) {
+          partial.push(`${this.sourceMapLabel(mapUrl)} (${sourceMap.skippedSections} section(s))`);
+        }
+      } catch (error) {
+        // A missing guessed map is expected, not worth reporting
+        if (!probed) failures.push(`${this.sourceMapLabel(mapUrl)} (${error.message})`);
+      }
+    });
+    
+    if (failures.length > 0) {
+      this.appendOutput(`WARNING: Could not load ${failures.length} source map(s):\n  ${failures.join('\n  ')}`, 'warning');
+    }
+    if (partial.length > 0) {
+      this.appendOutput(`WARNING: Skipped index map sections that link their map by url (not supported):\n  ${partial.join('\n  ')}`, 'warning');
+    }
+    
+    if (loaded.length === 0) {
+      this.appendOutput('No source maps found', 'warning');
+      return;
+    }
+    
+    const sourceCount = loaded.reduce((sum, sourceMap) => sum + sourceMap.sources.length, 0);
+    this.appendOutput(`✓ Loaded ${loaded.length} source map(s) with ${sourceCount} original file(s). Use: sourcemap tree`, 'success');
+  }
+  
+  /**
+   * Fetch and parse a source map's JSON, including data: URLs
+   */
+  async fetchSourceMap(url) {
+    let text;
+    
+    if (url.startsWith('data:')) {
+      const comma = url.indexOf(',');
+      const data = url.substring(comma + 1);
+      text = /;base64$/i.test(url.substring(0, comma))
+        ? new TextDecoder().decode(Uint8Array.from(atob(data), ch => ch.charCodeAt(0)))
+        : decodeURIComponent(data);
+    } else {
+      const violation = this.scopeViolation(url);
+      if (violation) throw new Error(`out of scope: ${violation}`);
+      
+      const response = await fetch(url, { credentials: 'omit' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      text = await response.text();
+    }
+    
+    // Some servers prefix maps with )]}' to defeat JSON hijacking
+    return JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+  }
+  
+  /**
+   * Normalize a v3 source map
+   * 
+   * Index maps keep their sections, each parsed the same way. Mappings
+   * are decoded on first use by mapGeneratedPosition.
+   */
+  parseSourceMap(raw, mapUrl, scriptUrl) {
+    if (raw.version !== 3) {
+      throw new Error(`Unsupported source map version ${raw.version}`);
+    }
+    
+    if (!scriptUrl) {
+      scriptUrl = raw.file ? new URL(raw.file, mapUrl).href : mapUrl.replace(/\.map(?=$|[?#])/, '');
+    }
+    
+    // Sections that link their map by `url` instead of embedding it are
+    // skipped and counted, so the load can say so
+    if (Array.isArray(raw.sections)) {
+      const sections = raw.sections
+        .filter(section => section.map && typeof section.map === 'object')
+        .map(section => ({
+          offset: section.offset,
+          map: this.parseSourceMap(section.map, mapUrl, scriptUrl)
+        }));
+      return {
+        url: mapUrl,
+        scriptUrl,
+        sections,
+        skippedSections: raw.sections.length - sections.length,
+        sources: sections.flatMap(section => section.map.sources)
+      };
+    }
+    
+    const sourceRoot = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+    const sources = (raw.sources || []).map((source, i) => ({
+      name: sourceRoot + (source ?? ''),
+      path: this.originalSourcePath(sourceRoot + (source ?? '')),
+      content: raw.sourcesContent?.[i] ?? null
+    }));
+    
+    return {
+      url: mapUrl,
+      scriptUrl,
+      sources,
+      names: raw.names || [],
+      mappings: raw.mappings || '',
+      decoded: null
+    };
+  }
+  
+  /**
+   * Readable path for an original source: drops scheme prefixes such as
+   * webpack:// and resolves . and .. segments
+   */
+  originalSourcePath(source) {
+    const parts = [];
+    
+    for (const segment of source.replace(/^[a-z][\w+.-]*:\/*/i, '').split(/[/\\]/)) {
+      if (segment === '..') {
+        parts.pop();
+      } else if (segment && segment !== '.') {
+        parts.push(segment);
+      }
+    }
+    
+    return parts.join('/') || source;
+  }
+  
+  /**
+   * Short name for a source map URL
+   */
+  sourceMapLabel(url) {
+    return url.startsWith('data:') ? '(inline data: URL)' : url;
+  }
+  
+  /**
+   * List loaded source maps
+   */
+  listSourceMaps() {
+    if (this.sourceMaps.size === 0) {
+      this.appendOutput('No source maps loaded. Use: sourcemap load [url]', 'warning');
+      return;
+    }
+    
+    const lines = Array.from(this.sourceMaps.values(), sourceMap => {
+      const withContent = sourceMap.sources.filter(source => source.content !== null).length;
+      return `  ${this.sourceMapLabel(sourceMap.url)}\n    script: ${sourceMap.scriptUrl}\n    ${sourceMap.sources.length} source(s), ${withContent} with content`;
+    });
+    this.appendOutput(`Source maps:\n${lines.join('\n')}`, 'success');
+  }
+  
+  /**
+   * Show recovered original files as a tree, one per source map
+   */
+  showSourceTree() {
+    if (this.sourceMaps.size === 0) {
+      this.appendOutput('No source maps loaded. Use: sourcemap load [url]', 'warning');
+      return;
+    }
+    
+    for (const sourceMap of this.sourceMaps.values()) {
+      const entries = sourceMap.sources.map(source => ({
+        path: source.path,
+        type: 'blob',
+        size: source.content === null ? undefined : source.content.length,
+        note: '(no content)'
+      }));
+      
+      const lines = [
+        `${this.sourceMapLabel(sourceMap.url)}  (${entries.length} files)`,
+        ...this.formatTree(this.buildTree(entries))
+      ];
+      this.appendOutput(lines.join('\n'), 'success');
+    }
+  }
+  
+  /**
+   * Find an original source by path, or by a unique path suffix
+   */
+  findOriginalSource(query) {
+    const all = Array.from(this.sourceMaps.values()).flatMap(sourceMap => sourceMap.sources);
+    const normalized = this.originalSourcePath(query);
+    
+    const exact = all.find(source => source.path === normalized || source.name === query);
+    if (exact) return exact;
+    
+    const matches = all.filter(source => source.path.endsWith('/' + normalized));
+    if (matches.length > 1) {
+      throw new Error(`"${query}" is ambiguous:\n  ${matches.map(source => source.path).join('\n  ')}`);
+    }
+    return matches[0] || null;
+  }
+  
+  /**
+   * Show an original file, SOURCE_PAGE_LINES lines per --page
+   */
+  showOriginalSource(query, options = {}) {
+    if (!query) {
+      this.appendOutput('ERROR: Usage: sourcemap show <file> [--page=<n>]', 'error');
+      return;
+    }
+    
+    const source = this.findOriginalSource(query);
+    if (!source) {
+      this.appendOutput(`ERROR: No original file matches "${query}". Use: sourcemap tree`, 'error');
+      return;
+    }
+    if (source.content === null) {
+      this.appendOutput(`ERROR: The source map has no content for ${source.path} (no sourcesContent)`, 'error');
+      return;
+    }
+    
+    const lines = source.content.split('\n');
+    const pages = Math.max(1, Math.ceil(lines.length / SOURCE_PAGE_LINES));
+    const page = options.page === undefined ? 1 : Number(options.page);
+    
+    if (!Number.isInteger(page) || page < 1 || page > pages) {
+      this.appendOutput(`ERROR: --page must be between 1 and ${pages}`, 'error');
+      return;
+    }
+    
+    const first = (page - 1) * SOURCE_PAGE_LINES;
+    const shown = lines.slice(first, first + SOURCE_PAGE_LINES);
+    const width = String(first + shown.length).length;
+    
+    this.appendOutput(`\n─── ${source.path} (page ${page}/${pages}, lines ${first + 1}-${first + shown.length} of ${lines.length}) ───`, 'success');
+    this.appendOutput(shown.map((line, i) => `${String(first + i + 1).padStart(width)}  ${line}`).join('\n'), 'code');
+    this.appendOutput(
+      page < pages
+        ? `─── More: sourcemap show ${this.quoteArgument(source.path)} --page=${page + 1} ───\n`
+        : `─── End of ${source.path} ───\n`,
+      'success'
+    );
+  }
+  
+  /**
+   * Map a minified position back to the original source
+   * 
+   * Takes `<script>:<line>:<column>` with 1-based line and column, as in
+   * stack traces. <script> is a loaded script's URL or a suffix of it.
+   */
+  mapGeneratedPosition(target) {
+    const match = target.match(/^(.+):(\d+):(\d+)$/);
+    if (!match) {
+      this.appendOutput('ERROR: Usage: sourcemap map <script>:<line>:<column>', 'error');
+      return;
+    }
+    
+    const [, script, line, column] = match;
+    const candidates = Array.from(this.sourceMaps.values()).filter(sourceMap =>
+      sourceMap.scriptUrl === script || sourceMap.scriptUrl.split(/[?#]/)[0].endsWith('/' + script.replace(/^\/+/, ''))
+    );
+    
+    if (candidates.length === 0) {
+      this.appendOutput(`ERROR: No loaded source map for ${script}. Use: sourcemap list`, 'error');
+      return;
+    }
+    if (candidates.length > 1) {
+      this.appendOutput(`ERROR: "${script}" matches several scripts:\n  ${candidates.map(sourceMap => sourceMap.scriptUrl).join('\n  ')}`, 'error');
+      return;
+    }
+    
+    const position = this.originalPosition(candidates[0], Number(line) - 1, Number(column) - 1);
+    if (!position) {
+      this.appendOutput(`No mapping for ${target}`, 'warning');
+      return;
+    }
+    
+    const { source, line: originalLine, column: originalColumn, name } = position;
+    const lines = [`${target} → ${source.path}:${originalLine + 1}:${originalColumn + 1}${name ? ` (${name})` : ''}`];
+    
+    // A few lines of context when the map carries the original text
+    if (source.content !== null) {
+      const sourceLines = source.content.split('\n');
+      const first = Math.max(0, originalLine - 2);
+      const last = Math.min(sourceLines.length - 1, originalLine + 2);
+      const width = String(last + 1).length;
+      
+      for (let i = first; i <= last; i++) {
+        lines.push(`${i === originalLine ? '>' : ' '} ${String(i + 1).padStart(width)}  ${sourceLines[i]}`);
+        if (i === originalLine) {
+          lines.push(' '.repeat(width + 4 + originalColumn) + '^');
+        }
+      }
+    }
+    
+    this.appendOutput(lines.join('\n'), 'success');
+  }
+  
+  /**
+   * Original { source, line, column, name } for a 0-based generated
+   * position, or null
+   */
+  originalPosition(sourceMap, line, column) {
+    if (sourceMap.sections) {
+      const section = sourceMap.sections.filter(({ offset }) =>
+        offset.line < line || (offset.line === line && offset.column <= column)
+      ).pop();
+      
+      if (!section) return null;
+      return this.originalPosition(
+        section.map,
+        line - section.offset.line,
+        line === section.offset.line ? column - section.offset.column : column
+      );
+    }
+    
+    if (!sourceMap.decoded) {
+      sourceMap.decoded = this.decodeMappings(sourceMap.mappings);
+    }
+    
+    // Last segment starting at or before the column; a 1-field segment
+    // starts an unmapped stretch
+    const segment = (sourceMap.decoded[line] || [])
+      .filter(entry => entry[0] <= column)
+      .pop();
+    
+    if (!segment || segment.length < 4 || !sourceMap.sources[segment[1]]) return null;
+    
+    return {
+      source: sourceMap.sources[segment[1]],
+      line: segment[2],
+      column: segment[3],
+      name: segment.length >= 5 ? sourceMap.names[segment[4]] : null
+    };
+  }
+  
+  /**
+   * Decode a v3 `mappings` string into absolute segments per generated
+   * line: [column, sourceIndex, sourceLine, sourceColumn, nameIndex?]
+   */
+  decodeMappings(mappings) {
+    const lines = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let nameIndex = 0;
+    
+    for (const line of mappings.split(';')) {
+      const segments = [];
+      let generatedColumn = 0;
+      
+      for (const segment of line.split(',')) {
+        if (!segment) continue;
+        
+        const values = this.decodeVlq(segment);
+        generatedColumn += values[0];
+        
+        if (values.length < 4) {
+          segments.push([generatedColumn]);
+          continue;
+        }
+        
+        sourceIndex += values[1];
+        sourceLine += values[2];
+        sourceColumn += values[3];
+        const entry = [generatedColumn, sourceIndex, sourceLine, sourceColumn];
+        
+        if (values.length >= 5) {
+          nameIndex += values[4];
+          entry.push(nameIndex);
+        }
+        segments.push(entry);
+      }
+      
+      lines.push(segments);
+    }
+    
+    return lines;
+  }
+  
+  /**
+   * Decode one Base64 VLQ segment into its signed values
+   */
+  decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    
+    for (const ch of segment) {
+      const digit = BASE64_DIGITS.indexOf(ch);
+      if (digit === -1) {
+        throw new Error(`Invalid character "${ch}" in source map mappings`);
+      }
+      
+      value += (digit & 31) * 2 ** shift;
+      
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value % 2 === 1 ? -Math.floor(value / 2) : value / 2);
+        value = 0;
+        shift = 0;
+      }
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Handle audit commands
+   */
+  async handleAuditCommand(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    try {
+      switch(action) {
+        case 'headers':
+          await this.auditHeaders();
+          break;
+          
+        case 'cookies':
+          await this.auditCookies();
+          break;
+          
+        default:
+          this.appendOutput('ERROR: Unknown audit action. Use: headers or cookies', 'error');
+      }
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Network log of the inspected tab, as recorded since DevTools opened
+   */
+  getHar() {
+    return new Promise((resolve) => chrome.devtools.network.getHAR(resolve));
+  }
+  
+  /**
+   * Response headers of the inspected page's document
+   * 
+   * Taken from the HAR entry for the current URL when DevTools saw the
+   * load. Otherwise the page is fetched again from the page itself,
+   * which can differ from the original response and never exposes
+   * Set-Cookie. Resolves to { url, headers: [[name, value]], source }.
+   */
+  async getDocumentResponse() {
+    const { result: pageUrl, isException } = await this.executeInPage('location.href');
+    if (isException) {
+      throw new Error(this.describeException(isException));
+    }
+    
+    const documentUrl = pageUrl.split('#')[0];
+    const har = await this.getHar();
+    const entry = (har.entries || []).filter(candidate =>
+      candidate.request.url.split('#')[0] === documentUrl && candidate.response.status > 0
+    ).pop();
+    
+    if (entry) {
+      return {
+        url: documentUrl,
+        headers: entry.response.headers.map(header => [header.name.toLowerCase(), header.value]),
+        source: 'har'
+      };
+    }
+    
+    const outcome = await this.runAsyncInPage(`
+      const response = await fetch(location.href, { credentials: 'include', cache: 'no-store' });
+      return Array.from(response.headers);
+    `, { timeout: this.settings.timeout });
+    
+    if (outcome.state !== 'fulfilled') {
+      throw new Error(`Could not read response headers (${outcome.error || outcome.state})`);
+    }
+    
+    return { url: documentUrl, headers: outcome.result, source: 'fetch' };
+  }
+  
+  /**
+   * Grade the page's security headers
+   */
+  async auditHeaders() {
+    const response = await this.getDocumentResponse();
+    
+    if (response.source === 'fetch') {
+      this.appendOutput('WARNING: DevTools did not record the page load; auditing a fresh fetch of the page instead. Reload with DevTools open for the original response.', 'warning');
+    }
+    
+    const headers = new Map();
+    for (const [name, value] of response.headers) {
+      headers.set(name, headers.has(name) ? `${headers.get(name)}, ${value}` : value);
+    }
+    
+    const findings = this.checkSecurityHeaders(headers, new URL(response.url).protocol === 'https:');
+    this.reportAuditFindings(`Security headers for ${response.url}`, findings);
+  }
+  
+  /**
+   * Security header checks
+   * 
+   * `headers` maps lowercase names to values. Returns findings as
+   * { severity, subject, message } with severity high, medium, low, info
+   * or pass.
+   */
+  checkSecurityHeaders(headers, isHttps) {
+    const findings = [];
+    const add = (severity, subject, message) => findings.push({ severity, subject, message });
+    
+    // Content-Security-Policy
+    const csp = headers.get('content-security-policy');
+    if (!csp) {
+      add(headers.has('content-security-policy-report-only') ? 'low' : 'medium', 'Content-Security-Policy',
+        headers.has('content-security-policy-report-only')
+          ? 'Only a report-only policy is set, so nothing is enforced'
+          : 'Missing. An injected script runs with no second line of defense against XSS');
+    } else {
+      // Only the serious part of `csp analyze`, which has the detail
+      const serious = csp.split(',')
+        .flatMap(text => this.analyzeCsp(this.parseCsp(text)))
+        .filter(finding => ['high', 'medium'].includes(finding.severity));
+      
+      serious.forEach(finding => add(finding.severity, 'Content-Security-Policy', `${finding.subject}: ${finding.message}`));
+      
+      if (serious.length === 0) {
+        add('pass', 'Content-Security-Policy', 'Enforced with no high or medium issues');
+      } else {
+        add('info', 'Content-Security-Policy', 'Run csp analyze for the full breakdown');
+      }
+    }
+    
+    // Strict-Transport-Security
+    const hsts = headers.get('strict-transport-security');
+    if (!isHttps) {
+      add('high', 'Transport', 'Page is served over plain HTTP; traffic can be read and modified in transit');
+    } else if (!hsts) {
+      add('medium', 'Strict-Transport-Security', 'Missing. The first visit and typed http:// links can be downgraded');
+    } else {
+      const maxAge = Number((hsts.match(/max-age\s*=\s*"?(\d+)/i) || [])[1] || 0);
+      if (maxAge < 15552000) {
+        add('low', 'Strict-Transport-Security', `max-age=${maxAge} is under 180 days, leaving regular downgrade windows`);
+      } else {
+        add('pass', 'Strict-Transport-Security', `max-age=${maxAge}`);
+      }
+      if (!/includeSubDomains/i.test(hsts)) {
+        add('info', 'Strict-Transport-Security', 'No includeSubDomains; subdomains can still be reached over HTTP');
+      }
+    }
+    
+    // Framing
+    const frameOptions = headers.get('x-frame-options');
+    const frameAncestors = csp && csp.split(',')
+      .map(text => this.parseCsp(text).directives.get('frame-ancestors'))
+      .find(Boolean);
+    if (frameAncestors) {
+      const broad = frameAncestors.some(source => ['*', 'http:', 'https:'].includes(source));
+      add(broad ? 'medium' : 'pass', 'Clickjacking', `CSP frame-ancestors ${frameAncestors.join(' ')}${broad ? ' lets any site frame the page' : ''}`);
+    } else if (frameOptions && /^\s*(deny|sameorigin)\s*$/i.test(frameOptions)) {
+      add('pass', 'Clickjacking', `X-Frame-Options: ${frameOptions.trim()}`);
+    } else if (frameOptions) {
+      add('low', 'Clickjacking', `X-Frame-Options: ${frameOptions} is not understood by modern browsers; use CSP frame-ancestors`);
+    } else {
+      add('medium', 'Clickjacking', 'Neither X-Frame-Options nor CSP frame-ancestors; any site can frame the page');
+    }
+    
+    // Referrer-Policy (the last valid token wins)
+    const referrerPolicy = (headers.get('referrer-policy') || '').split(',').map(token => token.trim().toLowerCase()).filter(Boolean).pop();
+    if (!referrerPolicy) {
+      add('info', 'Referrer-Policy', 'Missing; browsers default to strict-origin-when-cross-origin');
+    } else if (referrerPolicy === 'unsafe-url') {
+      add('medium', 'Referrer-Policy', 'unsafe-url sends full URLs, including paths and query strings, to every site');
+    } else if (['no-referrer-when-downgrade', 'origin-when-cross-origin'].includes(referrerPolicy)) {
+      add('low', 'Referrer-Policy', `${referrerPolicy} can leak paths or query strings to other sites`);
+    } else {
+      add('pass', 'Referrer-Policy', referrerPolicy);
+    }
+    
+    // Permissions-Policy
+    if (headers.has('permissions-policy')) {
+      add('pass', 'Permissions-Policy', 'Set');
+    } else {
+      add('low', 'Permissions-Policy', headers.has('feature-policy')
+        ? 'Only the obsolete Feature-Policy is set'
+        : 'Missing; embedded content may request camera, microphone, geolocation, etc.');
+    }
+    
+    // Cross-origin isolation headers
+    const coop = headers.get('cross-origin-opener-policy');
+    if (!coop || /unsafe-none/i.test(coop)) {
+      add('low', 'Cross-Origin-Opener-Policy', `${coop ? 'unsafe-none' : 'Missing'}; pages that open this one keep a window handle (XS-Leaks, tabnabbing)`);
+    } else {
+      add('pass', 'Cross-Origin-Opener-Policy', coop);
+    }
+    
+    const coep = headers.get('cross-origin-embedder-policy');
+    add(coep ? 'pass' : 'info', 'Cross-Origin-Embedder-Policy', coep || 'Missing; only needed for cross-origin isolation');
+    
+    const corp = headers.get('cross-origin-resource-policy');
+    add(corp ? 'pass' : 'info', 'Cross-Origin-Resource-Policy', corp || 'Missing; other sites can embed this response');
+    
+    // MIME sniffing
+    const contentTypeOptions = headers.get('x-content-type-options');
+    if (contentTypeOptions && /nosniff/i.test(contentTypeOptions)) {
+      add('pass', 'X-Content-Type-Options', 'nosniff');
+    } else {
+      add('low', 'X-Content-Type-Options', 'Missing nosniff; browsers may sniff responses into executable types');
+    }
+    
+    // Fingerprinting
+    ['server', 'x-powered-by', 'x-aspnet-version', 'x-aspnetmvc-version'].forEach(name => {
+      if (headers.has(name)) {
+        add('info', name.replace(/(^|-)([a-z])/g, (m, dash, ch) => dash + ch.toUpperCase()), `Discloses "${headers.get(name)}"`);
+      }
+    });
+    
+    return findings;
+  }
+  
+  /**
+   * Handle `csp analyze [policy]`
+   * 
+   * The policy text is taken verbatim from the command line, so quoted
+   * keywords like 'self' need no extra quoting. Without one, the
+   * inspected page's CSP headers and <meta> policies are analyzed.
+   */
+  async handleCspCommand(source) {
+    const [action] = source.split(/\s+/);
+    
+    if (action.toLowerCase() !== 'analyze') {
+      this.appendOutput('ERROR: Unknown csp action. Use: analyze [policy]', 'error');
+      return;
+    }
+    
+    const pasted = source.substring(action.length).trim();
+    
+    try {
+      const policies = pasted
+        ? [{ origin: 'pasted', text: pasted }]
+        : await this.collectPagePolicies();
+      
+      if (policies.length === 0) {
+        this.appendOutput('No Content-Security-Policy on this page (header or <meta>).', 'warning');
+        return;
+      }
+      
+      policies.forEach((policy, i) => this.reportCspAnalysis(policy, i + 1));
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * CSP policies of the inspected page as [{ origin, text }]
+   * 
+   * A header may carry several comma-separated policies; each is
+   * enforced on its own, so each is listed separately.
+   */
+  async collectPagePolicies() {
+    const response = await this.getDocumentResponse();
+    const policies = [];
+    
+    if (response.source === 'fetch') {
+      this.appendOutput('WARNING: DevTools did not record the page load; using a fresh fetch of the page. Reload with DevTools open for the original headers.', 'warning');
+    }
+    
+    for (const [name, value] of response.headers) {
+      const origin = {
+        'content-security-policy': 'header',
+        'content-security-policy-report-only': 'header, report-only'
+      }[name];
+      
+      if (origin) {
+        value.split(',').filter(text => text.trim()).forEach(text => policies.push({ origin, text: text.trim() }));
+      }
+    }
+    
+    const { result } = await this.executeInPage(`
+      Array.from(document.querySelectorAll('meta[http-equiv]'))
+        .filter(meta => meta.httpEquiv.toLowerCase() === 'content-security-policy')
+        .map(meta => meta.content)
+    `);
+    (result || []).forEach(text => policies.push({ origin: 'meta', text }));
+    
+    return policies;
+  }
+  
+  /**
+   * Print one policy: its effective sources per directive, then findings
+   */
+  reportCspAnalysis(policy, number) {
+    const parsed = this.parseCsp(policy.text);
+    const lines = [`Policy ${number} (${policy.origin}):`];
+    const unrestricted = [];
+    
+    for (const directive of Object.keys(CSP_FALLBACKS)) {
+      const { from, sources } = this.effectiveCspSources(parsed, directive);
+      if (!from) {
+        unrestricted.push(directive);
+        continue;
+      }
+      const via = from === directive ? '' : ` ← ${from}`;
+      lines.push(`  ${directive.padEnd(16)} ${sources.join(' ') || "'none'"}${via}`);
+    }
+    
+    for (const [name, sources] of parsed.directives) {
+      if (!(name in CSP_FALLBACKS)) {
+        lines.push(`  ${name.padEnd(16)} ${sources.join(' ')}`.trimEnd());
+      }
+    }
+    
+    if (unrestricted.length > 0) {
+      lines.push(`  Unrestricted: ${unrestricted.join(', ')}`);
+    }
+    
+    this.appendOutput(lines.join('\n'), 'success');
+    
+    const findings = this.analyzeCsp(parsed, {
+      meta: policy.origin === 'meta',
+      reportOnly: policy.origin.includes('report-only')
+    });
+    this.reportAuditFindings(`Policy ${number} findings`, findings);
+  }
+  
+  /**
+   * Parse one policy into { directives: Map(name -> sources), duplicates }
+   * 
+   * Directive names and keywords are case-insensitive; nonce and hash
+   * values are not, so only their prefix is lowercased. A repeated
+   * directive is ignored by browsers and recorded in `duplicates`.
+   */
+  parseCsp(text) {
+    const directives = new Map();
+    const duplicates = [];
+    
+    for (const directive of text.split(';')) {
+      const [name, ...sources] = directive.trim().split(/\s+/);
+      if (!name) continue;
+      
+      const key = name.toLowerCase();
+      if (directives.has(key)) {
+        duplicates.push(key);
+        continue;
+      }
+      
+      directives.set(key, sources.map(source => {
+        const hashOrNonce = source.match(/^'(nonce|sha256|sha384|sha512)-(.*)'$/i);
+        if (hashOrNonce) return `'${hashOrNonce[1].toLowerCase()}-${hashOrNonce[2]}'`;
+        return source.startsWith("'") ? source.toLowerCase() : source;
+      }));
+    }
+    
+    return { directives, duplicates };
+  }
+  
+  /**
+   * Sources that govern `directive` after following its fallback chain
+   * 
+   * Resolves to { from, sources }, where `from` names the directive that
+   * supplied them, or is null if nothing restricts this fetch type.
+   */
+  effectiveCspSources(parsed, directive) {
+    for (const name of [directive, ...(CSP_FALLBACKS[directive] || [])]) {
+      if (parsed.directives.has(name)) {
+        return { from: name, sources: parsed.directives.get(name) };
+      }
+    }
+    return { from: null, sources: [] };
+  }
+  
+  /**
+   * Findings for one parsed policy, as { severity, subject, message }
+   */
+  analyzeCsp(parsed, { meta = false, reportOnly = false } = {}) {
+    const findings = [];
+    const add = (severity, subject, message) => findings.push({ severity, subject, message });
+    const { directives } = parsed;
+    
+    if (reportOnly) {
+      add('medium', 'policy', 'Report-only: violations are reported but nothing is blocked');
+    }
+    
+    parsed.duplicates.forEach(name => add('low', name, 'Repeated directive; browsers ignore every occurrence after the first'));
+    
+    for (const name of directives.keys()) {
+      if (name in CSP_DEPRECATED_DIRECTIVES) {
+        add('info', name, CSP_DEPRECATED_DIRECTIVES[name]);
+      } else if (!(name in CSP_FALLBACKS) && !CSP_OTHER_DIRECTIVES.has(name)) {
+        add('low', name, 'Unknown directive (typo?); browsers ignore it');
+      }
+      if (meta && CSP_META_IGNORED.has(name)) {
+        add('low', name, 'Ignored in a <meta> policy; it only works as a response header');
+      }
+    }
+    
+    // Script execution: element scripts, inline handlers, and workers
+    // only where they are configured separately
+    const scriptDirectives = ['script-src', 'script-src-elem', 'script-src-attr']
+      .filter(name => name === 'script-src' || directives.has(name));
+    
+    for (const name of scriptDirectives) {
+      findings.push(...this.analyzeScriptSources(name, this.effectiveCspSources(parsed, name)));
+    }
+    
+    // Plugins
+    const objectSources = this.effectiveCspSources(parsed, 'object-src');
+    if (!objectSources.from) {
+      add('high', 'object-src', "Unrestricted; plugin content can run script. Set object-src 'none'");
+    } else if (!(objectSources.sources.length === 1 && objectSources.sources[0] === "'none'")) {
+      add('medium', 'object-src', `Allows ${objectSources.sources.join(' ') || 'nothing'}${objectSources.from !== 'object-src' ? ` (via ${objectSources.from})` : ''}; prefer 'none'`);
+    }
+    
+    // base-uri has no fallback
+    if (!directives.has('base-uri')) {
+      const scriptSources = this.effectiveCspSources(parsed, 'script-src').sources;
+      const usesNonces = scriptSources.some(source => source.startsWith("'nonce-") || source === "'strict-dynamic'");
+      add(usesNonces ? 'high' : 'medium', 'base-uri',
+        `Missing; an injected <base> re-points relative script URLs${usesNonces ? ', which defeats nonce-based policies' : ''}. Set base-uri 'none' or 'self'`);
+    }
+    
+    if (!directives.has('frame-ancestors')) {
+      add('info', 'frame-ancestors', 'Missing; clickjacking protection then depends on X-Frame-Options');
+    }
+    if (!directives.has('form-action')) {
+      add('info', 'form-action', 'Missing (no fallback); injected forms can post anywhere');
+    }
+    if (directives.has('require-trusted-types-for')) {
+      add('pass', 'require-trusted-types-for', 'Trusted Types enforced for DOM XSS sinks');
+    }
+    
+    if (findings.every(finding => !['high', 'medium'].includes(finding.severity))) {
+      add('pass', 'policy', 'No high or medium issues');
+    }
+    
+    return findings;
+  }
+  
+  /**
+   * Script-related findings for one script directive's effective sources
+   */
+  analyzeScriptSources(directive, { from, sources }) {
+    const findings = [];
+    const subject = from && from !== directive ? `${directive} (via ${from})` : directive;
+    const add = (severity, message) => findings.push({ severity, subject, message });
+    
+    if (!from) {
+      add('high', 'Unrestricted: no script-src or default-src, so any script runs');
+      return findings;
+    }
+    
+    const nonces = sources.filter(source => source.startsWith("'nonce-"));
+    const hashes = sources.filter(source => /^'sha\d+-/.test(source));
+    const strictDynamic = sources.includes("'strict-dynamic'");
+    const hasNonceOrHash = nonces.length > 0 || hashes.length > 0;
+    
+    if (sources.includes("'unsafe-inline'")) {
+      if (hasNonceOrHash) {
+        add('info', "'unsafe-inline' is ignored because nonces or hashes are present (kept for old browsers)");
+      } else {
+        add('high', "'unsafe-inline' lets any injected inline script or event handler run");
+      }
+    }
+    if (sources.includes("'unsafe-eval'")) {
+      add('medium', "'unsafe-eval' allows eval(), new Function() and string timers");
+    }
+    if (strictDynamic && !hasNonceOrHash) {
+      add('medium', "'strict-dynamic' without a nonce or hash blocks every script, so the policy is likely broken");
+    }
+    
+    nonces.forEach(nonce => {
+      if (nonce.length - "'nonce-'".length < 16) {
+        add('medium', `Short nonce ${nonce}; nonces should carry at least 128 bits of randomness`);
+      }
+    });
+    
+    if (strictDynamic) {
+      // Host and scheme allowlists are ignored under 'strict-dynamic'
+      add('info', "'strict-dynamic': host, scheme and 'self' sources are ignored; scripts loaded by trusted scripts are trusted");
+    } else {
+      for (const source of sources) {
+        if (source === '*') {
+          add('high', '* allows scripts from any host');
+        } else if (/^(?:https?|data|blob|filesystem):$/i.test(source)) {
+          add('high', `${source} allows scripts from any ${source === 'data:' || source === 'blob:' ? `${source} URL, which an attacker can create` : 'host on that scheme'}`);
+        } else if (!source.startsWith("'")) {
+          const bypass = this.findCspBypassHost(source);
+          if (bypass) {
+            add('high', `${source} ${bypass.reason}, which can be used to bypass the policy`);
+          } else if (/^(?:[a-z][\w+.-]*:\/\/)?\*\./i.test(source)) {
+            add('low', `${source} trusts every subdomain; any subdomain takeover or upload host is a bypass`);
+          }
+        }
+      }
+      
+      if (sources.includes("'self'")) {
+        add('low', "'self' trusts every script path on the origin, including JSONP endpoints and user uploads");
+      }
+    }
+    
+    if (hashes.length > 0) {
+      add('info', `${hashes.length} script hash(es) allowed`);
+    }
+    
+    return findings;
+  }
+  
+  /**
+   * Known bypass host entry matching a host source expression, if any
+   */
+  findCspBypassHost(source) {
+    const host = source.replace(/^[a-z][\w+.-]*:\/\//i, '').split(/[/:]/)[0].toLowerCase();
+    
+    return CSP_BYPASS_HOSTS.find(entry => {
+      if (entry.host.startsWith('*.')) {
+        // Listed wildcard: any host under it, or a wildcard at least as broad
+        const domain = entry.host.substring(2);
+        return host.endsWith('.' + domain) || host === entry.host || (host.startsWith('*.') && domain.endsWith('.' + host.substring(2)));
+      }
+      // Listed single host: exact, or covered by a source wildcard
+      return host === entry.host || (host.startsWith('*.') && entry.host.endsWith(host.substring(1)));
+    });
+  }
+  
+  /**
+   * Check the cookies the page sets
+   * 
+   * Set-Cookie headers come from every response DevTools recorded for
+   * the page's site. Cookies readable through document.cookie that were
+   * not seen being set are reported too: they lack HttpOnly by
+   * definition, but their other attributes are unknown.
+   */
+  async auditCookies() {
+    const { result: page, isException } = await this.executeInPage('({ url: location.href, cookie: document.cookie })');
+    if (isException) {
+      throw new Error(this.describeException(isException));
+    }
+    
+    const pageUrl = new URL(page.url);
+    const har = await this.getHar();
+    const cookies = new Map();
+    
+    for (const entry of har.entries || []) {
+      let responseUrl;
+      try {
+        responseUrl = new URL(entry.request.url);
+      } catch (error) {
+        continue;
+      }
+      if (!this.isSameSite(responseUrl.hostname, pageUrl.hostname)) continue;
+      
+      for (const header of entry.response.headers || []) {
+        if (header.name.toLowerCase() !== 'set-cookie') continue;
+        
+        // HAR may fold several Set-Cookie headers into one value
+        for (const line of header.value.split('\n')) {
+          const cookie = this.parseSetCookie(line);
+          if (cookie) cookies.set(`${cookie.name}@${cookie.attributes.domain || responseUrl.hostname}`, { ...cookie, responseUrl });
+        }
+      }
+    }
+    
+    const seen = new Set(Array.from(cookies.values(), cookie => cookie.name));
+    const scriptVisible = page.cookie.split(';')
+      .map(pair => pair.split('=')[0].trim())
+      .filter(Boolean);
+    
+    const findings = [];
+    
+    for (const cookie of cookies.values()) {
+      findings.push(...this.checkCookie(cookie, pageUrl));
+    }
+    
+    for (const name of scriptVisible) {
+      if (seen.has(name)) continue;
+      const sensitive = SESSION_COOKIE_PATTERN.test(name);
+      findings.push({
+        severity: sensitive ? 'medium' : 'info',
+        subject: name,
+        message: `Readable by JavaScript (no HttpOnly)${sensitive ? ' and looks like a session cookie' : ''}; set before DevTools was recording, so other attributes are unknown`
+      });
+    }
+    
+    if (findings.length === 0) {
+      this.appendOutput(cookies.size === 0 && scriptVisible.length === 0
+        ? 'No cookies found. Reload with DevTools open to capture Set-Cookie headers.'
+        : '✓ No cookie issues found', 'success');
+      return;
+    }
+    
+    this.appendOutput(`${cookies.size} cookie(s) from Set-Cookie headers, ${scriptVisible.length} readable by JavaScript`, 'success');
+    this.reportAuditFindings(`Cookies for ${pageUrl.hostname}`, findings);
+  }
+  
+  /**
+   * Parse one Set-Cookie header into { name, attributes } with
+   * lowercase attribute names (flags map to true)
+   */
+  parseSetCookie(line) {
+    const [pair, ...parts] = line.split(';');
+    const equals = pair.indexOf('=');
+    const name = (equals === -1 ? '' : pair.substring(0, equals)).trim();
+    if (!name) return null;
+    
+    const attributes = {};
+    for (const part of parts) {
+      const [key, ...value] = part.split('=');
+      if (key.trim()) {
+        attributes[key.trim().toLowerCase()] = value.length > 0 ? value.join('=').trim() : true;
+      }
+    }
+    
+    return { name, attributes };
+  }
+  
+  /**
+   * Findings for one cookie from its Set-Cookie attributes
+   */
+  checkCookie(cookie, pageUrl) {
+    const findings = [];
+    const { name, attributes, responseUrl } = cookie;
+    const add = (severity, message) => findings.push({ severity, subject: name, message });
+    const sensitive = SESSION_COOKIE_PATTERN.test(name);
+    const sameSite = typeof attributes.samesite === 'string' ? attributes.samesite.toLowerCase() : null;
+    
+    if (name.startsWith('__Host-') && (!attributes.secure || attributes.domain || attributes.path !== '/')) {
+      add('high', '__Host- prefix requires Secure, Path=/ and no Domain; browsers will reject it');
+    }
+    if (name.startsWith('__Secure-') && !attributes.secure) {
+      add('high', '__Secure- prefix without Secure; browsers will reject it');
+    }
+    if (sameSite === 'none' && !attributes.secure) {
+      add('high', 'SameSite=None without Secure; browsers will reject it');
+    }
+    
+    if (!attributes.secure) {
+      add(sensitive ? 'high' : pageUrl.protocol === 'https:' ? 'medium' : 'low',
+        'No Secure flag; it is also sent over plain HTTP, where it can be intercepted');
+    }
+    if (!attributes.httponly) {
+      add(sensitive ? 'medium' : 'low', `No HttpOnly; readable by any script on the page${sensitive ? ', so XSS can steal the session' : ''}`);
+    }
+    if (!sameSite) {
+      add('low', 'No SameSite; browsers default to Lax, but older ones send it on cross-site requests');
+    } else if (sameSite === 'none') {
+      add(sensitive ? 'medium' : 'info', 'SameSite=None; sent on cross-site requests (CSRF exposure)');
+    }
+    
+    if (attributes.domain) {
+      const domain = String(attributes.domain).replace(/^\./, '').toLowerCase();
+      if (domain !== responseUrl.hostname.toLowerCase()) {
+        add(sensitive ? 'medium' : 'low', `Domain=${domain} shares it with every subdomain of ${domain}`);
+      } else {
+        add('info', `Domain=${domain} also shares it with subdomains; omit Domain to keep it host-only`);
+      }
+    }
+    
+    const responseDirectory = responseUrl.pathname.replace(/\/[^/]*$/, '') || '/';
+    if (attributes.path === '/' && responseDirectory !== '/') {
+      add('info', `Path=/ although set by ${responseUrl.pathname}; sent to every path on the host`);
+    }
+    
+    const maxAge = Number(attributes['max-age']);
+    const expires = typeof attributes.expires === 'string' ? Date.parse(attributes.expires) : NaN;
+    const lifetimeDays = Number.isFinite(maxAge) ? maxAge / 86400 : Number.isFinite(expires) ? (expires - Date.now()) / 86400000 : 0;
+    if (sensitive && lifetimeDays > 365) {
+      add('low', `Session-like cookie lives ${Math.round(lifetimeDays)} days`);
+    }
+    
+    return findings;
+  }
+  
+  /**
+   * Loose same-site test: same host, or one is a subdomain of the other
+   */
+  isSameSite(hostA, hostB) {
+    const a = hostA.toLowerCase();
+    const b = hostB.toLowerCase();
+    return a === b || a.endsWith('.' + b) || b.endsWith('.' + a);
+  }
+  
+  /**
+   * Print audit findings grouped by severity, worst first
+   */
+  reportAuditFindings(title, findings) {
+    const sorted = findings.slice().sort((a, b) =>
+      AUDIT_SEVERITIES.indexOf(a.severity) - AUDIT_SEVERITIES.indexOf(b.severity)
+    );
+    const counts = AUDIT_SEVERITIES
+      .map(severity => [severity, findings.filter(finding => finding.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${count} ${severity}`);
+    
+    this.appendOutput(`${title}: ${counts.join(', ')}`, 'success');
+    
+    for (const finding of sorted) {
+      const type = ['high', 'medium'].includes(finding.severity) ? 'error'
+        : finding.severity === 'low' ? 'warning' : 'success';
+      this.appendOutput(`[${finding.severity.toUpperCase().padEnd(6)}] ${finding.subject}: ${finding.message}`, type);
+    }
+  }
+  
+  /**
+   * Handle network capture commands
+   */
+  async handleNetCommand(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    try {
+      switch(action) {
+        case 'capture':
+          this.handleNetCapture(args[1]?.toLowerCase());
+          break;
+          
+        case 'list':
+          this.listCapturedRequests(options);
+          break;
+          
+        case 'show':
+          this.showCapturedRequest(args[1], options);
+          break;
+          
+        case 'grep':
+          this.grepCapturedRequests(args.slice(1).join(' '), options);
+          break;
+          
+        case 'replay':
+          if (!args[1]) {
+            this.appendOutput('ERROR: Usage: net replay <id>', 'error');
+            break;
+          }
+          this.openReplayEditor(this.findCapturedRequest(args[1]));
+          break;
+          
+        case 'variants':
+          this.listReplayVariants(args[1]);
+          break;
+          
+        case 'diff':
+          this.diffCommand(args.slice(1));
+          break;
+          
+        case 'export':
+          this.exportHar(args.slice(1), options);
+          break;
+          
+        case 'import':
+          await this.importHar();
+          break;
+          
+        case 'clear':
+          this.capturedRequests = [];
+          this.appendOutput('✓ Captured requests cleared', 'success');
+          break;
+          
+        default:
+          this.appendOutput('ERROR: Unknown net action. Use: capture start|stop, list, show <id>, grep <pattern>, replay <id>, variants <id>, diff <a> [b], export [file], import, or clear', 'error');
+      }
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Start or stop recording finished requests, or show capture state
+   */
+  handleNetCapture(state) {
+    switch(state) {
+      case 'start':
+        if (this.captureListener) {
+          this.appendOutput('Capture is already running', 'warning');
+          return;
+        }
+        this.captureListener = (request) => this.recordRequest(request);
+        chrome.devtools.network.onRequestFinished.addListener(this.captureListener);
+        this.setStatusIndicator('capture', true);
+        this.appendOutput(`✓ Capturing network requests (kept in panel memory only, last ${NET_CAPTURE_LIMIT})`, 'success');
+        break;
+        
+      case 'stop':
+        if (!this.captureListener) {
+          this.appendOutput('Capture is not running', 'warning');
+          return;
+        }
+        chrome.devtools.network.onRequestFinished.removeListener(this.captureListener);
+        this.captureListener = null;
+        this.setStatusIndicator('capture', false);
+        this.appendOutput(`✓ Capture stopped (${this.capturedRequests.length} request(s) held)`, 'success');
+        break;
+        
+      case undefined:
+        this.appendOutput(`Capture is ${this.captureListener ? 'running' : 'stopped'}; ${this.capturedRequests.length} request(s) held`, 'success');
+        break;
+        
+      default:
+        this.appendOutput('ERROR: Usage: net capture start|stop', 'error');
+    }
+  }
+  
+  /**
+   * Store one finished request with its response body
+   */
+  recordRequest(request) {
+    const entry = this.addCapturedRequest(request);
+    
+    request.getContent((content, encoding) => this.setResponseBody(entry, content, encoding));
+  }
+  
+  /**
+   * Add a HAR entry (live or imported) to the captured requests
+   */
+  addCapturedRequest(har) {
+    const entry = {
+      id: ++this.captureSequence,
+      har,
+      method: (har.request.method || 'GET').toUpperCase(),
+      url: har.request.url,
+      status: har.response.status,
+      statusText: har.response.statusText,
+      mimeType: (har.response.content?.mimeType || '').split(';')[0].trim(),
+      size: har.response.content?.size ?? har.response.bodySize,
+      time: har.time,
+      requestHeaders: har.request.headers || [],
+      responseHeaders: har.response.headers || [],
+      requestBody: har.request.postData?.text ?? null,
+      responseBody: null,
+      bodyEncoding: null,
+      bodyTruncated: false,
+      variants: []
+    };
+    
+    this.setResponseBody(entry, har.response.content?.text, har.response.content?.encoding);
+    
+    this.capturedRequests.push(entry);
+    if (this.capturedRequests.length > NET_CAPTURE_LIMIT) {
+      this.capturedRequests.shift();
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Keep up to NET_BODY_LIMIT of a response body
+   */
+  setResponseBody(entry, content, encoding) {
+    if (typeof content !== 'string') return;
+    entry.bodyTruncated = content.length > NET_BODY_LIMIT;
+    entry.responseBody = entry.bodyTruncated ? content.substring(0, NET_BODY_LIMIT) : content;
+    entry.bodyEncoding = encoding || null;
+  }
+  
+  /**
+   * Captured requests matching the net list filters
+   * 
+   * --method=<verb>, --status=<code|4xx|200-299>, --mime=<substring>,
+   * --url=<regex> and --auth (request carries credentials).
+   */
+  filterCapturedRequests(options = {}) {
+    let statusTest = () => true;
+    
+    if (typeof options.status === 'string') {
+      const status = options.status.toLowerCase();
+      const range = status.match(/^(\d{3})-(\d{3})$/);
+      
+      if (/^\dxx$/.test(status)) {
+        statusTest = (code) => Math.floor(code / 100) === Number(status[0]);
+      } else if (range) {
+        statusTest = (code) => code >= Number(range[1]) && code <= Number(range[2]);
+      } else if (/^\d{3}$/.test(status)) {
+        statusTest = (code) => code === Number(status);
+      } else {
+        throw new Error('--status takes a code (404), a class (4xx) or a range (200-299)');
+      }
+    }
+    
+    const urlPattern = typeof options.url === 'string' ? new RegExp(options.url, 'i') : null;
+    const method = typeof options.method === 'string' ? options.method.toUpperCase() : null;
+    const mime = typeof options.mime === 'string' ? options.mime.toLowerCase() : null;
+    
+    return this.capturedRequests.filter(entry =>
+      (!method || entry.method === method) &&
+      statusTest(entry.status) &&
+      (!mime || entry.mimeType.toLowerCase().includes(mime)) &&
+      (!urlPattern || urlPattern.test(entry.url)) &&
+      (!options.auth || entry.requestHeaders.some(header => NET_AUTH_HEADERS.has(header.name.toLowerCase())))
+    );
+  }
+  
+  /**
+   * List captured requests, newest last
+   */
+  listCapturedRequests(options = {}) {
+    const limit = options.limit === undefined ? 100 : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('--limit must be a positive whole number');
+    }
+    
+    const matches = this.filterCapturedRequests(options);
+    
+    if (matches.length === 0) {
+      this.appendOutput(this.capturedRequests.length === 0
+        ? (this.captureListener ? 'No requests captured yet' : 'No requests captured. Use: net capture start')
+        : 'No captured requests match', 'warning');
+      return;
+    }
+    
+    // Piped, every match goes on as data
+    if (this.pipeValue(matches.map(({ id, method, url, status, mimeType, size }) => ({ id, method, url, status, mimeType, size })))) {
+      return;
+    }
+    
+    const shown = matches.slice(-limit);
+    const lines = shown.map(entry =>
+      `  #${String(entry.id).padEnd(5)} ${entry.method.padEnd(7)} ${String(entry.status || '---').padEnd(4)} ` +
+      `${(entry.mimeType || '-').substring(0, 24).padEnd(24)} ${this.formatSize(Math.max(0, entry.size || 0)).padStart(9)}  ` +
+      `${entry.url.length > 120 ? entry.url.substring(0, 119) + '…' : entry.url}`
+    );
+    
+    const header = shown.length < matches.length
+      ? `${matches.length} request(s), showing the last ${shown.length} (--limit=<n> for more):`
+      : `${matches.length} request(s):`;
+    this.appendOutput(`${header}\n${lines.join('\n')}`, 'success');
+  }
+  
+  /**
+   * Look up a captured request by its #id, or a replayed variant by
+   * #id.n
+   */
+  findCapturedRequest(id) {
+    const match = String(id).match(/^#?(\d+)(?:\.(\d+))?$/);
+    const entry = match && this.capturedRequests.find(candidate => candidate.id === Number(match[1]));
+    
+    if (!entry) {
+      throw new Error(`No captured request #${String(id).replace(/^#/, '')}. Use: net list`);
+    }
+    if (match[2] === undefined) {
+      return entry;
+    }
+    
+    const variant = entry.variants[Number(match[2]) - 1];
+    if (!variant) {
+      throw new Error(`No variant #${match[1]}.${match[2]}. Use: net variants ${match[1]}`);
+    }
+    return variant;
+  }
+  
+  /**
+   * Show a captured request's headers and bodies
+   */
+  showCapturedRequest(id, options = {}) {
+    if (!id) {
+      this.appendOutput('ERROR: Usage: net show <id>', 'error');
+      return;
+    }
+    
+    const entry = this.findCapturedRequest(id);
+    const formatHeaders = (headers) => headers.map(header => `  ${header.name}: ${header.value}`).join('\n') || '  (none)';
+    
+    const statusLine = [entry.status, entry.statusText].filter(Boolean).join(' ');
+    
+    this.appendOutput(
+      `#${entry.id} ${entry.method} ${entry.url}\n` +
+      `Status: ${statusLine}  (${Math.round(entry.time || 0)} ms)\n\n` +
+      `Request headers:\n${formatHeaders(entry.requestHeaders)}\n\n` +
+      `Response headers:\n${formatHeaders(entry.responseHeaders)}`,
+      'success'
+    );
+    
+    if (entry.requestBody !== null && entry.requestBody !== '') {
+      this.displayFileContent(`#${entry.id} request body`, this.prettyBody(entry.requestBody));
+    }
+    
+    if (entry.bodyEncoding === 'base64') {
+      this.appendOutput(`Response body: binary (${entry.mimeType || 'unknown type'}), not shown`, 'success');
+    } else if (entry.responseBody !== null && entry.responseBody !== '') {
+      this.displayFileContent(
+        `#${entry.id} response body${entry.bodyTruncated ? ` (first ${this.formatSize(NET_BODY_LIMIT)} captured)` : ''}`,
+        this.prettyBody(entry.responseBody)
+      );
+    } else {
+      this.appendOutput('Response body: (empty or unavailable)', 'success');
+    }
+  }
+  
+  /**
+   * Pretty-print JSON bodies; anything else is returned unchanged
+   */
+  prettyBody(text) {
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+      return text;
+    }
+  }
+  
+  /**
+   * Search captured request and response bodies
+   * 
+   * The pattern is literal unless --regex is given (with --flags, default
+   * i). Text bodies only.
+   */
+  grepCapturedRequests(pattern, options = {}) {
+    if (!pattern) {
+      this.appendOutput('ERROR: Usage: net grep <pattern> [--regex] [--flags=<flags>]', 'error');
+      return;
+    }
+    
+    const flags = typeof options.flags === 'string' ? options.flags.replace(/g/g, '') : 'i';
+    const regex = new RegExp(options.regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags + 'g');
+    const results = [];
+    let total = 0;
+    
+    for (const entry of this.filterCapturedRequests(options)) {
+      const bodies = [['request', entry.requestBody]];
+      if (entry.bodyEncoding !== 'base64') bodies.push(['response', entry.responseBody]);
+      
+      const snippets = [];
+      for (const [label, body] of bodies) {
+        if (!body) continue;
+        
+        for (const match of body.matchAll(regex)) {
+          total++;
+          if (snippets.length >= NET_GREP_SNIPPETS) continue;
+          
+          const start = Math.max(0, match.index - 40);
+          const end = Math.min(body.length, match.index + match[0].length + 40);
+          const context = body.substring(start, end).replace(/\s+/g, ' ');
+          snippets.push(`      ${label}: ${start > 0 ? '…' : ''}${context}${end < body.length ? '…' : ''}`);
+          
+          // Empty matches would never advance
+          if (match[0] === '') break;
+        }
+      }
+      
+      if (snippets.length > 0) {
+        results.push(`  #${entry.id} ${entry.method} ${entry.url}\n${snippets.join('\n')}`);
+      }
+    }
+    
+    if (results.length === 0) {
+      this.appendOutput('No matches in captured bodies', 'warning');
+      return;
+    }
+    
+    this.appendOutput(`${total} match(es) in ${results.length} request(s):\n${results.join('\n')}`, 'success');
+  }
+  
+  /**
+   * Write captured requests (and their replayed variants) as a HAR 1.2
+   * file
+   * 
+   * Takes the net list filters. --redact replaces credential header and
+   * cookie values with "REDACTED".
+   */
+  exportHar(args, options = {}) {
+    const records = this.filterCapturedRequests(options);
+    
+    if (records.length === 0) {
+      this.appendOutput('No captured requests to export', 'warning');
+      return;
+    }
+    
+    const redact = Boolean(options.redact);
+    const entries = records.flatMap(record => [
+      this.toHarEntry(record, redact),
+      ...record.variants.map(variant => this.toHarEntry(variant, redact))
+    ]);
+    
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'Security Research Terminal', version: chrome.runtime.getManifest().version },
+        entries
+      }
+    };
+    
+    const fileName = args[0] || `capture-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+    this.downloadFile(fileName, JSON.stringify(har, null, 2), 'application/json');
+    this.appendOutput(`✓ Exported ${entries.length} request(s) to ${fileName}${redact ? ' (credentials redacted)' : ''}`, 'success');
+    
+    if (!redact && records.some(record => record.requestHeaders.some(header => NET_AUTH_HEADERS.has(header.name.toLowerCase())))) {
+      this.appendOutput('WARNING: The file contains Authorization/Cookie values; use --redact before sharing it', 'warning');
+    }
+  }
+  
+  /**
+   * HAR entry for a captured request or replayed variant
+   * 
+   * Fields DevTools recorded (timings, cookies, HTTP version) are kept;
+   * headers and bodies come from the record, which is what net show
+   * displays.
+   */
+  toHarEntry(record, redact) {
+    const har = record.har || {};
+    const harRequest = har.request || {};
+    const harResponse = har.response || {};
+    
+    const headers = (list) => list.map(header => ({
+      name: header.name,
+      value: redact && NET_REDACTED_HEADERS.has(header.name.toLowerCase()) ? 'REDACTED' : header.value
+    }));
+    const cookies = (list) => (list || []).map(cookie => redact ? { ...cookie, value: 'REDACTED' } : cookie);
+    const requestHeaders = headers(record.requestHeaders);
+    const contentType = requestHeaders.find(header => header.name.toLowerCase() === 'content-type');
+    
+    // Imported entries may carry a relative or malformed URL
+    let queryString = harRequest.queryString;
+    if (!queryString) {
+      try {
+        queryString = Array.from(new URL(record.url).searchParams, ([name, value]) => ({ name, value }));
+      } catch (error) {
+        queryString = [];
+      }
+    }
+    
+    const entry = {
+      startedDateTime: har.startedDateTime || new Date().toISOString(),
+      time: record.time || 0,
+      request: {
+        method: record.method,
+        url: record.url,
+        httpVersion: harRequest.httpVersion || 'HTTP/1.1',
+        cookies: cookies(harRequest.cookies),
+        headers: requestHeaders,
+        queryString,
+        headersSize: -1,
+        bodySize: record.requestBody === null ? 0 : record.requestBody.length
+      },
+      response: {
+        status: record.status,
+        statusText: record.statusText || '',
+        httpVersion: harResponse.httpVersion || 'HTTP/1.1',
+        cookies: cookies(harResponse.cookies),
+        headers: headers(record.responseHeaders),
+        content: {
+          size: record.size ?? -1,
+          mimeType: record.mimeType || 'x-unknown'
+        },
+        redirectURL: harResponse.redirectURL || '',
+        headersSize: -1,
+        bodySize: record.size ?? -1
+      },
+      cache: {},
+      timings: har.timings || { send: 0, wait: record.time || 0, receive: 0 }
+    };
+    
+    if (record.requestBody !== null) {
+      entry.request.postData = {
+        mimeType: contentType ? contentType.value : '',
+        text: record.requestBody
+      };
+    }
+    if (record.responseBody !== null) {
+      entry.response.content.text = record.responseBody;
+      if (record.bodyEncoding) entry.response.content.encoding = record.bodyEncoding;
+    }
+    if (record.parent) {
+      entry.comment = `Replay #${record.id} of #${record.parent.id}`;
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Load a HAR file chosen by the user as captured requests
+   */
+  async importHar() {
+    const file = await this.pickFile('.har,application/json');
+    
+    if (!file) {
+      this.appendOutput('No file selected', 'warning');
+      return;
+    }
+    
+    let entries;
+    try {
+      entries = JSON.parse(await file.text()).log.entries;
+    } catch (error) {
+      throw new Error(`${file.name} is not a HAR file (${error.message})`);
+    }
+    
+    if (!Array.isArray(entries)) {
+      throw new Error(`${file.name} is not a HAR file (no log.entries)`);
+    }
+    
+    const usable = entries.filter(entry =>
+      entry && entry.request && typeof entry.request.url === 'string' && entry.response
+    );
+    const firstId = this.captureSequence + 1;
+    usable.forEach(entry => this.addCapturedRequest(entry));
+    
+    if (usable.length === 0) {
+      this.appendOutput(`No requests found in ${file.name}`, 'warning');
+      return;
+    }
+    
+    this.appendOutput(
+      `✓ Imported ${usable.length} request(s) from ${file.name} as #${firstId}-#${this.captureSequence}` +
+      (usable.length < entries.length ? ` (${entries.length - usable.length} malformed entries skipped)` : ''),
+      'success'
+    );
+    if (usable.length > NET_CAPTURE_LIMIT) {
+      this.appendOutput(`WARNING: Only the last ${NET_CAPTURE_LIMIT} requests are kept`, 'warning');
+    }
+  }
+  
+  /**
+   * Ask the user for a file; resolves to null if they cancel
+   */
+  pickFile(accept) {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.addEventListener('change', () => resolve(input.files[0] || null));
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+  }
+  
+  /**
+   * Open a captured request (or one of its variants) in the editor as
+   * raw HTTP for `net replay`
+   */
+  openReplayEditor(record, draft = null) {
+    const root = record.parent || record;
+    
+    // Reopened after a parse error: keep the user's text
+    const editorDraft = { prompt: 'replay>', submit: (text) => this.sendReplay(root, text) };
+    
+    if (draft !== null) {
+      this.setEditorMode(true, editorDraft);
+      this.commandInput.value = draft;
+      this.resizeCommandInput();
+      this.appendOutput('Fix the request and press Ctrl+Enter, or Esc to cancel.', 'warning');
+      return;
+    }
+    
+    const headers = record.requestHeaders.filter(header => !this.isBrowserControlledHeader(header.name));
+    
+    this.setEditorMode(true, editorDraft);
+    this.commandInput.value = [
+      `${record.method} ${record.url}`,
+      ...headers.map(header => `${header.name}: ${header.value}`),
+      '',
+      record.requestBody || ''
+    ].join('\n');
+    this.resizeCommandInput();
+    this.appendOutput(
+      `Editing #${record.id}: first line METHOD URL, then headers, a blank line and the body. ` +
+      'Ctrl+Enter sends it from the page, Esc cancels. Cookie, Host and other headers the browser controls are left out; the browser sets them.',
+      'success'
+    );
+  }
+  
+  /**
+   * Whether fetch() in the page would drop this header
+   */
+  isBrowserControlledHeader(name) {
+    const lower = name.toLowerCase();
+    return lower.startsWith(':') || lower.startsWith('sec-') || lower.startsWith('proxy-') ||
+      NET_BROWSER_CONTROLLED_HEADERS.has(lower);
+  }
+  
+  /**
+   * Parse a replay draft into { method, url, headers, body }
+   */
+  parseReplayDraft(text, baseUrl) {
+    const normalized = text.replace(/\r\n/g, '\n').replace(/^\n+/, '');
+    const split = normalized.indexOf('\n\n');
+    const head = split === -1 ? normalized : normalized.substring(0, split);
+    const body = split === -1 ? '' : normalized.substring(split + 2);
+    const [requestLine, ...headerLines] = head.split('\n');
+    
+    const match = requestLine.trim().match(/^([A-Za-z]+)\s+(\S+)(?:\s+HTTP\/[\d.]+)?$/i);
+    if (!match) {
+      throw new Error('The first line must be: METHOD URL');
+    }
+    
+    const method = match[1].toUpperCase();
+    let url;
+    try {
+      url = new URL(match[2], baseUrl).href;
+    } catch (error) {
+      throw new Error(`Invalid URL: ${match[2]}`);
+    }
+    
+    const headers = [];
+    headerLines.forEach((line, index) => {
+      if (line.trim() === '') return;
+      
+      const colon = line.indexOf(':');
+      if (colon <= 0) {
+        throw new Error(`Line ${index + 2}: expected "Name: value"`);
+      }
+      headers.push({ name: line.substring(0, colon).trim(), value: line.substring(colon + 1).trim() });
+    });
+    
+    if ((method === 'GET' || method === 'HEAD') && body !== '') {
+      throw new Error(`${method} requests cannot have a body`);
+    }
+    
+    return { method, url, headers, body };
+  }
+  
+  /**
+   * Send an edited request from the page and diff its response against
+   * the captured one
+   * 
+   * The request goes through fetch() in the page, so it carries the
+   * page's cookies and Origin; cross-origin targets must allow it via
+   * CORS. Each send is kept as a variant of the captured request.
+   */
+  async sendReplay(entry, text) {
+    let request;
+    try {
+      request = this.parseReplayDraft(text, entry.url);
+      this.requireInScope(request.url, 'Request URL');
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+      this.openReplayEditor(entry, text);
+      return;
+    }
+    
+    const ignored = request.headers.filter(header => this.isBrowserControlledHeader(header.name));
+    if (ignored.length > 0) {
+      this.appendOutput(`WARNING: The browser sets these itself and ignores them: ${ignored.map(header => header.name).join(', ')}`, 'warning');
+    }
+    
+    const outcome = await this.runAsyncInPage(`
+      const request = ${this.toPageLiteral(request)};
+      const started = performance.now();
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers.map(header => [header.name, header.value]),
+        body: request.method === 'GET' || request.method === 'HEAD' ? undefined : request.body,
+        credentials: 'include',
+        cache: 'no-store'
+      });
+      const text = await response.text();
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        url: response.url,
+        redirected: response.redirected,
+        headers: Array.from(response.headers),
+        body: text.substring(0, ${NET_BODY_LIMIT}),
+        truncated: text.length > ${NET_BODY_LIMIT},
+        size: text.length,
+        time: performance.now() - started
+      };
+    `, { timeout: this.settings.timeout });
+    
+    switch(outcome.state) {
+      case 'fulfilled':
+        break;
+      case 'rejected':
+        this.appendOutput(`ERROR: Request failed: ${outcome.error}. Cross-origin requests need CORS from the server.`, 'error');
+        return;
+      case 'timeout':
+        this.appendOutput(`ERROR: No response after ${this.settings.timeout} ms (set timeout <ms> to wait longer)`, 'error');
+        return;
+      case 'cancelled':
+        this.appendOutput('WARNING: Replay cancelled', 'warning');
+        return;
+      case 'missing':
+        this.appendOutput('ERROR: Page navigated before the response arrived', 'error');
+        return;
+      default:
+        this.appendOutput(`ERROR: ${outcome.error}`, 'error');
+        return;
+    }
+    
+    const response = outcome.result;
+    const responseHeaders = response.headers.map(([name, value]) => ({ name, value }));
+    const contentType = responseHeaders.find(header => header.name === 'content-type');
+    
+    const variant = {
+      id: `${entry.id}.${entry.variants.length + 1}`,
+      parent: entry,
+      method: request.method,
+      url: request.url,
+      status: response.status,
+      statusText: response.statusText,
+      mimeType: contentType ? contentType.value.split(';')[0].trim() : '',
+      size: response.size,
+      time: response.time,
+      requestHeaders: request.headers,
+      responseHeaders,
+      requestBody: request.body || null,
+      responseBody: response.body,
+      bodyEncoding: null,
+      bodyTruncated: response.truncated
+    };
+    entry.variants.push(variant);
+    
+    this.appendOutput(
+      `✓ #${variant.id}: ${response.status} ${response.statusText} (${Math.round(response.time)} ms, ${this.formatSize(response.size)})` +
+      (response.redirected ? `, redirected to ${response.url}` : ''),
+      response.status >= 400 ? 'warning' : 'success'
+    );
+    this.diffCapturedResponses(entry, variant);
+  }
+  
+  /**
+   * List the replayed variants of a captured request
+   */
+  listReplayVariants(id) {
+    if (!id) {
+      this.appendOutput('ERROR: Usage: net variants <id>', 'error');
+      return;
+    }
+    
+    const entry = this.findCapturedRequest(id);
+    const root = entry.parent || entry;
+    
+    if (root.variants.length === 0) {
+      this.appendOutput(`No variants of #${root.id} yet. Use: net replay ${root.id}`, 'warning');
+      return;
+    }
+    
+    const lines = [root, ...root.variants].map(record =>
+      `  #${String(record.id).padEnd(7)} ${record.method.padEnd(7)} ${String(record.status).padEnd(4)} ` +
+      `${this.formatSize(Math.max(0, record.size || 0)).padStart(9)}  ${record.url}`
+    );
+    this.appendOutput(`#${root.id} and ${root.variants.length} variant(s):\n${lines.join('\n')}`, 'success');
+  }
+  
+  /**
+   * Handle `net diff <a> [b]`: compare two responses side by side
+   * 
+   * With one reference the variant is compared to its captured original.
+   */
+  diffCommand(args) {
+    if (args.length === 0) {
+      this.appendOutput('ERROR: Usage: net diff <id>.<n> [<id>[.<m>]]', 'error');
+      return;
+    }
+    
+    const first = this.findCapturedRequest(args[0]);
+    
+    if (args.length === 1) {
+      if (!first.parent) {
+        this.appendOutput(`ERROR: #${first.id} is a captured request; name a variant (e.g. ${first.id}.1) or two requests`, 'error');
+        return;
+      }
+      this.diffCapturedResponses(first.parent, first);
+      return;
+    }
+    
+    this.diffCapturedResponses(first, this.findCapturedRequest(args[1]));
+  }
+  
+  /**
+   * Print a side-by-side diff of two responses: status, headers and body
+   */
+  diffCapturedResponses(left, right) {
+    const render = (record) => {
+      const headers = record.responseHeaders
+        .map(header => `${header.name.toLowerCase()}: ${header.value}`)
+        .sort();
+      const body = record.bodyEncoding === 'base64'
+        ? `(binary ${record.mimeType || 'response'})`
+        : this.prettyBody(record.responseBody || '');
+      return [`HTTP ${record.status} ${record.statusText || ''}`.trimEnd(), ...headers, '', ...body.split('\n')];
+    };
+    
+    const operations = this.diffLines(render(left), render(right));
+    
+    if (operations.every(operation => operation.type === 'same')) {
+      this.appendOutput(`Responses #${left.id} and #${right.id} are identical`, 'success');
+      return;
+    }
+    
+    this.appendOutput(this.formatSideBySide(operations, `#${left.id}`, `#${right.id}`), 'code');
+  }
+  
+  /**
+   * Line diff as a list of { type: same|removed|added, text }
+   * 
+   * Common leading and trailing lines are matched directly and the rest
+   * by longest common subsequence. Past NET_DIFF_MAX_CELLS the middle is
+   * shown as replaced wholesale rather than spending seconds on it.
+   */
+  diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+      start++;
+    }
+    
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+    
+    const oldLines = before.slice(start, endBefore);
+    const newLines = after.slice(start, endAfter);
+    const middle = [];
+    
+    if ((oldLines.length + 1) * (newLines.length + 1) > NET_DIFF_MAX_CELLS) {
+      oldLines.forEach(text => middle.push({ type: 'removed', text }));
+      newLines.forEach(text => middle.push({ type: 'added', text }));
+    } else {
+      // lengths[i][j]: LCS length of oldLines[i..] and newLines[j..]
+      const width = newLines.length + 1;
+      const lengths = new Uint32Array((oldLines.length + 1) * width);
+      for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+          lengths[i * width + j] = oldLines[i] === newLines[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+      }
+      
+      let i = 0;
+      let j = 0;
+      while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+          middle.push({ type: 'same', text: oldLines[i] });
+          i++;
+          j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+          middle.push({ type: 'removed', text: oldLines[i++] });
+        } else {
+          middle.push({ type: 'added', text: newLines[j++] });
+        }
+      }
+      while (i < oldLines.length) middle.push({ type: 'removed', text: oldLines[i++] });
+      while (j < newLines.length) middle.push({ type: 'added', text: newLines[j++] });
+    }
+    
+    return [
+      ...before.slice(0, start).map(text => ({ type: 'same', text })),
+      ...middle,
+      ...before.slice(endBefore).map(text => ({ type: 'same', text }))
+    ];
+  }
+  
+  /**
+   * Lay out diff operations in two columns, diff -y style: | marks a
+   * changed line, < a line only on the left and > one only on the right.
+   * Unchanged runs are cut to NET_DIFF_CONTEXT lines around each change.
+   */
+  formatSideBySide(operations, leftTitle, rightTitle) {
+    const width = NET_DIFF_COLUMN_WIDTH;
+    const cell = (text) => {
+      const flat = text.replace(/\t/g, '  ');
+      return flat.length > width ? flat.substring(0, width - 1) + '…' : flat.padEnd(width);
+    };
+    
+    // Pair each run of removals with the additions that follow it
+    const rows = [];
+    for (let index = 0; index < operations.length;) {
+      if (operations[index].type === 'same') {
+        rows.push({ marker: ' ', left: operations[index].text, right: operations[index].text });
+        index++;
+        continue;
+      }
+      
+      const removed = [];
+      const added = [];
+      while (index < operations.length && operations[index].type === 'removed') removed.push(operations[index++].text);
+      while (index < operations.length && operations[index].type === 'added') added.push(operations[index++].text);
+      
+      for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+        const marker = k >= removed.length ? '>' : k >= added.length ? '<' : '|';
+        rows.push({ marker, left: removed[k] ?? '', right: added[k] ?? '' });
+      }
+    }
+    
+    const visible = rows.map((row, index) => rows
+      .slice(Math.max(0, index - NET_DIFF_CONTEXT), index + NET_DIFF_CONTEXT + 1)
+      .some(neighbour => neighbour.marker !== ' '));
+    
+    const lines = [`${cell(leftTitle)}   ${rightTitle}`, `${'─'.repeat(width)}   ${'─'.repeat(width)}`];
+    let skipped = 0;
+    
+    rows.forEach((row, index) => {
+      if (!visible[index]) {
+        skipped++;
+        return;
+      }
+      if (skipped > 0) {
+        lines.push(`… ${skipped} unchanged line(s)`);
+        skipped = 0;
+      }
+      lines.push(`${cell(row.left)} ${row.marker} ${row.right}`.trimEnd());
+    });
+    if (skipped > 0) {
+      lines.push(`… ${skipped} unchanged line(s)`);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Handle DOM XSS sink tracing commands
+   */
+  async handleTraceCommand(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    try {
+      switch(action) {
+        case 'sinks':
+          await this.startSinkTrace(options);
+          break;
+          
+        case 'seed':
+          await this.seedCanary(args.slice(1), options);
+          break;
+          
+        case 'stop':
+          await this.stopSinkTrace();
+          break;
+          
+        case undefined:
+          this.appendOutput(this.sinkTrace
+            ? `Tracing sinks with canary ${this.sinkTrace.canary}: ${this.sinkTrace.hits} call(s), ${this.sinkTrace.canaryHits} containing the canary`
+            : 'Not tracing. Use: trace sinks', 'success');
+          break;
+          
+        default:
+          this.appendOutput('ERROR: Unknown trace action. Use: sinks, seed [hash|query|message], or stop', 'error');
+      }
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Page code that wraps the DOM XSS sinks and buffers each call
+   * 
+   * Setters and methods are replaced in place and the originals kept for
+   * restore(). location assignments cannot be wrapped (Location is
+   * unforgeable), so they are seen through the Navigation API's navigate
+   * event, which fires synchronously inside the assignment and so still
+   * has the caller on the stack. jQuery is hooked whenever it shows up.
+   * eval is only wrapped with `hookEval`: the wrapper makes the page's
+   * direct eval calls indirect, so they lose their local scope.
+   */
+  sinkTraceScript(canary, hookEval) {
+    return `
+      (() => {
+        const key = Symbol.for('securityResearchTerminal.trace');
+        if (window[key]) return window[key].canary;
+        
+        const canary = ${this.toPageLiteral(canary)};
+        const hits = [];
+        const restores = [];
+        const hookedJQuery = new WeakSet();
+        let active = true;
+        let quiet = 0;
+        
+        const describe = (target) => {
+          if (target === document) return 'document';
+          if (!(target instanceof Element)) return '';
+          const classes = typeof target.className === 'string' ? target.className.trim().split(/\\s+/).filter(Boolean) : [];
+          return target.tagName.toLowerCase() + (target.id ? '#' + target.id : '') + classes.map(name => '.' + name).join('');
+        };
+        
+        // Frames 0-2 are the Error line, record() and the hook itself
+        const record = (sink, value, target) => {
+          if (!active || quiet > 0) return;
+          const text = String(value);
+          hits.push({
+            sink,
+            target: describe(target),
+            value: text.slice(0, ${SINK_VALUE_LIMIT}),
+            length: text.length,
+            canary: text.includes(canary),
+            stack: String(new Error().stack || '').split('\\n').slice(3, ${3 + SINK_STACK_DEPTH}).map(line => line.trim())
+          });
+          if (hits.length > ${SINK_HIT_LIMIT}) hits.shift();
+        };
+        
+        const hookSetter = (proto, property, sink) => {
+          const descriptor = Object.getOwnPropertyDescriptor(proto, property);
+          if (!descriptor || !descriptor.set) return;
+          Object.defineProperty(proto, property, {
+            ...descriptor,
+            set(value) {
+              record(sink, value, this);
+              descriptor.set.call(this, value);
+            }
+          });
+          restores.push(() => Object.defineProperty(proto, property, descriptor));
+        };
+        
+        const hookMethod = (owner, name, sink, pick) => {
+          const original = owner[name];
+          if (typeof original !== 'function') return;
+          const hooked = function (...args) {
+            const value = pick(args);
+            if (value !== undefined) record(sink, value, this);
+            return original.apply(this, args);
+          };
+          owner[name] = hooked;
+          restores.push(() => { if (owner[name] === hooked) owner[name] = original; });
+        };
+        
+        const stringArgument = (args) => typeof args[0] === 'string' ? args[0] : undefined;
+        
+        hookSetter(Element.prototype, 'innerHTML', 'innerHTML');
+        hookSetter(Element.prototype, 'outerHTML', 'outerHTML');
+        hookMethod(Element.prototype, 'insertAdjacentHTML', 'insertAdjacentHTML', (args) => args[1]);
+        hookMethod(Document.prototype, 'write', 'document.write', (args) => args.join(''));
+        hookMethod(Document.prototype, 'writeln', 'document.writeln', (args) => args.join(''));
+        ${hookEval ? "hookMethod(window, 'eval', 'eval', stringArgument);" : ''}
+        hookMethod(window, 'setTimeout', 'setTimeout(string)', stringArgument);
+        hookMethod(window, 'setInterval', 'setInterval(string)', stringArgument);
+        
+        if (window.navigation) {
+          const onNavigate = (event) => {
+            if (!event.userInitiated) record('location', event.destination.url, null);
+          };
+          navigation.addEventListener('navigate', onNavigate);
+          restores.push(() => navigation.removeEventListener('navigate', onNavigate));
+        }
+        
+        // jQuery's .html(value) would also show up as innerHTML; only the
+        // outer call is reported
+        const hookJQuery = () => {
+          const fn = window.jQuery && window.jQuery.fn;
+          if (!fn || typeof fn.html !== 'function' || hookedJQuery.has(fn)) return;
+          hookedJQuery.add(fn);
+          const original = fn.html;
+          const hooked = function (...args) {
+            if (typeof args[0] === 'string') record('jQuery.html', args[0], this[0]);
+            quiet++;
+            try {
+              return original.apply(this, args);
+            } finally {
+              quiet--;
+            }
+          };
+          fn.html = hooked;
+          restores.push(() => { if (fn.html === hooked) fn.html = original; });
+        };
+        hookJQuery();
+        
+        window[key] = {
+          canary,
+          drain: () => {
+            hookJQuery();
+            return hits.splice(0);
+          },
+          quietly: (action) => {
+            quiet++;
+            try {
+              return action();
+            } finally {
+              quiet--;
+            }
+          },
+          restore: () => {
+            active = false;
+            restores.reverse().forEach(restore => restore());
+            delete window[key];
+          }
+        };
+        return canary;
+      })()
+    `;
+  }
+  
+  /**
+   * Instrument the inspected page's sinks and start reporting calls
+   * 
+   * --reload reloads the page with the hooks injected before its own
+   * scripts, to catch sinks hit during load. --canary-only reports only
+   * calls whose value contains the canary. --eval also hooks eval.
+   */
+  async startSinkTrace(options = {}) {
+    if (this.sinkTrace) {
+      this.appendOutput(`Already tracing with canary ${this.sinkTrace.canary}. Use: trace stop`, 'warning');
+      return;
+    }
+    
+    let canary = typeof options.canary === 'string' ? options.canary : null;
+    if (canary === null) {
+      const random = crypto.getRandomValues(new Uint8Array(8));
+      canary = 'srt' + Array.from(random, byte => (byte % 36).toString(36)).join('');
+    } else if (canary.length < 4) {
+      throw new Error('--canary must be at least 4 characters, or matches will be noise');
+    }
+    
+    const script = this.sinkTraceScript(canary, Boolean(options.eval));
+    
+    if (options.reload) {
+      const violation = await this.inspectedScopeViolation();
+      if (violation) throw new Error(violation);
+      
+      chrome.devtools.inspectedWindow.reload({ injectedScript: script });
+    } else {
+      const { result, isException } = await this.executeInPage(script);
+      if (isException) {
+        throw new Error(this.describeException(isException));
+      }
+      
+      if (result !== canary) {
+        this.appendOutput(`WARNING: The page was already instrumented; keeping its canary ${result}`, 'warning');
+        canary = result;
+      }
+    }
+    
+    this.sinkTrace = {
+      canary,
+      canaryOnly: Boolean(options['canary-only']),
+      reloading: Boolean(options.reload),
+      polling: false,
+      hits: 0,
+      canaryHits: 0,
+      timer: setInterval(() => this.pollSinkTrace(), SINK_TRACE_POLL_INTERVAL)
+    };
+    
+    // RUN stays lit while the page is instrumented
+    this.beginExecution();
+    this.setStatusIndicator('trace', true);
+    
+    this.appendOutput(
+      `✓ Tracing innerHTML, outerHTML, insertAdjacentHTML, document.write, ${options.eval ? 'eval, ' : ''}string setTimeout/setInterval, ` +
+      `location and jQuery .html()${options.reload ? ' from the next page load' : ''}\n` +
+      `  Canary: ${canary}  (trace seed puts it in the hash, query or a postMessage; or type it into the page)`,
+      'success'
+    );
+    if (options.eval) {
+      this.appendOutput('WARNING: eval is wrapped: the page\'s direct eval calls now run in global scope and may behave differently', 'warning');
+    }
+  }
+  
+  /**
+   * Report sink calls buffered in the page since the last poll
+   */
+  async pollSinkTrace() {
+    const trace = this.sinkTrace;
+    if (!trace || trace.polling) return;
+    
+    trace.polling = true;
+    try {
+      const { result, isException } = await this.executeInPage(`
+        (() => {
+          const trace = window[Symbol.for('securityResearchTerminal.trace')];
+          return trace ? trace.drain() : null;
+        })()
+      `);
+      
+      // Nothing to read mid-reload, or after a stop that raced this poll
+      if (isException || !Array.isArray(result) || this.sinkTrace !== trace) return;
+      
+      result.forEach(hit => this.reportSinkHit(hit));
+    } finally {
+      trace.polling = false;
+    }
+  }
+  
+  /**
+   * Print one sink call: sink, target, value and the calling stack
+   */
+  reportSinkHit(hit) {
+    const trace = this.sinkTrace;
+    trace.hits++;
+    if (hit.canary) trace.canaryHits++;
+    
+    if (trace.canaryOnly && !hit.canary) return;
+    
+    const value = hit.value.replace(/\s+/g, ' ');
+    const shown = value.length > 200 ? value.substring(0, 199) + '…' : value;
+    const lines = [
+      `${hit.canary ? '[CANARY] ' : ''}${hit.sink}${hit.target ? ` on ${hit.target}` : ''}`,
+      `  value: ${shown}${hit.length > 200 ? ` (${hit.length} chars)` : ''}`,
+      ...hit.stack.map(frame => `  ${frame}`)
+    ];
+    
+    this.appendBackgroundOutput(lines.join('\n'), hit.canary ? 'error' : 'warning');
+  }
+  
+  /**
+   * Put the canary where DOM XSS sources read from
+   * 
+   * The hash and query are changed in place (no reload) and the message
+   * is posted to the page itself. The trace's own location hook is
+   * silenced while doing it.
+   */
+  async seedCanary(targets, options = {}) {
+    if (!this.sinkTrace) {
+      this.appendOutput('ERROR: Start tracing first: trace sinks', 'error');
+      return;
+    }
+    
+    const valid = ['hash', 'query', 'message'];
+    const chosen = targets.length > 0 ? targets.map(target => target.toLowerCase()) : valid;
+    const unknown = chosen.filter(target => !valid.includes(target));
+    
+    if (unknown.length > 0) {
+      this.appendOutput(`ERROR: Unknown seed target: ${unknown.join(', ')}. Use: hash, query, message`, 'error');
+      return;
+    }
+    
+    const param = typeof options.param === 'string' ? options.param : 'canary';
+    const { isException } = await this.executeInPage(`
+      (() => {
+        const targets = ${this.toPageLiteral(chosen)};
+        const canary = ${this.toPageLiteral(this.sinkTrace.canary)};
+        const seed = () => {
+          if (targets.includes('query')) {
+            const url = new URL(location.href);
+            url.searchParams.set(${this.toPageLiteral(param)}, canary);
+            history.replaceState(history.state, '', url);
+          }
+          if (targets.includes('hash')) location.hash = canary;
+          if (targets.includes('message')) window.postMessage(canary, '*');
+        };
+        const trace = window[Symbol.for('securityResearchTerminal.trace')];
+        trace ? trace.quietly(seed) : seed();
+      })()
+    `);
+    
+    if (isException) {
+      this.appendOutput(`ERROR: ${this.describeException(isException)}`, 'error');
+      return;
+    }
+    
+    const places = { hash: 'location.hash', query: `the query (?${param}=)`, message: 'a postMessage to the page' };
+    this.appendOutput(`✓ Seeded ${this.sinkTrace.canary} into ${chosen.map(target => places[target]).join(', ')}`, 'success');
+    
+    if (chosen.includes('hash') || chosen.includes('query')) {
+      this.appendOutput('Code that read the URL at load will not see it: trace stop, then trace sinks --reload to load the seeded URL with hooks in place', 'success');
+    }
+  }
+  
+  /**
+   * Report what is left, restore the original functions and stop polling
+   */
+  async stopSinkTrace() {
+    const trace = this.sinkTrace;
+    
+    if (!trace) {
+      this.appendOutput('Not tracing', 'warning');
+      return;
+    }
+    
+    clearInterval(trace.timer);
+    while (trace.polling) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await this.pollSinkTrace();
+    
+    const { result: restored } = await this.executeInPage(`
+      (() => {
+        const trace = window[Symbol.for('securityResearchTerminal.trace')];
+        if (trace) trace.restore();
+        return Boolean(trace);
+      })()
+    `);
+    
+    this.endSinkTrace();
+    this.appendOutput(
+      `✓ Sink tracing stopped${restored ? ' and original functions restored' : ''}: ` +
+      `${trace.hits} call(s), ${trace.canaryHits} containing the canary`,
+      'success'
+    );
+  }
+  
+  /**
+   * Drop the panel side of a trace
+   */
+  endSinkTrace() {
+    clearInterval(this.sinkTrace.timer);
+    this.sinkTrace = null;
+    this.endExecution();
+    this.setStatusIndicator('trace', false);
+  }
+  
+  /**
+   * Handle postMessage commands
+   */
+  async handlePostMessageCommand(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    try {
+      switch(action) {
+        case 'listeners':
+          await this.listMessageListeners();
+          break;
+          
+        case 'monitor':
+          await this.handleMessageMonitor(args[1]?.toLowerCase());
+          break;
+          
+        case 'frames':
+          await this.listFrames();
+          break;
+          
+        case 'send':
+          await this.sendPostMessage(args.slice(1), options);
+          break;
+          
+        case 'payloads':
+          await this.handleMessagePayloads(args.slice(1), options);
+          break;
+          
+        default:
+          this.appendOutput('ERROR: Unknown postmessage action. Use: listeners, monitor start|stop, frames, send <payload>, or payloads', 'error');
+      }
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * List the inspected window's message listeners with their source and
+   * how (or whether) they check event.origin
+   * 
+   * getEventListeners() is part of the Console Utilities API, which
+   * inspectedWindow.eval exposes to evaluated code.
+   */
+  async listMessageListeners() {
+    const { result, isException } = await this.executeInPage(`
+      (() => {
+        const source = (listener) => {
+          const handler = typeof listener === 'function' ? listener
+            : listener && typeof listener.handleEvent === 'function' ? listener.handleEvent : null;
+          return handler ? Function.prototype.toString.call(handler) : String(listener);
+        };
+        const listeners = (getEventListeners(window).message || []).map(entry => ({
+          source: source(entry.listener),
+          capture: entry.useCapture,
+          once: Boolean(entry.once)
+        }));
+        if (typeof window.onmessage === 'function') {
+          const property = source(window.onmessage);
+          if (!listeners.some(listener => listener.source === property)) {
+            listeners.push({ source: property, capture: false, once: false, property: true });
+          }
+        }
+        return listeners;
+      })()
+    `);
+    
+    if (isException) {
+      throw new Error(this.describeException(isException));
+    }
+    
+    if (result.length === 0) {
+      this.appendOutput('No message listeners on this window', 'success');
+      return;
+    }
+    
+    this.appendOutput(`${result.length} message listener(s) on ${await this.detectInspectedOrigin() || 'the inspected window'}:`, 'success');
+    
+    result.forEach((listener, index) => {
+      const analysis = this.analyzeMessageHandler(listener.source);
+      const flags = [listener.property ? 'onmessage' : 'addEventListener', listener.capture && 'capture', listener.once && 'once']
+        .filter(Boolean).join(', ');
+      const lines = listener.source.split('\n');
+      const shown = lines.length > MESSAGE_HANDLER_LINES
+        ? [...lines.slice(0, MESSAGE_HANDLER_LINES), `… ${lines.length - MESSAGE_HANDLER_LINES} more line(s)`]
+        : lines;
+      
+      this.appendOutput(
+        `\n#${index + 1} (${flags}) [${analysis.severity.toUpperCase()}] ${analysis.summary}` +
+        (analysis.sinks.length > 0 ? `\n  Reaches: ${analysis.sinks.join(', ')}` : ''),
+        analysis.severity === 'high' || analysis.severity === 'medium' ? 'error' : analysis.severity === 'low' ? 'warning' : 'success'
+      );
+      this.appendOutput(shown.join('\n'), 'code');
+    });
+  }
+  
+  /**
+   * Judge a message handler's origin check from its source
+   * 
+   * A heuristic: it looks at how `.origin` is used, not at data flow.
+   * Substring and regex checks are flagged because they are commonly
+   * bypassed (trusted.com.evil.com, evil.com/?trusted.com, an
+   * unescaped dot in a regex).
+   */
+  analyzeMessageHandler(source) {
+    const sinks = MESSAGE_HANDLER_SINKS
+      .filter(sink => sink.pattern.test(source))
+      .map(sink => sink.name);
+    
+    if (/\{\s*\[native code\]\s*\}/.test(source)) {
+      return { severity: 'info', summary: 'Native or bound function; its source is not available', sinks };
+    }
+    
+    const origin = /\.origin\b/;
+    if (!origin.test(source)) {
+      return {
+        severity: sinks.length > 0 ? 'high' : 'medium',
+        summary: 'No origin check: any window can send this handler messages',
+        sinks
+      };
+    }
+    
+    if (/\.origin\s*\)?\s*\.\s*(indexOf|includes|startsWith|endsWith|search|match)\s*\(|\.test\s*\([^)]*\.origin\b/.test(source)) {
+      return {
+        severity: sinks.length > 0 ? 'high' : 'medium',
+        summary: 'Origin checked by substring or regex, which is often bypassable',
+        sinks
+      };
+    }
+    
+    if (/\.origin\s*[!=]==?|[!=]==?\s*[\w$.]*\.origin\b/.test(source)) {
+      return { severity: 'pass', summary: 'Origin compared exactly', sinks };
+    }
+    
+    if (/\b(includes|indexOf|has)\s*\(\s*[\w$.]*\.origin\s*\)/.test(source)) {
+      return { severity: 'pass', summary: 'Origin looked up in an allowlist (make sure it is a list, not a string)', sinks };
+    }
+    
+    return { severity: 'low', summary: 'event.origin is read but not compared directly; check how it is used', sinks };
+  }
+  
+  /**
+   * Start or stop logging messages received by the page and its frames
+   */
+  async handleMessageMonitor(state) {
+    switch(state) {
+      case 'start':
+        await this.startMessageMonitor();
+        break;
+        
+      case 'stop':
+        await this.stopMessageMonitor();
+        break;
+        
+      default:
+        this.appendOutput('ERROR: Usage: postmessage monitor start|stop', 'error');
+    }
+  }
+  
+  /**
+   * Page code that buffers every message the window receives, and every
+   * postMessage call made on it or on a same-origin opener
+   * 
+   * Calls are seen by the window they are made on, and only when the
+   * caller is same-origin with it: a cross-origin caller reaches the
+   * browser's own postMessage, whatever the window's property holds.
+   */
+  messageMonitorScript() {
+    return `
+      (() => {
+        const key = Symbol.for('securityResearchTerminal.messages');
+        if (window[key]) return true;
+        
+        const log = [];
+        const restores = [];
+        const push = (entry) => {
+          log.push(entry);
+          if (log.length > ${MESSAGE_LOG_LIMIT}) log.shift();
+        };
+        const describeSource = (source) => {
+          if (source === window) return 'self';
+          if (source === window.parent && window.parent !== window) return 'parent';
+          if (source && source === window.opener) return 'opener';
+          for (let index = 0; index < window.frames.length; index++) {
+            if (window.frames[index] === source) return 'frame ' + index;
+          }
+          return source ? 'another window' : 'no source';
+        };
+        const preview = (data) => {
+          let text;
+          try {
+            text = JSON.stringify(data) ?? String(data);
+          } catch (error) {
+            text = Object.prototype.toString.call(data);
+          }
+          return text.length > ${MESSAGE_DATA_LIMIT} ? text.slice(0, ${MESSAGE_DATA_LIMIT}) + '…' : text;
+        };
+        const onMessage = (event) => {
+          push({ kind: 'received', origin: event.origin, source: describeSource(event.source), data: preview(event.data), ports: event.ports.length });
+        };
+        
+        // Frames 0-1 are the Error line and the hook itself
+        const hookPostMessage = (target, label) => {
+          const original = target.postMessage;
+          const hooked = function (message, options, transfer) {
+            const targetOrigin = options && typeof options === 'object' ? options.targetOrigin : options;
+            const caller = String(new Error().stack || '').split('\\n')[2];
+            push({
+              kind: 'sent',
+              target: label,
+              targetOrigin: targetOrigin === undefined ? '/' : String(targetOrigin),
+              data: preview(message),
+              caller: caller ? caller.trim().replace(/^at /, '') : 'unknown'
+            });
+            return original.apply(this, arguments);
+          };
+          target.postMessage = hooked;
+          restores.push(() => { if (target.postMessage === hooked) target.postMessage = original; });
+        };
+        
+        hookPostMessage(window, 'self');
+        try {
+          if (window.opener && window.opener.document) hookPostMessage(window.opener, 'opener');
+        } catch (error) {}
+        
+        window.addEventListener('message', onMessage, true);
+        window[key] = {
+          drain: () => log.splice(0),
+          stop: () => {
+            window.removeEventListener('message', onMessage, true);
+            for (const restore of restores) {
+              try {
+                restore();
+              } catch (error) {}
+            }
+            delete window[key];
+          }
+        };
+        return true;
+      })()
+    `;
+  }
+  
+  /**
+   * URLs of the inspected page's frame documents, from the resources
+   * DevTools knows about
+   */
+  frameDocumentUrls() {
+    return new Promise((resolve) => {
+      chrome.devtools.inspectedWindow.getResources((resources) => {
+        const urls = new Set(resources.filter(resource => resource.type === 'document').map(resource => resource.url));
+        resolve(Array.from(urls));
+      });
+    });
+  }
+  
+  /**
+   * Install the message monitor in the page and each of its frames
+   * 
+   * Messages the page posts to its frames arrive in those frames, so
+   * monitoring every frame shows traffic in both directions. Each poll
+   * installs it in frames that loaded since.
+   */
+  async startMessageMonitor() {
+    if (this.messageMonitor) {
+      this.appendOutput('Message monitor is already running', 'warning');
+      return;
+    }
+    
+    const script = this.messageMonitorScript();
+    const { isException } = await this.executeInPage(script);
+    if (isException) {
+      throw new Error(this.describeException(isException));
+    }
+    
+    const { result: topUrl } = await this.executeInPage('location.href');
+    const monitor = {
+      script,
+      frames: [],
+      tried: new Set([topUrl]),
+      polling: false,
+      count: 0,
+      timer: null
+    };
+    await this.monitorNewFrames(monitor);
+    
+    this.messageMonitor = monitor;
+    monitor.timer = setInterval(() => this.pollMessageMonitor(), SINK_TRACE_POLL_INTERVAL);
+    
+    // RUN stays lit while the listeners are installed
+    this.beginExecution();
+    this.setStatusIndicator('messages', true);
+    this.appendOutput(
+      `✓ Monitoring messages to the page${monitor.frames.length > 0 ? ` and ${monitor.frames.length} frame(s)` : ''}. ` +
+      '← received by the page, → received by a frame, ⇒ postMessage call',
+      'success'
+    );
+  }
+  
+  /**
+   * Install the monitor in frame documents it has not tried yet, and
+   * return the ones it now covers
+   */
+  async monitorNewFrames(monitor) {
+    const added = [];
+    
+    for (const url of await this.frameDocumentUrls()) {
+      if (monitor.tried.has(url)) continue;
+      monitor.tried.add(url);
+      const installed = await this.executeInPage(monitor.script, null, { frameURL: url });
+      if (!installed.isException) added.push(url);
+    }
+    
+    monitor.frames.push(...added);
+    return added;
+  }
+  
+  /**
+   * Print messages buffered in the page and its frames since the last poll
+   */
+  async pollMessageMonitor() {
+    const monitor = this.messageMonitor;
+    if (!monitor || monitor.polling) return;
+    
+    const drain = `
+      (() => {
+        const monitor = window[Symbol.for('securityResearchTerminal.messages')];
+        return monitor ? monitor.drain() : null;
+      })()
+    `;
+    
+    monitor.polling = true;
+    try {
+      for (const frame of [null, ...monitor.frames]) {
+        const { result, isException } = await this.executeInPage(drain, null, frame ? { frameURL: frame } : {});
+        if (isException || !Array.isArray(result) || this.messageMonitor !== monitor) continue;
+        
+        for (const message of result) {
+          monitor.count++;
+          if (message.kind === 'sent') {
+            const target = message.target === 'opener' ? 'opener' : frame || 'the page';
+            this.appendBackgroundOutput(`⇒ to ${target} (targetOrigin ${message.targetOrigin}) by ${message.caller}: ${message.data}`, 'success');
+            continue;
+          }
+          
+          const route = frame
+            ? `→ ${frame} from ${message.origin}`
+            : `← from ${message.origin} (${message.source})`;
+          this.appendBackgroundOutput(`${route}: ${message.data}${message.ports > 0 ? ` [+${message.ports} port(s)]` : ''}`, 'success');
+        }
+      }
+      
+      if (this.messageMonitor === monitor) {
+        for (const url of await this.monitorNewFrames(monitor)) {
+          this.appendBackgroundOutput(`✓ Monitoring messages to ${url}`, 'success');
+        }
+      }
+    } finally {
+      monitor.polling = false;
+    }
+  }
+  
+  /**
+   * Print what is left, remove the listeners and stop polling
+   */
+  async stopMessageMonitor() {
+    const monitor = this.messageMonitor;
+    
+    if (!monitor) {
+      this.appendOutput('Message monitor is not running', 'warning');
+      return;
+    }
+    
+    clearInterval(monitor.timer);
+    while (monitor.polling) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await this.pollMessageMonitor();
+    
+    const stop = `
+      (() => {
+        const monitor = window[Symbol.for('securityResearchTerminal.messages')];
+        if (monitor) monitor.stop();
+      })()
+    `;
+    for (const frame of [null, ...monitor.frames]) {
+      await this.executeInPage(stop, null, frame ? { frameURL: frame } : {});
+    }
+    
+    this.endMessageMonitor();
+    this.appendOutput(`✓ Message monitor stopped (${monitor.count} message(s) seen)`, 'success');
+  }
+  
+  /**
+   * Drop the panel side of the message monitor
+   */
+  endMessageMonitor() {
+    clearInterval(this.messageMonitor.timer);
+    this.messageMonitor = null;
+    this.endExecution();
+    this.setStatusIndicator('messages', false);
+  }
+  
+  /**
+   * List the page's iframes, numbered as postmessage send --frame takes
+   */
+  async listFrames() {
+    const { result, isException } = await this.executeInPage(`
+      Array.from(document.querySelectorAll('iframe, frame'), (frame, index) => {
+        let sameOrigin = false;
+        try {
+          sameOrigin = Boolean(frame.contentWindow && frame.contentWindow.document);
+        } catch (error) {}
+        return { index, src: frame.src || '(no src)', name: frame.name, sameOrigin };
+      })
+    `);
+    
+    if (isException) {
+      throw new Error(this.describeException(isException));
+    }
+    
+    if (result.length === 0) {
+      this.appendOutput('No iframes on this page', 'success');
+      return;
+    }
+    
+    const lines = result.map(frame =>
+      `  ${String(frame.index).padEnd(3)} ${frame.sameOrigin ? 'same-origin ' : 'cross-origin'}  ${frame.src}${frame.name ? `  (name: ${frame.name})` : ''}`
+    );
+    this.appendOutput(`${result.length} frame(s):\n${lines.join('\n')}`, 'success');
+  }
+  
+  /**
+   * Post a message to the page or one of its iframes, from the page
+   * 
+   * The argument is a payload name (see postmessage payloads) or the
+   * message itself. --json sends it as a parsed object, --frame=<n>
+   * targets an iframe from postmessage frames and --origin sets the
+   * targetOrigin (default *).
+   */
+  async sendPostMessage(args, options = {}) {
+    if (args.length === 0) {
+      this.appendOutput('ERROR: Usage: postmessage send <payload name|message> [--json] [--frame=<n>] [--origin=<origin>]', 'error');
+      return;
+    }
+    
+    const text = args.join(' ');
+    const payloads = await this.loadMessagePayloads();
+    const saved = args.length === 1 ? payloads.find(payload => payload.name === text) : null;
+    const message = saved ? saved.data : text;
+    const asJson = saved ? saved.json : Boolean(options.json);
+    
+    let data = message;
+    if (asJson) {
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        throw new Error(`Payload is not valid JSON (${error.message})`);
+      }
+    }
+    
+    const frame = options.frame === undefined ? null : Number(options.frame);
+    if (frame !== null && !Number.isInteger(frame)) {
+      throw new Error('--frame takes a frame number from: postmessage frames');
+    }
+    const targetOrigin = typeof options.origin === 'string' ? options.origin : '*';
+    
+    // A cross-origin frame's location can't be read from the page; its
+    // src is the best guess at what the message goes to
+    if (frame !== null) {
+      const { result: src } = await this.executeInPage(`document.querySelectorAll('iframe, frame')[${frame}]?.src`);
+      if (src) this.requireInScope(src, `Frame ${frame}`);
+    }
+    
+    const { result, isException } = await this.executeInPage(`
+      (() => {
+        const frameIndex = ${this.toPageLiteral(frame)};
+        let target = window;
+        if (frameIndex !== null) {
+          const element = document.querySelectorAll('iframe, frame')[frameIndex];
+          if (!element || !element.contentWindow) return 'missing';
+          target = element.contentWindow;
+        }
+        target.postMessage(${this.toPageLiteral(data)}, ${this.toPageLiteral(targetOrigin)});
+        return 'sent';
+      })()
+    `);
+    
+    if (isException) {
+      throw new Error(this.describeException(isException));
+    }
+    if (result === 'missing') {
+      throw new Error(`No frame ${frame}. Use: postmessage frames`);
+    }
+    
+    this.appendOutput(
+      `✓ Posted ${saved ? `payload "${saved.name}"` : 'message'} to ${frame === null ? 'the page' : `frame ${frame}`}` +
+      ` (targetOrigin ${targetOrigin}): ${JSON.stringify(data)}`,
+      'success'
+    );
+  }
+  
+  /**
+   * Saved payloads: the built-ins followed by the user's own
+   */
+  async loadMessagePayloads() {
+    if (!this.messagePayloads) {
+      const stored = await chrome.storage.local.get(MESSAGE_PAYLOADS_KEY);
+      this.messagePayloads = stored[MESSAGE_PAYLOADS_KEY] || [];
+    }
+    
+    return [...MESSAGE_PAYLOADS, ...this.messagePayloads];
+  }
+  
+  /**
+   * Handle `postmessage payloads [add <name> <message> [--json]|remove <name>]`
+   */
+  async handleMessagePayloads(args, options = {}) {
+    const payloads = await this.loadMessagePayloads();
+    const action = args[0]?.toLowerCase();
+    const name = args[1];
+    
+    switch(action) {
+      case undefined: {
+        const width = Math.max(...payloads.map(payload => payload.name.length));
+        const lines = payloads.map(payload =>
+          `  ${payload.name.padEnd(width)}  ${payload.json ? 'json' : 'text'}  ${payload.data}` +
+          (MESSAGE_PAYLOADS.includes(payload) ? '' : '  (saved)')
+        );
+        this.appendOutput(`Payloads (postmessage send <name>):\n${lines.join('\n')}`, 'success');
+        break;
+      }
+        
+      case 'add': {
+        const data = args.slice(2).join(' ');
+        if (!name || !data) {
+          this.appendOutput('ERROR: Usage: postmessage payloads add <name> <message> [--json]', 'error');
+          return;
+        }
+        if (MESSAGE_PAYLOADS.some(payload => payload.name === name)) {
+          this.appendOutput(`ERROR: ${name} is a built-in payload; pick another name`, 'error');
+          return;
+        }
+        if (options.json) {
+          try {
+            JSON.parse(data);
+          } catch (error) {
+            this.appendOutput(`ERROR: Payload is not valid JSON (${error.message})`, 'error');
+            return;
+          }
+        }
+        
+        this.messagePayloads = this.messagePayloads.filter(payload => payload.name !== name);
+        this.messagePayloads.push({ name, data, json: Boolean(options.json) });
+        await chrome.storage.local.set({ [MESSAGE_PAYLOADS_KEY]: this.messagePayloads });
+        this.appendOutput(`✓ Saved payload ${name}`, 'success');
+        break;
+      }
+        
+      case 'remove': {
+        if (!this.messagePayloads.some(payload => payload.name === name)) {
+          this.appendOutput(`ERROR: No saved payload ${name || ''}`.trimEnd(), 'error');
+          return;
+        }
+        
+        this.messagePayloads = this.messagePayloads.filter(payload => payload.name !== name);
+        await chrome.storage.local.set({ [MESSAGE_PAYLOADS_KEY]: this.messagePayloads });
+        this.appendOutput(`✓ Removed payload ${name}`, 'success');
+        break;
+      }
+        
+      default:
+        this.appendOutput('ERROR: Usage: postmessage payloads [add <name> <message> [--json]|remove <name>]', 'error');
+    }
+  }
+  
+  /**
+   * Handle scope commands
+   */
+  async handleScopeCommand(args, options = {}) {
+    await this.scopeReady;
+    const action = args[0]?.toLowerCase();
+    const patterns = args.slice(1);
+    
+    switch(action) {
+      case undefined:
+      case 'list':
+        await this.listScope();
+        break;
+    
+      case 'include':
+      case 'exclude':
+        await this.addScopeRules(action, patterns);
+        break;
+    
+      case 'remove':
+        await this.removeScopeRules(patterns);
+        break;
+    
+      case 'check':
+        await this.checkScope(patterns[0]);
+        break;
+    
+      case 'import':
+        await this.importScope(options);
+        break;
+    
+      case 'export':
+        this.exportScope(patterns[0]);
+        break;
+    
+      case 'clear':
+        this.scope = { include: [], exclude: [] };
+        await this.saveScope();
+        this.appendOutput('✓ Scope cleared; nothing is restricted', 'success');
+        break;
+    
+      default:
+        this.appendOutput('ERROR: Unknown scope action. Use: list, include <pattern>, exclude <pattern>, remove <pattern>, check [url], import, export [file], or clear', 'error');
+    }
+  }
+  
+  /**
+   * Show the rules and whether the inspected page is in scope
+   */
+  async listScope() {
+    const { include, exclude } = this.scope;
+    
+    if (include.length === 0 && exclude.length === 0) {
+      this.appendOutput('No scope rules; nothing is restricted. Use: scope include <pattern>', 'warning');
+      return;
+    }
+    
+    const lines = [
+      'Include:',
+      ...(include.length > 0 ? include.map(rule => `  + ${rule.pattern}`) : ['  (anything not excluded)']),
+      'Exclude:',
+      ...(exclude.length > 0 ? exclude.map(rule => `  - ${rule.pattern}`) : ['  (nothing)'])
+    ];
+    this.appendOutput(lines.join('\n'), 'success');
+    
+    await this.checkScope();
+  }
+  
+  /**
+   * Add include or exclude rules and save them
+   */
+  async addScopeRules(kind, patterns) {
+    if (patterns.length === 0) {
+      this.appendOutput(`ERROR: Usage: scope ${kind} <pattern>... (e.g. *.example.com, https://app.example.com:8443/api)`, 'error');
+      return;
+    }
+    
+    const rules = patterns.map(pattern => this.parseScopeRule(pattern));
+    const added = this.mergeScopeRules(kind, rules);
+    await this.saveScope();
+    
+    this.appendOutput(`✓ Added ${added} ${kind} rule(s)`, 'success');
+    if (added < rules.length) {
+      this.appendOutput(`${rules.length - added} rule(s) were already there`, 'warning');
+    }
+  }
+  
+  /**
+   * Add rules not already in the scope; returns how many were new
+   */
+  mergeScopeRules(kind, rules) {
+    const list = this.scope[kind];
+    let added = 0;
+    
+    rules.forEach(rule => {
+      if (!list.some(existing => existing.pattern === rule.pattern)) {
+        list.push(rule);
+        added++;
+      }
+    });
+    
+    return added;
+  }
+  
+  /**
+   * Remove rules by their pattern, from either list
+   */
+  async removeScopeRules(patterns) {
+    if (patterns.length === 0) {
+      this.appendOutput('ERROR: Usage: scope remove <pattern>...', 'error');
+      return;
+    }
+    
+    const missing = patterns.filter(pattern =>
+      !this.scope.include.some(rule => rule.pattern === pattern) &&
+      !this.scope.exclude.some(rule => rule.pattern === pattern)
+    );
+    if (missing.length > 0) {
+      this.appendOutput(`ERROR: No scope rule ${missing.join(', ')}. Use: scope list`, 'error');
+      return;
+    }
+    
+    this.scope.include = this.scope.include.filter(rule => !patterns.includes(rule.pattern));
+    this.scope.exclude = this.scope.exclude.filter(rule => !patterns.includes(rule.pattern));
+    await this.saveScope();
+    this.appendOutput(`✓ Removed ${patterns.length} rule(s)`, 'success');
+  }
+  
+  /**
+   * Report whether a URL, or the inspected page, is in scope
+   */
+  async checkScope(url) {
+    const subject = url || await this.inspectedUrl();
+    if (!subject) {
+      throw new Error('Could not read the inspected page\'s URL');
+    }
+    
+    const violation = this.scopeViolation(subject);
+    
+    if (violation) {
+      this.appendOutput(`✗ ${subject} is out of scope (${violation})`, 'error');
+    } else {
+      this.appendOutput(`✓ ${subject} is in scope`, 'success');
+    }
+  }
+  
+  /**
+   * Import rules from a scope JSON file
+   * 
+   * Reads this terminal's own export ({ include, exclude }), program
+   * data with targets.in_scope / targets.out_of_scope (as published by
+   * HackerOne and Bugcrowd and collected in bounty-targets-data), and
+   * HackerOne API structured scopes ({ data: [{ attributes }] }). Only
+   * web assets are kept. --replace drops the current rules first.
+   */
+  async importScope(options = {}) {
+    const file = await this.pickFile('.json,application/json');
+    if (!file) return;
+    
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not JSON (${error.message})`);
+    }
+    
+    const { include, exclude, skipped } = this.readScopeJson(data);
+    if (include.length === 0 && exclude.length === 0) {
+      throw new Error(`No web scope rules found in ${file.name}`);
+    }
+    
+    if (options.replace) {
+      this.scope = { include: [], exclude: [] };
+    }
+    const added = this.mergeScopeRules('include', include) + this.mergeScopeRules('exclude', exclude);
+    await this.saveScope();
+    
+    this.appendOutput(
+      `✓ Imported ${include.length} include and ${exclude.length} exclude rule(s) from ${file.name} (${added} new)`,
+      'success'
+    );
+    if (skipped.length > 0) {
+      this.appendOutput(`Skipped ${skipped.length} asset(s) that are not web targets:\n  ${skipped.join('\n  ')}`, 'warning');
+    }
+  }
+  
+  /**
+   * Pull include and exclude rules out of a parsed scope file
+   */
+  readScopeJson(data) {
+    const include = [];
+    const exclude = [];
+    const skipped = [];
+    
+    const addAsset = (list, asset) => {
+      if (typeof asset === 'string') {
+        asset = { identifier: asset };
+      }
+      const identifier = asset.identifier ?? asset.asset_identifier ?? asset.target ?? asset.endpoint ?? asset.uri;
+      const type = String(asset.asset_type ?? asset.type ?? '').toLowerCase();
+      if (typeof identifier !== 'string') return;
+    
+      if (type && !SCOPE_WEB_ASSET_TYPES.has(type)) {
+        skipped.push(`${identifier} (${type})`);
+        return;
+      }
+    
+      // Programs often list several hosts in one asset
+      identifier.split(/[,\s]+/).filter(Boolean).forEach(pattern => {
+        try {
+          list.push(this.parseScopeRule(pattern));
+        } catch (error) {
+          skipped.push(pattern);
+        }
+      });
+    };
+    
+    if (Array.isArray(data?.data)) {
+      data.data.forEach(item => {
+        const attributes = item?.attributes || {};
+        addAsset(attributes.eligible_for_submission === false ? exclude : include, attributes);
+      });
+    } else {
+      const source = data?.targets || data || {};
+      (source.include || source.in_scope || []).forEach(asset => addAsset(include, asset));
+      (source.exclude || source.out_of_scope || []).forEach(asset => addAsset(exclude, asset));
+    }
+    
+    return { include, exclude, skipped };
+  }
+  
+  /**
+   * Download the rules in the format `scope import` reads back
+   */
+  exportScope(fileName) {
+    const data = {
+      include: this.scope.include.map(rule => rule.pattern),
+      exclude: this.scope.exclude.map(rule => rule.pattern)
+    };
+    const name = fileName || 'scope.json';
+    
+    this.downloadFile(name, JSON.stringify(data, null, 2) + '\n', 'application/json');
+    this.appendOutput(`✓ Saved ${data.include.length + data.exclude.length} scope rule(s) to ${name}`, 'success');
+  }
+  
+  /**
+   * Load the saved rules; nothing is restricted until they are in
+   */
+  async restoreScope() {
+    const stored = await chrome.storage.local.get(SCOPE_KEY);
+    const saved = stored[SCOPE_KEY] || {};
+    
+    ['include', 'exclude'].forEach(kind => {
+      (saved[kind] || []).forEach(pattern => {
+        try {
+          this.scope[kind].push(this.parseScopeRule(pattern));
+        } catch (error) {
+          this.appendOutput(`WARNING: Ignoring saved scope rule ${pattern} (${error.message})`, 'warning');
+        }
+      });
+    });
+  }
+  
+  /**
+   * Save the rules' patterns to chrome.storage.local
+   */
+  async saveScope() {
+    await chrome.storage.local.set({
+      [SCOPE_KEY]: {
+        include: this.scope.include.map(rule => rule.pattern),
+        exclude: this.scope.exclude.map(rule => rule.pattern)
+      }
+    });
+  }
+  
+  /**
+   * Parse a scope pattern: [scheme://]host[:port][/path]
+   * 
+   * In the host a leading '*.' covers subdomains at any depth (not the
+   * domain itself) and a lone '*' any host. Without a scheme the rule
+   * covers http and https, without a port any port. A path covers itself
+   * and everything below it, or is a glob if it contains '*'.
+   */
+  parseScopeRule(pattern) {
+    const match = /^(?:([a-z][a-z0-9+.-]*|\*):\/\/)?([^/:?#\s]+)(?::(\d{1,5}|\*))?(\/[^?#\s]*)?$/i.exec(pattern);
+    if (!match) {
+      throw new Error(`Not a scope pattern: ${pattern} (expected [scheme://]host[:port][/path])`);
+    }
+    
+    const [, scheme, host, port, path] = match;
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    
+    let pathPattern = null;
+    if (path && path !== '/' && path !== '/*') {
+      pathPattern = path.includes('*')
+        ? new RegExp('^' + escape(path).replace(/\*/g, '.*') + '$')
+        : new RegExp('^' + escape(path) + (path.endsWith('/') ? '' : '(?:/|$)'));
+    }
+    
+    return {
+      pattern,
+      scheme: scheme && scheme !== '*' ? scheme.toLowerCase() : null,
+      host: host === '*' ? null : new RegExp('^' + escape(host.toLowerCase())
+        .replace(/^\*\\\./, '(?:[^.]+\\.)+')
+        .replace(/\*/g, '[^.]*') + '$'),
+      port: port && port !== '*' ? String(Number(port)) : null,
+      path: pathPattern
+    };
+  }
+  
+  /**
+   * Whether a parsed URL falls under a rule
+   */
+  scopeRuleMatches(rule, url) {
+    const scheme = url.protocol.slice(0, -1);
+    if (rule.scheme ? scheme !== rule.scheme : !['http', 'https'].includes(scheme)) return false;
+    if (rule.host && !rule.host.test(url.hostname)) return false;
+    if (rule.port && (url.port || { http: '80', https: '443', ws: '80', wss: '443' }[scheme]) !== rule.port) return false;
+    return !rule.path || rule.path.test(url.pathname);
+  }
+  
+  /**
+   * Why a URL is out of scope, or null if it is in scope
+   * 
+   * Excludes win over includes. With no include rules, anything not
+   * excluded is in scope.
+   */
+  scopeViolation(url) {
+    const { include, exclude } = this.scope;
+    if (include.length === 0 && exclude.length === 0) return null;
+    
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'not a valid URL';
+    }
+    
+    const excluded = exclude.find(rule => this.scopeRuleMatches(rule, parsed));
+    if (excluded) return `excluded by ${excluded.pattern}`;
+    
+    if (include.length > 0 && !include.some(rule => this.scopeRuleMatches(rule, parsed))) {
+      return 'matches no include rule';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Throw an explanation if a URL is out of scope
+   */
+  requireInScope(url, subject) {
+    const violation = this.scopeViolation(url);
+    if (violation) {
+      throw new Error(`${subject} ${url} is out of scope (${violation}). Use: scope`);
+    }
+  }
+  
+  /**
+   * Why the inspected page (or the frame at options.frameURL) is out of
+   * scope, or null. The page is only asked for its URL when there are
+   * rules.
+   */
+  async inspectedScopeViolation(options = {}) {
+    await this.scopeReady;
+    if (this.scope.include.length === 0 && this.scope.exclude.length === 0) return null;
+    
+    const url = await this.inspectedUrl(options);
+    const violation = url ? this.scopeViolation(url) : 'its URL could not be read';
+    return violation && `Refusing to run in ${url || 'the inspected page'}: out of scope (${violation}). Use: scope`;
+  }
+  
+  /**
+   * URL of the inspected page, or of the frame at options.frameURL;
+   * null if it can't be read
+   */
+  inspectedUrl(options = {}) {
+    return new Promise((resolve) => {
+      chrome.devtools.inspectedWindow.eval('location.href', options, (result, isException) => {
+        resolve(isException ? null : String(result));
+      });
+    });
+  }
+  
+  /**
+   * Handle finding commands
+   */
+  async handleFindingCommand(args, options = {}) {
+    await this.loadFindings();
+    const action = args[0]?.toLowerCase();
+    
+    switch(action) {
+      case undefined:
+      case 'list':
+        this.listFindings();
+        break;
+    
+      case 'add':
+        await this.openFindingEditor(null, {
+          title: args.slice(1).join(' '),
+          evidence: this.collectEvidence(options)
+        });
+        break;
+    
+      case 'show':
+        this.appendOutput(this.findingMarkdown(this.findFinding(args[1]), '#'), 'success');
+        break;
+    
+      case 'edit':
+        await this.openFindingEditor(this.findFinding(args[1]));
+        break;
+    
+      case 'evidence':
+        await this.editFindingEvidence(this.findFinding(args[1]), options);
+        break;
+    
+      case 'delete': {
+        const finding = this.findFinding(args[1]);
+        this.findings = this.findings.filter(item => item !== finding);
+        await this.saveFindings();
+        this.appendOutput(`✓ Deleted finding #${finding.id}: ${finding.title}`, 'success');
+        break;
+      }
+    
+      default:
+        this.appendOutput('ERROR: Unknown finding action. Use: list, add [title], show <id>, edit <id>, evidence <id>, or delete <id>', 'error');
+    }
+  }
+  
+  /**
+   * Saved findings, read from chrome.storage.local on first use
+   */
+  async loadFindings() {
+    if (!this.findings) {
+      const stored = await chrome.storage.local.get(FINDINGS_KEY);
+      this.findings = stored[FINDINGS_KEY] || [];
+    }
+    
+    return this.findings;
+  }
+  
+  /**
+   * Write the findings back to chrome.storage.local
+   */
+  async saveFindings() {
+    await chrome.storage.local.set({ [FINDINGS_KEY]: this.findings });
+  }
+  
+  /**
+   * Look up a finding by id ("3" or "#3")
+   */
+  findFinding(id) {
+    const finding = this.findings.find(item => `#${item.id}` === id || String(item.id) === id);
+    if (!finding) {
+      throw new Error(id ? `No finding ${id}. Use: finding list` : 'Give a finding id. Use: finding list');
+    }
+    
+    return finding;
+  }
+  
+  /**
+   * Table of findings, most severe first
+   */
+  listFindings() {
+    if (this.findings.length === 0) {
+      this.appendOutput('No findings yet. Use: finding add <title>', 'warning');
+      return;
+    }
+    
+    this.appendTable(
+      ['#', 'Severity', 'CVSS', 'Title', 'URL', 'Evidence'],
+      this.sortFindings(this.findings).map(finding => [
+        finding.id,
+        finding.severity,
+        finding.cvss ? finding.cvss.score ?? finding.cvss.version : '',
+        finding.title,
+        finding.url,
+        finding.evidence.length
+      ])
+    );
+  }
+  
+  /**
+   * Findings ordered by severity, then by id
+   */
+  sortFindings(findings) {
+    const rank = (finding) => FINDING_SEVERITIES.findIndex(severity => severity.name === finding.severity);
+    return [...findings].sort((a, b) => rank(a) - rank(b) || a.id - b.id);
+  }
+  
+  /**
+   * Open a finding in the editor: a new one (with a title and evidence
+   * to attach) or an existing one to change
+   */
+  async openFindingEditor(finding, { title = '', evidence = [] } = {}, draft = null) {
+    const submit = (text) => this.saveFindingDraft(finding, evidence, text);
+    
+    // Reopened after a parse error: keep the user's text
+    if (draft !== null) {
+      this.setEditorMode(true, { prompt: 'finding>', submit });
+      this.commandInput.value = draft;
+      this.resizeCommandInput();
+      this.appendOutput('Fix the finding and press Ctrl+Enter, or Esc to cancel.', 'warning');
+      return;
+    }
+    
+    const fields = finding || {
+      title,
+      severity: '',
+      cvss: null,
+      url: await this.inspectedUrl() || '',
+      description: '',
+      steps: '1. ',
+      impact: ''
+    };
+    
+    this.setEditorMode(true, { prompt: 'finding>', submit });
+    this.commandInput.value = [
+      `Title: ${fields.title}`,
+      `Severity: ${fields.severity}`,
+      `CVSS: ${fields.cvss ? fields.cvss.vector : ''}`,
+      `URL: ${fields.url}`,
+      '',
+      'Description:',
+      fields.description,
+      '',
+      'Steps to reproduce:',
+      fields.steps,
+      '',
+      'Impact:',
+      fields.impact
+    ].join('\n');
+    this.resizeCommandInput();
+    this.appendOutput(
+      `${finding ? `Editing finding #${finding.id}` : 'New finding'}: severity is ${FINDING_SEVERITIES.map(severity => severity.name).join(', ')} ` +
+      '(or leave it empty to take it from a CVSS v3 vector). Ctrl+Enter saves, Esc cancels.' +
+      (evidence.length > 0 ? ` ${evidence.length} output block(s) will be attached as evidence.` : ''),
+      'success'
+    );
+  }
+  
+  /**
+   * Save a finding from the editor, reopening it if it doesn't parse
+   */
+  async saveFindingDraft(finding, evidence, text) {
+    let fields;
+    try {
+      fields = this.parseFindingDraft(text);
+    } catch (error) {
+      this.appendOutput(`ERROR: ${error.message}`, 'error');
+      this.openFindingEditor(finding, { evidence }, text);
+      return;
+    }
+    
+    const now = new Date().toISOString();
+    if (finding) {
+      Object.assign(finding, fields, { updated: now });
+    } else {
+      finding = {
+        id: Math.max(0, ...this.findings.map(item => item.id)) + 1,
+        ...fields,
+        evidence,
+        created: now,
+        updated: now
+      };
+      this.findings.push(finding);
+    }
+    
+    await this.saveFindings();
+    this.appendOutput(
+      `✓ Saved finding #${finding.id} (${finding.severity}): ${finding.title}` +
+      (finding.evidence.length > 0 ? ` with ${finding.evidence.length} evidence block(s)` : ''),
+      'success'
+    );
+  }
+  
+  /**
+   * Parse the editor text of a finding
+   * 
+   * `Name: value` fields come first; Description, Steps to reproduce and
+   * Impact each run from their own heading line to the next one.
+   */
+  parseFindingDraft(text) {
+    const fields = {};
+    const sections = { description: [], steps: [], impact: [] };
+    let section = null;
+    
+    text.split('\n').forEach(line => {
+      const heading = /^(description|steps to reproduce|impact):\s*$/i.exec(line.trim());
+      if (heading) {
+        section = heading[1].toLowerCase().split(' ')[0];
+        return;
+      }
+      if (section) {
+        sections[section].push(line);
+        return;
+      }
+    
+      const field = /^(title|severity|cvss|url):(.*)$/i.exec(line.trim());
+      if (field) {
+        fields[field[1].toLowerCase()] = field[2].trim();
+      } else if (line.trim()) {
+        throw new Error(`Unexpected line before Description: ${line.trim()}`);
+      }
+    });
+    
+    if (!fields.title) {
+      throw new Error('Title is required');
+    }
+    
+    const cvss = fields.cvss ? this.parseCvss(fields.cvss) : null;
+    let severity = (fields.severity || '').toLowerCase();
+    if (!severity && typeof cvss?.score === 'number') {
+      severity = this.severityForScore(cvss.score);
+    }
+    if (!FINDING_SEVERITIES.some(item => item.name === severity)) {
+      throw new Error(`Severity must be ${FINDING_SEVERITIES.map(item => item.name).join(', ')} (or empty with a CVSS v3 vector)`);
+    }
+    
+    if (fields.url) {
+      try {
+        new URL(fields.url);
+      } catch (error) {
+        throw new Error(`URL is not a valid URL: ${fields.url}`);
+      }
+    }
+    
+    const sectionText = (lines) => lines.join('\n').trim();
+    return {
+      title: fields.title,
+      severity,
+      cvss,
+      url: fields.url || '',
+      description: sectionText(sections.description),
+      steps: sectionText(sections.steps).replace(/^1\.$/, ''),
+      impact: sectionText(sections.impact)
+    };
+  }
+  
+  /**
+   * Validate a CVSS vector; v3.0 and v3.1 vectors also get their base
+   * score. Returns { vector, version, score }, score null for v4.0.
+   */
+  parseCvss(vector) {
+    const match = /^CVSS:(3\.[01]|4\.0)\/([A-Za-z]+:[A-Za-z]+(?:\/[A-Za-z]+:[A-Za-z]+)*)$/.exec(vector);
+    if (!match) {
+      throw new Error('CVSS must be a vector like CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N');
+    }
+    
+    const version = match[1];
+    if (version === '4.0') {
+      return { vector, version, score: null };
+    }
+    
+    const metrics = Object.fromEntries(match[2].split('/').map(part => part.split(':')));
+    const invalid = [...Object.keys(CVSS_WEIGHTS), 'S'].filter(metric =>
+      metric === 'S' ? !['U', 'C'].includes(metrics.S) : !(metrics[metric] in CVSS_WEIGHTS[metric])
+    );
+    if (invalid.length > 0) {
+      throw new Error(`CVSS vector is missing or has invalid base metrics: ${invalid.join(', ')}`);
+    }
+    
+    // CVSS v3.1 specification, section 7.1
+    const weight = (metric) => CVSS_WEIGHTS[metric][metrics[metric]];
+    const changed = metrics.S === 'C';
+    const privileges = changed && metrics.PR !== 'N' ? { L: 0.68, H: 0.5 }[metrics.PR] : weight('PR');
+    const iss = 1 - (1 - weight('C')) * (1 - weight('I')) * (1 - weight('A'));
+    const impact = changed
+      ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+      : 6.42 * iss;
+    const exploitability = 8.22 * weight('AV') * weight('AC') * privileges * weight('UI');
+    const roundUp = (value) => {
+      const scaled = Math.round(value * 100000);
+      return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+    };
+    
+    const score = impact <= 0 ? 0 : roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+    return { vector, version, score };
+  }
+  
+  /**
+   * Severity name for a CVSS v3 base score
+   */
+  severityForScore(score) {
+    return FINDING_SEVERITIES.find(severity => score >= severity.score).name;
+  }
+  
+  /**
+   * Attach selected output to a finding, or drop one of its evidence
+   * blocks with --remove=<n>
+   */
+  async editFindingEvidence(finding, options = {}) {
+    if (options.remove !== undefined) {
+      const index = Number(options.remove) - 1;
+      if (!Number.isInteger(index) || !finding.evidence[index]) {
+        throw new Error(`Finding #${finding.id} has no evidence ${options.remove}`);
+      }
+    
+      finding.evidence.splice(index, 1);
+      finding.updated = new Date().toISOString();
+      await this.saveFindings();
+      this.appendOutput(`✓ Removed evidence ${index + 1} from finding #${finding.id}`, 'success');
+      return;
+    }
+    
+    const evidence = this.collectEvidence(options);
+    if (evidence.length === 0) {
+      throw new Error('No output selected. Alt+click a command or its output to select it, or use --last=<n>');
+    }
+    
+    finding.evidence.push(...evidence);
+    finding.updated = new Date().toISOString();
+    await this.saveFindings();
+    this.appendOutput(`✓ Attached ${evidence.length} output block(s) to finding #${finding.id}`, 'success');
+  }
+  
+  /**
+   * Evidence from the output: the blocks Alt+clicked, or with
+   * --last=<n> the last n commands before this one. Each block is a
+   * command line with everything printed after it.
+   */
+  collectEvidence(options = {}) {
+    const entries = Array.from(this.output.querySelectorAll('.command-entry'));
+    let blocks;
+    
+    if (options.last !== undefined) {
+      const count = options.last === true ? 1 : Number(options.last);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error('--last must be a positive whole number');
+      }
+    
+      // The last command line is the one collecting the evidence
+      const heads = entries.filter(entry => this.isCommandEntry(entry));
+      blocks = heads.slice(-count - 1, -1).map(head => this.outputBlock(head));
+    } else {
+      // Selection always covers whole blocks; take each from its first entry
+      blocks = entries
+        .filter(entry => entry.classList.contains('evidence-selected') && this.outputBlock(entry)[0] === entry)
+        .map(entry => this.outputBlock(entry));
+    }
+    
+    entries.forEach(entry => entry.classList.remove('evidence-selected'));
+    
+    const capturedAt = new Date().toISOString();
+    return blocks.map(block => {
+      const [head, ...rest] = block;
+      const command = this.isCommandEntry(head)
+        ? this.transcript[head.dataset.transcript].replace(/^(?:researcher@browser:~\$|[a-z]+>) /, '')
+        : '';
+      let output = (command ? rest : block).map(entry => this.transcript[entry.dataset.transcript]).join('\n');
+    
+      if (output.length > FINDING_EVIDENCE_LIMIT) {
+        output = output.substring(0, FINDING_EVIDENCE_LIMIT) + '\n… (truncated)';
+      }
+      return { command, output, capturedAt };
+    });
+  }
+  
+  /**
+   * Whether an output entry is an echoed command line
+   */
+  isCommandEntry(entry) {
+    return Boolean(entry.querySelector(':scope > .command-line'));
+  }
+  
+  /**
+   * The entries of the block an entry belongs to: its command line and
+   * everything up to the next one
+   */
+  outputBlock(entry) {
+    let head = entry;
+    while (!this.isCommandEntry(head) && head.previousElementSibling?.classList.contains('command-entry')) {
+      head = head.previousElementSibling;
+    }
+    
+    const block = [head];
+    for (let next = head.nextElementSibling; next && !this.isCommandEntry(next); next = next.nextElementSibling) {
+      block.push(next);
+    }
+    
+    return block;
+  }
+  
+  /**
+   * Toggle an output block's selection as evidence (Alt+click)
+   */
+  toggleEvidenceSelection(entry) {
+    const block = this.outputBlock(entry);
+    const selected = !block[0].classList.contains('evidence-selected');
+    block.forEach(item => item.classList.toggle('evidence-selected', selected));
+  }
+  
+  /**
+   * Handle `report export [file] --format=md|json [--id=<n,n>]`
+   */
+  async handleReportCommand(args, options = {}) {
+    const action = args[0]?.toLowerCase();
+    
+    if (action !== 'export') {
+      this.appendOutput('ERROR: Usage: report export [file] --format=md|json [--id=<n,n>]', 'error');
+      return;
+    }
+    
+    const format = String(options.format || 'md').toLowerCase();
+    if (!['md', 'json'].includes(format)) {
+      throw new Error('--format must be md or json');
+    }
+    
+    let findings = await this.loadFindings();
+    if (options.id !== undefined) {
+      findings = String(options.id).split(',').map(id => this.findFinding(id.trim()));
+    }
+    if (findings.length === 0) {
+      throw new Error('No findings to report. Use: finding add <title>');
+    }
+    
+    const generated = new Date().toISOString();
+    const fileName = args[1] || `security-report-${generated.replace(/[:.]/g, '-')}.${format}`;
+    const sorted = this.sortFindings(findings);
+    const content = format === 'json'
+      ? JSON.stringify({ generated, tool: 'Security Research Terminal', findings: sorted }, null, 2) + '\n'
+      : this.reportMarkdown(sorted, generated);
+    
+    this.downloadFile(fileName, content, format === 'json' ? 'application/json' : 'text/markdown');
+    this.appendOutput(`✓ Saved ${findings.length} finding(s) to ${fileName}`, 'success');
+  }
+  
+  /**
+   * A Markdown report: a summary table, then each finding in full
+   */
+  reportMarkdown(findings, generated) {
+    const cell = (value) => String(value).replace(/\|/g, '\\|');
+    const summary = findings.map(finding =>
+      `| ${finding.id} | ${cell(finding.title)} | ${this.capitalize(finding.severity)} | ${finding.cvss?.score ?? ''} | ${cell(finding.url)} |`
+    );
+    
+    return [
+      '# Security Report',
+      '',
+      `Generated ${generated} with Security Research Terminal.`,
+      '',
+      '| # | Title | Severity | CVSS | URL |',
+      '|---|-------|----------|------|-----|',
+      ...summary,
+      '',
+      ...findings.map(finding => this.findingMarkdown(finding, '##') + '\n')
+    ].join('\n');
+  }
+  
+  /**
+   * One finding as Markdown, headed at the given level
+   */
+  findingMarkdown(finding, heading) {
+    const lines = [`${heading} #${finding.id}: ${finding.title}`, ''];
+    
+    lines.push(`- **Severity:** ${this.capitalize(finding.severity)}`);
+    if (finding.cvss) {
+      const score = finding.cvss.score === null ? '' : `${finding.cvss.score} `;
+      lines.push(`- **CVSS ${finding.cvss.version}:** ${score}\`${finding.cvss.vector}\``);
+    }
+    if (finding.url) {
+      lines.push(`- **Affected URL:** ${finding.url}`);
+    }
+    lines.push(`- **Reported:** ${finding.created.substring(0, 10)}`);
+    
+    [
+      ['Description', finding.description],
+      ['Steps to Reproduce', finding.steps],
+      ['Impact', finding.impact]
+    ].forEach(([title, text]) => {
+      if (text) lines.push('', `${heading}# ${title}`, '', text);
+    });
+    
+    if (finding.evidence.length > 0) {
+      lines.push('', `${heading}# Evidence`);
+      finding.evidence.forEach((evidence, i) => {
+        const text = (evidence.command ? `$ ${evidence.command}\n` : '') + evidence.output;
+        const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        lines.push('', `**Evidence ${i + 1}** (captured ${evidence.capturedAt})`, '', fence + 'text', text, fence);
+      });
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Upper-case the first letter
+   */
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+  
+  /**
+   * Handle macro commands
+   */
+  async handleMacroCommand(args, options = {}) {
+    await this.loadMacros();
+    const action = args[0]?.toLowerCase();
+    const name = args[1];
+    
+    switch(action) {
+      case undefined:
+      case 'list':
+        this.listMacros();
+        break;
+    
+      case 'define':
+        await this.defineMacro(name, args.slice(2));
+        break;
+    
+      case 'show': {
+        const steps = this.findMacro(name);
+        this.appendOutput(`Macro ${name}:\n${steps.map((step, i) => `  ${String(i + 1).padStart(2)}  ${this.redactCommand(step)}`).join('\n')}`, 'success');
+        break;
+      }
+    
+      case 'run':
+        this.findMacro(name);
+        await this.runMacro(name, args.slice(2));
+        break;
+    
+      case 'delete':
+        this.findMacro(name);
+        delete this.macros[name];
+        await this.saveMacros();
+        this.appendOutput(`✓ Deleted macro ${name}`, 'success');
+        break;
+    
+      case 'import':
+        await this.importMacros(options);
+        break;
+    
+      case 'export':
+        this.exportMacros(args[1]);
+        break;
+    
+      default:
+        this.appendOutput('ERROR: Unknown macro action. Use: list, define <name>, show <name>, run <name> [args], delete <name>, import, or export [file]', 'error');
+    }
+  }
+  
+  /**
+   * Saved macros ({ name: [step, ...] }), read on first use
+   */
+  async loadMacros() {
+    if (!this.macros) {
+      const stored = await chrome.storage.local.get(MACROS_KEY);
+      this.macros = stored[MACROS_KEY] || {};
+    }
+    
+    return this.macros;
+  }
+  
+  /**
+   * Write the macros back to chrome.storage.local
+   */
+  async saveMacros() {
+    await chrome.storage.local.set({ [MACROS_KEY]: this.macros });
+  }
+  
+  /**
+   * Steps of a saved macro
+   */
+  findMacro(name) {
+    if (!name) {
+      throw new Error('Give a macro name. Use: macro list');
+    }
+    if (!Object.hasOwn(this.macros, name)) {
+      throw new Error(`No macro ${name}. Use: macro list`);
+    }
+    
+    return this.macros[name];
+  }
+  
+  /**
+   * Names and first steps of the saved macros
+   */
+  listMacros() {
+    const names = Object.keys(this.macros).sort();
+    
+    if (names.length === 0) {
+      this.appendOutput('No macros yet. Use: macro define <name>', 'warning');
+      return;
+    }
+    
+    const width = Math.max(...names.map(name => name.length));
+    const lines = names.map(name => {
+      const steps = this.macros[name];
+      return `  ${name.padEnd(width)}  ${steps.length} step(s): ${steps.map(step => this.redactCommand(step)).join(' ; ')}`.substring(0, 120);
+    });
+    this.appendOutput(`Macros (macro run <name> [args]):\n${lines.join('\n')}`, 'success');
+  }
+  
+  /**
+   * Save a macro from its steps, or open it in the editor (one command
+   * per line) when no steps are given
+   */
+  async defineMacro(name, steps) {
+    if (!name || !MACRO_NAME_PATTERN.test(name)) {
+      throw new Error('Usage: macro define <name> [command...] (names are letters, digits, - and _)');
+    }
+    
+    if (steps.length > 0) {
+      await this.saveMacro(name, steps.join('\n'));
+      return;
+    }
+    
+    this.setEditorMode(true, { prompt: 'macro>', submit: (text) => this.saveMacro(name, text) });
+    this.commandInput.value = Object.hasOwn(this.macros, name)
+      ? this.macros[name].map(step => this.redactCommand(step)).join('\n')
+      : '# One command per line. $1, $2, ... are arguments and $@ all of them;\n' +
+        '# $TARGET, $URL, $ORIGIN and $HOST come from the Target URL and the page.\n';
+    this.resizeCommandInput();
+    this.appendOutput(`${Object.hasOwn(this.macros, name) ? 'Editing' : 'Defining'} macro ${name}: Ctrl+Enter saves, Esc cancels.`, 'success');
+  }
+  
+  /**
+   * Save macro steps from text; blank and # comment lines are dropped
+   */
+  async saveMacro(name, text) {
+    const steps = this.macroSteps(text.split('\n'));
+    if (steps.length === 0) {
+      throw new Error(`Macro ${name} has no commands; nothing saved`);
+    }
+    this.checkMacroSecrets(name, steps);
+    
+    const replaced = Object.hasOwn(this.macros, name);
+    this.macros[name] = steps;
+    await this.saveMacros();
+    this.appendOutput(`✓ ${replaced ? 'Updated' : 'Saved'} macro ${name} (${steps.length} step(s)). Use: macro run ${name}`, 'success');
+  }
+  
+  /**
+   * Refuse steps that set a secret setting, so a token never lands in
+   * storage or an exported macro file
+   */
+  checkMacroSecrets(name, steps) {
+    const index = steps.findIndex(step => this.redactCommand(step) !== step);
+    if (index !== -1) {
+      throw new Error(`Macro ${name} step ${index + 1} sets a secret setting; set it at the prompt instead`);
+    }
+  }
+  
+  /**
+   * Commands from macro lines, without blanks and comments
+   */
+  macroSteps(lines) {
+    return lines.map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  }
+  
+  /**
+   * Run a macro's steps through parseCommand, one at a time
+   * 
+   * Parameters and variables are filled in before the first step runs,
+   * so a missing argument runs nothing. The macro stops at the first
+   * step that reports an error, and asks before each step that can
+   * change the page.
+   */
+  async runMacro(name, args) {
+    if (this.macroDepth >= MACRO_DEPTH_LIMIT) {
+      throw new Error(`Macros nested more than ${MACRO_DEPTH_LIMIT} deep (does ${name} run itself?)`);
+    }
+    
+    const variables = await this.macroVariables(this.macros[name]);
+    const steps = this.macros[name].map(step => this.expandMacroStep(name, step, args, variables));
+    
+    this.macroDepth++;
+    try {
+      for (const [i, step] of steps.entries()) {
+        this.appendOutput(`${name} [${i + 1}/${steps.length}]$ ${this.redactCommand(step)}`, 'command-line');
+    
+        if (this.changesPage(step) && !await this.confirm(`Step ${i + 1} can change the page. Run it?`)) {
+          // Reported as an error so a macro running this one stops too
+          this.appendOutput(`ERROR: Macro ${name} stopped before step ${i + 1} (not confirmed)`, 'error');
+          return;
+        }
+    
+        const errors = this.errorCount;
+        await this.parseCommand(step);
+    
+        if (this.errorCount > errors) {
+          this.appendOutput(`ERROR: Macro ${name} stopped: step ${i + 1} of ${steps.length} failed`, 'error');
+          return;
+        }
+      }
+    } finally {
+      this.macroDepth--;
+    }
+    
+    this.appendOutput(`✓ Macro ${name} finished (${steps.length} step(s))`, 'success');
+  }
+  
+  /**
+   * Values for the variables a macro uses, taken when it starts
+   */
+  async macroVariables(steps) {
+    const variables = { TARGET: this.validatedUrl?.href };
     
-    // State
-    this.commandHistory = [];
-    this.historyIndex = -1;
-    this.validatedUrl = null;
-    this.currentOperation = null;
+    if (steps.some(step => /\$(?:URL|ORIGIN|HOST)(?!\w)/.test(step))) {
+      const url = await this.inspectedUrl();
+      if (url) {
+        const parsed = new URL(url);
+        Object.assign(variables, { URL: url, ORIGIN: parsed.origin, HOST: parsed.host });
+      }
+    }
     
-    // Initialize
-    this.init();
+    return variables;
   }
   
-  init() {
-    // Command input handler
-    this.commandInput.addEventListener('keydown', (e) => this.handleKeyDown(e));
+  /**
+   * Fill in $1..$n, $@ and the variables in one macro step
+   * 
+   * Values go in as they are: quote "$1" in built-in commands if it may
+   * contain spaces.
+   */
+  expandMacroStep(name, step, args, variables) {
+    return step.replace(/\$([1-9]\d*|@|TARGET|URL|ORIGIN|HOST)(?!\w)/g, (match, key) => {
+      if (key === '@') {
+        return args.join(' ');
+      }
+      if (/^\d+$/.test(key)) {
+        if (args[key - 1] === undefined) {
+          throw new Error(`Macro ${name} needs argument $${key}. Use: macro run ${name} <arg>...`);
+        }
+        return args[key - 1];
+      }
+      if (variables[key] === undefined) {
+        throw new Error(key === 'TARGET'
+          ? `Macro ${name} uses $TARGET; validate a Target URL first`
+          : `Macro ${name} uses $${key}, but the inspected page's URL could not be read`);
+      }
+      return variables[key];
+    });
+  }
+  
+  /**
+   * Whether a macro step can change the page: the built-ins
+   * PAGE_CHANGING_COMMANDS lists, and every snippet
+   */
+  changesPage(command) {
+    let invocation;
+    try {
+      invocation = this.parseInvocation(command);
+    } catch (error) {
+      return false; // parseCommand reports it
+    }
     
-    // URL validation
-    this.validateBtn.addEventListener('click', () => this.validateTargetUrl());
-    this.targetUrl.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') this.validateTargetUrl();
+    const { name, args, options } = invocation;
+    if (Object.hasOwn(PAGE_CHANGING_COMMANDS, name)) {
+      return PAGE_CHANGING_COMMANDS[name](args, options);
+    }
+    return SNIPPET_COMMANDS.has(name);
+  }
+  
+  /**
+   * Ask a y/N question; the next line typed answers it (Esc or anything
+   * but y/yes is no)
+   */
+  confirm(question) {
+    this.appendOutput(`${question} [y/N]`, 'warning');
+    this.prompt.textContent = '[y/N]>';
+    
+    return new Promise((resolve) => {
+      this.pendingConfirmation = resolve;
     });
+  }
+  
+  /**
+   * Settle a pending confirm() question
+   */
+  answerConfirmation(answer) {
+    const resolve = this.pendingConfirmation;
+    this.pendingConfirmation = null;
+    this.prompt.textContent = this.editorMode ? this.editorPrompt() : this.defaultPrompt;
+    resolve(answer);
+  }
+  
+  /**
+   * Load macros from a text file in the `macro export` format:
+   * `macro <name>`, its commands, then `end`. --replace drops the current
+   * macros first; otherwise same-named macros are overwritten.
+   */
+  async importMacros(options = {}) {
+    const file = await this.pickFile('.txt,text/plain');
+    if (!file) return;
     
-    // Focus on command input
-    this.commandInput.focus();
+    const imported = this.parseMacroFile(await file.text());
+    const names = Object.keys(imported);
+    if (names.length === 0) {
+      throw new Error(`No macros found in ${file.name}`);
+    }
+    
+    if (options.replace) {
+      this.macros = {};
+    }
+    const overwritten = names.filter(name => Object.hasOwn(this.macros, name));
+    Object.assign(this.macros, imported);
+    await this.saveMacros();
+    
+    this.appendOutput(`✓ Imported ${names.length} macro(s) from ${file.name}: ${names.join(', ')}`, 'success');
+    if (overwritten.length > 0) {
+      this.appendOutput(`Replaced existing macro(s): ${overwritten.join(', ')}`, 'warning');
+    }
   }
   
   /**
-   * Handle keyboard input in command line
+   * Parse a macro file into { name: [step, ...] }
    */
-  handleKeyDown(e) {
-    switch(e.key) {
-      case 'Enter':
-        e.preventDefault();
-        this.executeCommand();
-        break;
-        
-      case 'ArrowUp':
-        e.preventDefault();
-        this.navigateHistory('up');
-        break;
-        
-      case 'ArrowDown':
-        e.preventDefault();
-        this.navigateHistory('down');
-        break;
+  parseMacroFile(text) {
+    const macros = {};
+    let current = null;
+    
+    text.split('\n').forEach((line, i) => {
+      const trimmed = line.trim();
+    
+      if (current === null) {
+        if (!trimmed || trimmed.startsWith('#')) return;
+    
+        const header = /^macro\s+(\S+)$/.exec(trimmed);
+        if (!header || !MACRO_NAME_PATTERN.test(header[1])) {
+          throw new Error(`Line ${i + 1}: expected "macro <name>", got: ${trimmed}`);
+        }
+        current = { name: header[1], lines: [] };
+      } else if (trimmed === 'end') {
+        macros[current.name] = this.macroSteps(current.lines);
+        this.checkMacroSecrets(current.name, macros[current.name]);
+        current = null;
+      } else {
+        current.lines.push(line);
+      }
+    });
+    
+    if (current !== null) {
+      throw new Error(`Macro ${current.name} has no "end" line`);
     }
+    
+    return macros;
   }
   
   /**
-   * Navigate through command history
+   * Download every macro as a text file `macro import` reads back
    */
-  navigateHistory(direction) {
-    if (this.commandHistory.length === 0) return;
+  exportMacros(fileName) {
+    const names = Object.keys(this.macros).sort();
+    if (names.length === 0) {
+      throw new Error('No macros to export. Use: macro define <name>');
+    }
     
-    if (direction === 'up') {
-      if (this.historyIndex < this.commandHistory.length - 1) {
-        this.historyIndex++;
-        this.commandInput.value = this.commandHistory[this.historyIndex];
+    const name = fileName || 'macros.txt';
+    const text = [
+      '# Security Research Terminal macros (load with: macro import)',
+      ...names.map(macro => ['', `macro ${macro}`, ...this.macros[macro].map(step => `  ${this.redactCommand(step)}`), 'end'].join('\n'))
+    ].join('\n') + '\n';
+    
+    this.downloadFile(name, text, 'text/plain');
+    this.appendOutput(`✓ Saved ${names.length} macro(s) to ${name}`, 'success');
+  }
+  
+  /**
+   * Handle snippet library commands
+   */
+  async handleSnippetsCommand(args, options = {}) {
+    await this.loadSnippets();
+    const action = args[0]?.toLowerCase();
+    const name = args[1];
+    
+    switch(action) {
+      case undefined:
+      case 'list':
+        this.listSnippets(this.librarySnippets().filter(entry => !name || entry.category === name.toLowerCase()),
+          name ? `No snippets in category ${name}` : 'The library is empty');
+        break;
+    
+      case 'search': {
+        const query = args.slice(1).join(' ').toLowerCase();
+        if (!query) {
+          this.appendOutput('ERROR: Usage: snippets search <text>', 'error');
+          return;
+        }
+        this.listSnippets(this.librarySnippets().filter(entry =>
+          [entry.name, entry.category, entry.description, entry.code, ...entry.tags].some(text => text.toLowerCase().includes(query))
+        ), `No snippets match "${query}"`);
+        break;
       }
-    } else {
-      if (this.historyIndex > 0) {
-        this.historyIndex--;
-        this.commandInput.value = this.commandHistory[this.historyIndex];
-      } else if (this.historyIndex === 0) {
-        this.historyIndex = -1;
-        this.commandInput.value = '';
+    
+      case 'show': {
+        const entry = this.findSnippet(name);
+        this.appendOutput(
+          `${entry.name}${entry.args ? ` ${entry.args}` : ''} (${entry.category}) - ${entry.description || 'no description'}` +
+          (entry.tags.length > 0 ? `\nTags: ${entry.tags.join(', ')}` : ''),
+          'success'
+        );
+        this.appendOutput(entry.code.trim(), 'code');
+        break;
       }
+    
+      case 'run':
+        await this.runLibrarySnippet(this.findSnippet(name), args.slice(2));
+        break;
+    
+      case 'save':
+        await this.saveSnippet(name, options);
+        break;
+    
+      case 'delete':
+        if (SNIPPET_LIBRARY.some(entry => entry.name === name)) {
+          throw new Error(`${name} is a built-in snippet and can't be deleted`);
+        }
+        this.findSnippet(name);
+        this.userSnippets = this.userSnippets.filter(entry => entry.name !== name);
+        await this.saveSnippets();
+        this.appendOutput(`✓ Deleted snippet ${name}`, 'success');
+        break;
+    
+      default:
+        this.appendOutput('ERROR: Unknown snippets action. Use: list [category], search <text>, show <name>, run <name> [args], save <name>, or delete <name>', 'error');
     }
   }
   
   /**
-   * Execute command from input
+   * The user's saved snippets, read from chrome.storage.local on first use
    */
-  async executeCommand() {
-    const command = this.commandInput.value.trim();
+  async loadSnippets() {
+    if (!this.userSnippets) {
+      const stored = await chrome.storage.local.get(SNIPPETS_KEY);
+      this.userSnippets = stored[SNIPPETS_KEY] || [];
+    }
     
-    if (!command) return;
+    return this.userSnippets;
+  }
+  
+  /**
+   * Write the user's snippets back to chrome.storage.local
+   */
+  async saveSnippets() {
+    await chrome.storage.local.set({ [SNIPPETS_KEY]: this.userSnippets });
+  }
+  
+  /**
+   * Built-in entries followed by the user's own
+   */
+  librarySnippets() {
+    return [...SNIPPET_LIBRARY, ...this.userSnippets];
+  }
+  
+  /**
+   * Look up a library entry by name
+   */
+  findSnippet(name) {
+    if (!name) {
+      throw new Error('Give a snippet name. Use: snippets list');
+    }
     
-    // Add to history
-    this.commandHistory.unshift(command);
-    this.historyIndex = -1;
+    const entry = this.librarySnippets().find(item => item.name === name);
+    if (!entry) {
+      throw new Error(`No snippet ${name}. Use: snippets list or snippets search <text>`);
+    }
     
-    // Display command in output
-    this.appendOutput(`researcher@browser:~$ ${command}`, 'command-line');
+    return entry;
+  }
+  
+  /**
+   * List entries grouped by category
+   */
+  listSnippets(entries, emptyMessage) {
+    if (entries.length === 0) {
+      this.appendOutput(emptyMessage, 'warning');
+      return;
+    }
     
-    // Clear input
-    this.commandInput.value = '';
+    const usage = (entry) => entry.name + (entry.args ? ` ${entry.args}` : '');
+    const width = Math.max(...entries.map(entry => usage(entry).length));
+    const categories = [...new Set(entries.map(entry => entry.category))];
     
-    // Parse and execute
-    await this.parseCommand(command);
+    const lines = categories.flatMap(category => [
+      `${category}:`,
+      ...entries.filter(entry => entry.category === category).map(entry =>
+        `  ${usage(entry).padEnd(width)}  ${entry.description || '(no description)'}` +
+        (SNIPPET_LIBRARY.includes(entry) || entry.tags.length === 0 ? '' : `  [${entry.tags.join(', ')}]`)
+      )
+    ]);
+    this.appendOutput(`Snippets (snippets run <name> [args]):\n${lines.join('\n')}`, 'success');
+  }
+  
+  /**
+   * Run a library entry like a typed snippet, with `args` defined
+   */
+  async runLibrarySnippet(entry, args) {
+    await this.handleSnippetExecution(`const args = ${this.toPageLiteral(args)};\n${entry.code.trim()}`);
+  }
+  
+  /**
+   * Save the last snippet run from the command line under a name
+   * 
+   * Saving over one of the user's entries replaces its code and keeps
+   * any category, description and tags not given again.
+   */
+  async saveSnippet(name, options = {}) {
+    if (!name || !MACRO_NAME_PATTERN.test(name)) {
+      throw new Error('Usage: snippets save <name> [--tags=a,b] [--description=<text>] [--category=<name>]');
+    }
+    if (!this.lastSnippet) {
+      throw new Error('No snippet has run yet this session. Run one, then save it');
+    }
+    if (SNIPPET_LIBRARY.some(entry => entry.name === name)) {
+      throw new Error(`${name} is a built-in snippet; pick another name`);
+    }
     
-    // Scroll to bottom
-    this.output.parentElement.scrollTop = this.output.parentElement.scrollHeight;
+    const previous = this.userSnippets.find(item => item.name === name);
+    const entry = {
+      name,
+      category: typeof options.category === 'string' ? options.category.toLowerCase() : previous?.category || 'saved',
+      description: typeof options.description === 'string' ? options.description : previous?.description || '',
+      tags: typeof options.tags === 'string'
+        ? options.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+        : previous?.tags || [],
+      code: this.lastSnippet
+    };
+    
+    this.userSnippets = [...this.userSnippets.filter(item => item.name !== name), entry];
+    await this.saveSnippets();
+    this.appendOutput(`✓ ${previous ? 'Updated' : 'Saved'} snippet ${name}. Use: snippets run ${name}`, 'success');
   }
   
   /**
-   * Parse command and route to appropriate handler
+   * Handle DOM modification commands
    */
-  async parseCommand(command) {
-    const parts = command.split(/\s+/);
-    const mainCommand = parts[0].toLowerCase();
+  async handleDomCommand(args, options = {}) {
+    this.setStatusIndicator('dom', true);
     
     try {
-      switch(mainCommand) {
-        case 'help':
-          this.showHelp();
-          break;
-          
-        case 'clear':
-          this.clearTerminal();
-          break;
-          
-        case 'scrape':
-          await this.handleScrapeCommand(parts.slice(1));
+      const action = args[0]?.toLowerCase();
+      let changes = null;
+      
+      switch(action) {
+        case 'set':
+          changes = await this.domSetText(args.slice(1), options);
           break;
           
-        case 'dom':
-          await this.handleDomCommand(parts.slice(1));
+        case 'html':
+          changes = await this.domSetHtml(args.slice(1), options);
           break;
           
-        case 'eval':
-        case 'exec':
-        case 'run':
-          await this.handleSnippetExecution(command.substring(mainCommand.length).trim());
+        case 'attr':
+          changes = await this.domSetAttribute(args.slice(1), options);
           break;
           
-        default:
-          // Treat unrecognized commands as JavaScript snippets
-          await this.handleSnippetExecution(command);
-      }
-    } catch (error) {
-      this.appendOutput(`ERROR: ${error.message}`, 'error');
-    }
-  }
-  
-  /**
-   * Display help information
-   */
-  showHelp() {
-    const helpText = `
-═══════════════════════════════════════════════════════════════
-AVAILABLE COMMANDS
-═══════════════════════════════════════════════════════════════
-
-JAVASCRIPT SNIPPET EXECUTION:
-  <javascript code>          Execute JavaScript in page context
-  eval <code>                Explicitly evaluate JavaScript
-  Examples:
-    document.title
-    Array.from(document.links).map(l => l.href)
-    window.location.href
-
-DOM MODIFICATION:
-  dom set <selector> <value>     Set text content of elements
-  dom html <selector> <html>     Set innerHTML of elements
-  dom attr <selector> <attr> <value>  Set attribute
-  dom replace <old> <new>        Replace text in page
-  Examples:
-    dom set h1 "New Heading"
-    dom html #content "<p>Updated</p>"
-    dom attr .button disabled true
-    dom replace "old text" "new text"
-
-SCRAPING (requires validated Target URL):
-  scrape github readme           Fetch README.md
-  scrape github tree             Show repository structure
-  scrape github file <path>      Fetch specific file
-  scrape page text               Extract visible text
-  scrape page links              Extract all links
-  scrape page meta               Extract meta tags
-
-UTILITY:
-  help                          Show this help
-  clear                         Clear terminal output
-
-═══════════════════════════════════════════════════════════════
-ETHICAL USAGE GUIDELINES
-═══════════════════════════════════════════════════════════════
-
-✓ Only operate on tabs you explicitly opened
-✓ Only scrape public repositories and websites
-✓ Respect robots.txt and terms of service
-✓ Use for authorized bug bounty research only
-✓ No automated crawling or rate limit abuse
-
-✗ No authentication bypass attempts
-✗ No private content access
-✗ No data exfiltration
-✗ No malicious code injection
-
-═══════════════════════════════════════════════════════════════
-`;
-    this.appendOutput(helpText, 'success');
+        case 'replace':
+          changes = await this.domReplaceText(args.slice(1), options);
+          break;
+          
+        case 'undo':
+          await this.domUndo();
+          break;
+          
+        case 'redo':
+          await this.domRedo();
+          break;
+          
+        case 'history':
+          this.showDomHistory();
+          break;
+          
+        case 'revert-all':
+          await this.domRevertAll();
+          break;
+          
+        default:
+          this.appendOutput('ERROR: Unknown DOM action. Use: set, html, attr, replace, undo, redo, history, or revert-all', 'error');
+      }
+      
+      if (changes && changes.length > 0) {
+        // The label reads back as the command, options included
+        const optionWords = Object.entries(options).map(([name, value]) =>
+          value === true ? `--${name}` : `--${name}=${this.quoteArgument(value)}`
+        );
+        const words = [args[0], ...optionWords, ...args.slice(1).map(arg => this.quoteArgument(arg))];
+        this.recordDomChanges(['dom', ...words].join(' '), changes);
+      }
+    } finally {
+      this.setStatusIndicator('dom', false);
+    }
   }
   
   /**
-   * Clear terminal output
+   * Set text content of elements
    */
-  clearTerminal() {
-    this.output.innerHTML = '';
-    this.appendOutput('Terminal cleared.', 'success');
+  async domSetText(args, options = {}) {
+    if (args.length < 2) {
+      this.appendOutput('ERROR: Usage: dom set <selector> <text>', 'error');
+      return;
+    }
+    
+    const payload = this.toPageLiteral({
+      selector: args[0],
+      text: args.slice(1).join(' ')
+    });
+    
+    const code = `
+      (() => {
+        ${DOM_PATH_HELPERS}
+        const { selector, text } = ${payload};
+        const elements = Array.from(document.querySelectorAll(selector));
+        // Snapshot innerHTML, not text, so undo restores child elements
+        const targets = elements.map(el => ({ el, path: pathOf(el), before: el.innerHTML }));
+        elements.forEach(el => el.textContent = text);
+        const changes = targets
+          .filter(t => t.path !== null && t.el.isConnected)
+          .map(t => ({ path: t.path, type: 'html', before: t.before, after: t.el.innerHTML }));
+        return { count: elements.length, changes };
+      })()
+    `;
+    
+    const { result } = await this.executeInPage(code, (result, isException) => {
+      this.reportDomResult(result, isException, (count) => `✓ Updated ${count} element(s)`);
+    });
+    return result && result.changes;
   }
   
   /**
-   * Validate target URL for scraping
+   * Set innerHTML of elements
    */
-  validateTargetUrl() {
-    const url = this.targetUrl.value.trim();
-    
-    if (!url) {
-      this.appendOutput('ERROR: Please enter a URL', 'error');
+  async domSetHtml(args, options = {}) {
+    if (args.length < 2) {
+      this.appendOutput('ERROR: Usage: dom html <selector> <html>', 'error');
       return;
     }
     
-    try {
-      const parsedUrl = new URL(url);
-      
-      // Validate protocol
-      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-        throw new Error('Only HTTP and HTTPS protocols are supported');
-      }
-      
-      this.validatedUrl = parsedUrl;
-      this.targetUrl.style.borderColor = 'var(--text-primary)';
-      this.appendOutput(`✓ Target URL validated: ${url}`, 'success');
-      
-    } catch (error) {
-      this.validatedUrl = null;
-      this.targetUrl.style.borderColor = 'var(--text-error)';
-      this.appendOutput(`ERROR: Invalid URL - ${error.message}`, 'error');
-    }
+    const payload = this.toPageLiteral({
+      selector: args[0],
+      html: args.slice(1).join(' ')
+    });
+    
+    const code = `
+      (() => {
+        ${DOM_PATH_HELPERS}
+        const { selector, html } = ${payload};
+        const elements = Array.from(document.querySelectorAll(selector));
+        const targets = elements.map(el => ({ el, path: pathOf(el), before: el.innerHTML }));
+        elements.forEach(el => el.innerHTML = html);
+        const changes = targets
+          .filter(t => t.path !== null && t.el.isConnected)
+          .map(t => ({ path: t.path, type: 'html', before: t.before, after: t.el.innerHTML }));
+        return { count: elements.length, changes };
+      })()
+    `;
+    
+    const { result } = await this.executeInPage(code, (result, isException) => {
+      this.reportDomResult(result, isException, (count) => `✓ Updated HTML of ${count} element(s)`);
+    });
+    return result && result.changes;
   }
   
   /**
-   * Handle scraping commands
+   * Set attribute of elements
    */
-  async handleScrapeCommand(args) {
-    if (!this.validatedUrl) {
-      this.appendOutput('ERROR: Please validate a Target URL first', 'error');
+  async domSetAttribute(args, options = {}) {
+    if (args.length < 3) {
+      this.appendOutput('ERROR: Usage: dom attr <selector> <attribute> <value>', 'error');
       return;
     }
     
-    this.setStatusIndicator('scraping', true);
+    const payload = this.toPageLiteral({
+      selector: args[0],
+      attribute: args[1],
+      value: args.slice(2).join(' ')
+    });
     
-    try {
-      const type = args[0]?.toLowerCase();
-      
-      switch(type) {
-        case 'github':
-          await this.scrapeGitHub(args.slice(1));
-          break;
-          
-        case 'page':
-          await this.scrapePage(args.slice(1));
-          break;
-          
-        default:
-          this.appendOutput('ERROR: Unknown scrape type. Use: github or page', 'error');
-      }
-    } finally {
-      this.setStatusIndicator('scraping', false);
-    }
+    const code = `
+      (() => {
+        ${DOM_PATH_HELPERS}
+        const { selector, attribute, value } = ${payload};
+        const elements = Array.from(document.querySelectorAll(selector));
+        const changes = elements.map(el => ({
+          path: pathOf(el),
+          type: 'attr',
+          name: attribute,
+          before: el.getAttribute(attribute),
+          after: value
+        }));
+        elements.forEach(el => el.setAttribute(attribute, value));
+        return { count: elements.length, changes: changes.filter(c => c.path !== null) };
+      })()
+    `;
+    
+    const { result } = await this.executeInPage(code, (result, isException) => {
+      this.reportDomResult(result, isException, (count) => `✓ Updated attribute of ${count} element(s)`);
+    });
+    return result && result.changes;
   }
   
   /**
-   * Scrape GitHub repository (public only)
+   * Replace text in page
+   *
+   * Matches literally by default. --regex treats <old> as a regular
+   * expression (flags from --flags, default "g") and enables $1-style
+   * references in <new>.
    */
-  async scrapeGitHub(args) {
-    const action = args[0]?.toLowerCase();
+  async domReplaceText(args, options = {}) {
+    if (args.length < 2 || !args[0]) {
+      this.appendOutput('ERROR: Usage: dom replace <old text> <new text> [--regex] [--flags=<flags>]', 'error');
+      return;
+    }
     
-    // Parse GitHub URL
-    const url = this.validatedUrl;
-    const pathParts = url.pathname.split('/').filter(p => p);
+    const search = args[0];
+    const replacement = args.slice(1).join(' ');
+    const useRegex = options.regex === true;
+    const flags = options.flags === undefined ? 'g' : String(options.flags);
     
-    if (!url.hostname.includes('github.com') || pathParts.length < 2) {
-      this.appendOutput('ERROR: Invalid GitHub repository URL', 'error');
+    if (options.flags !== undefined && !useRegex) {
+      this.appendOutput('ERROR: --flags requires --regex', 'error');
       return;
     }
     
-    const owner = pathParts[0];
-    const repo = pathParts[1];
+    if (useRegex) {
+      // Validate here so mistakes are reported before touching the page
+      try {
+        new RegExp(search, flags);
+      } catch (error) {
+        this.appendOutput(`ERROR: ${error.message}`, 'error');
+        return;
+      }
+    }
     
-    this.appendOutput(`Scraping GitHub: ${owner}/${repo}`, 'success');
+    const payload = this.toPageLiteral({ search, replacement, useRegex, flags });
     
-    switch(action) {
-      case 'readme':
-        await this.fetchGitHubFile(owner, repo, 'README.md');
-        break;
-        
-      case 'tree':
-        await this.fetchGitHubTree(owner, repo);
-        break;
+    const code = `
+      (() => {
+        ${DOM_PATH_HELPERS}
+        const { search, replacement, useRegex, flags } = ${payload};
+        // Separate non-global matcher so test() carries no lastIndex state
+        const matcher = useRegex ? new RegExp(search, flags.replace('g', '')) : null;
+        const walker = document.createTreeWalker(
+          document.body,
+          NodeFilter.SHOW_TEXT,
+          null,
+          false
+        );
         
-      case 'file':
-        const filePath = args.slice(1).join(' ');
-        if (!filePath) {
-          this.appendOutput('ERROR: Please specify a file path', 'error');
-          return;
+        const nodesToReplace = [];
+        while(walker.nextNode()) {
+          const node = walker.currentNode;
+          const value = node.nodeValue;
+          if (value && (useRegex ? matcher.test(value) : value.includes(search))) {
+            nodesToReplace.push(node);
+          }
         }
-        await this.fetchGitHubFile(owner, repo, filePath);
-        break;
         
-      default:
-        this.appendOutput('ERROR: Unknown GitHub action. Use: readme, tree, or file <path>', 'error');
-    }
+        const changes = nodesToReplace.map(node => {
+          const before = node.nodeValue;
+          node.nodeValue = useRegex
+            ? before.replace(new RegExp(search, flags), replacement)
+            : before.split(search).join(replacement);
+          return { path: pathOf(node), type: 'text', before, after: node.nodeValue };
+        });
+        
+        return { count: nodesToReplace.length, changes: changes.filter(c => c.path !== null) };
+      })()
+    `;
+    
+    const { result } = await this.executeInPage(code, (result, isException) => {
+      this.reportDomResult(result, isException, (count) => `✓ Replaced text in ${count} location(s)`, 'WARNING: Text not found in page');
+    });
+    return result && result.changes;
   }
   
   /**
-   * Fetch file from GitHub (public repos only)
+   * Push a DOM command's recorded changes onto the undo journal
+   *
+   * A new modification invalidates anything that was undone before it.
    */
-  async fetchGitHubFile(owner, repo, filePath) {
-    const rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/main/${filePath}`;
+  recordDomChanges(label, changes) {
+    this.domUndoStack.push({ label, changes, time: new Date() });
+    this.domRedoStack = [];
     
-    try {
-      const response = await fetch(rawUrl);
-      
-      if (!response.ok) {
-        // Try master branch if main fails
-        const masterUrl = `https://raw.githubusercontent.com/${owner}/${repo}/master/${filePath}`;
-        const masterResponse = await fetch(masterUrl);
-        
-        if (!masterResponse.ok) {
-          throw new Error(`File not found: ${filePath}`);
-        }
-        
-        const content = await masterResponse.text();
-        this.displayFileContent(filePath, content);
-        return;
-      }
-      
-      const content = await response.text();
-      this.displayFileContent(filePath, content);
-      
-    } catch (error) {
-      this.appendOutput(`ERROR: ${error.message}`, 'error');
+    if (this.domUndoStack.length > DOM_JOURNAL_LIMIT) {
+      this.domUndoStack.shift();
     }
   }
   
   /**
-   * Fetch repository tree structure
+   * Undo the most recent DOM command
    */
-  async fetchGitHubTree(owner, repo) {
-    // Note: This would require GitHub API token for full functionality
-    // For demo purposes, we'll show a limited approach
-    this.appendOutput('INFO: Tree view requires GitHub API access', 'warning');
-    this.appendOutput('Attempting to fetch common files...', 'success');
-    
-    const commonFiles = [
-      'README.md',
-      'package.json',
-      'manifest.json',
-      'SECURITY.md',
-      'LICENSE'
-    ];
+  async domUndo() {
+    const entry = this.domUndoStack.pop();
     
-    for (const file of commonFiles) {
-      const rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/main/${file}`;
-      try {
-        const response = await fetch(rawUrl);
-        if (response.ok) {
-          this.appendOutput(`  ✓ ${file}`, 'success');
-        }
-      } catch (e) {
-        // Silently skip missing files
-      }
+    if (!entry) {
+      this.appendOutput('WARNING: Nothing to undo', 'warning');
+      return;
     }
+    
+    // Restore in reverse so overlapping changes unwind correctly
+    const result = await this.applyDomChanges(entry.changes.slice().reverse(), 'before');
+    this.domRedoStack.push(entry);
+    this.reportJournalResult(`✓ Undid: ${entry.label}`, result);
   }
   
   /**
-   * Display file content in terminal
+   * Re-apply the most recently undone DOM command
    */
-  displayFileContent(fileName, content) {
-    this.appendOutput(`\n─── ${fileName} ───`, 'success');
+  async domRedo() {
+    const entry = this.domRedoStack.pop();
     
-    // Limit display length for large files
-    const maxLength = 5000;
-    const displayContent = content.length > maxLength 
-      ? content.substring(0, maxLength) + '\n\n[... truncated ...]'
-      : content;
+    if (!entry) {
+      this.appendOutput('WARNING: Nothing to redo', 'warning');
+      return;
+    }
     
-    this.appendOutput(displayContent, 'code');
-    this.appendOutput(`─── End of ${fileName} ───\n`, 'success');
+    const result = await this.applyDomChanges(entry.changes, 'after');
+    this.domUndoStack.push(entry);
+    this.reportJournalResult(`✓ Redid: ${entry.label}`, result);
   }
   
   /**
-   * Scrape webpage content
+   * Undo every journaled DOM command, newest first
    */
-  async scrapePage(args) {
-    const action = args[0]?.toLowerCase();
-    
-    switch(action) {
-      case 'text':
-        await this.scrapePageText();
-        break;
-        
-      case 'links':
-        await this.scrapePageLinks();
-        break;
-        
-      case 'meta':
-        await this.scrapePageMeta();
-        break;
-        
-      default:
-        this.appendOutput('ERROR: Unknown page action. Use: text, links, or meta', 'error');
+  async domRevertAll() {
+    if (this.domUndoStack.length === 0) {
+      this.appendOutput('WARNING: Nothing to revert', 'warning');
+      return;
     }
+    
+    const entries = this.domUndoStack.slice().reverse();
+    const changes = entries.flatMap(entry => entry.changes.slice().reverse());
+    const result = await this.applyDomChanges(changes, 'before');
+    
+    this.domUndoStack = [];
+    this.domRedoStack.push(...entries);
+    this.reportJournalResult(`✓ Reverted ${entries.length} DOM command(s)`, result);
   }
   
   /**
-   * Scrape visible page text
+   * List journaled DOM commands
    */
-  async scrapePageText() {
-    const code = `
-      (() => {
-        const body = document.body;
-        const text = body.innerText || body.textContent;
-        return { text: text.substring(0, 5000) }; // Limit output
-      })()
-    `;
+  showDomHistory() {
+    if (this.domUndoStack.length === 0 && this.domRedoStack.length === 0) {
+      this.appendOutput('No DOM modifications recorded since the page loaded.', 'success');
+      return;
+    }
     
-    this.executeInPage(code, (result) => {
-      if (result && result.text) {
-        this.appendOutput('\n─── Page Text ───', 'success');
-        this.appendOutput(result.text, 'success');
-        this.appendOutput('─── End ───\n', 'success');
-      }
+    const lines = ['DOM history (oldest first):'];
+    this.domUndoStack.forEach((entry, i) => {
+      lines.push(`  ${i + 1}. [${entry.time.toLocaleTimeString()}] ${entry.label} (${entry.changes.length} node(s))`);
+    });
+    
+    // Redo stack is popped from the end, so the next redo is listed first
+    this.domRedoStack.slice().reverse().forEach(entry => {
+      lines.push(`     (undone) ${entry.label} (${entry.changes.length} node(s))`);
     });
+    
+    this.appendOutput(lines.join('\n'), 'success');
   }
   
   /**
-   * Scrape page links
+   * Write journaled values back into the page
+   *
+   * `side` selects which snapshot to restore ('before' for undo, 'after'
+   * for redo). A node is only touched if it still holds the opposite
+   * snapshot, so changes the page made since are never overwritten.
    */
-  async scrapePageLinks() {
+  async applyDomChanges(changes, side) {
+    const payload = this.toPageLiteral({ changes, side });
+    
     const code = `
       (() => {
-        const links = Array.from(document.querySelectorAll('a[href]'));
-        return {
-          count: links.length,
-          links: links.slice(0, 100).map(a => ({
-            text: a.textContent.trim().substring(0, 50),
-            href: a.href
-          }))
+        ${DOM_PATH_HELPERS}
+        const { changes, side } = ${payload};
+        const read = (node, change) => {
+          if (change.type === 'html') return node.innerHTML;
+          if (change.type === 'attr') return node.getAttribute(change.name);
+          return node.nodeValue;
+        };
+        const write = (node, change, value) => {
+          if (change.type === 'html') node.innerHTML = value;
+          else if (change.type === 'text') node.nodeValue = value;
+          else if (value === null) node.removeAttribute(change.name);
+          else node.setAttribute(change.name, value);
         };
+        
+        let applied = 0;
+        let skipped = 0;
+        changes.forEach(change => {
+          const node = nodeAt(change.path);
+          const expectedType = change.type === 'text' ? Node.TEXT_NODE : Node.ELEMENT_NODE;
+          const expected = side === 'before' ? change.after : change.before;
+          
+          if (!node || node.nodeType !== expectedType || read(node, change) !== expected) {
+            skipped++;
+            return;
+          }
+          write(node, change, change[side]);
+          applied++;
+        });
+        
+        return { applied, skipped };
       })()
     `;
     
-    this.executeInPage(code, (result) => {
-      if (result && result.links) {
-        this.appendOutput(`\nFound ${result.count} links (showing first 100):`, 'success');
-        result.links.forEach(link => {
-          this.appendOutput(`  ${link.text} → ${link.href}`, 'success');
-        });
-      }
-    });
+    const { result, isException } = await this.executeInPage(code);
+    return isException ? null : result;
   }
   
   /**
-   * Scrape page meta tags
+   * Report the outcome of an undo, redo or revert
    */
-  async scrapePageMeta() {
-    const code = `
-      (() => {
-        const metas = Array.from(document.querySelectorAll('meta'));
-        return {
-          title: document.title,
-          metas: metas.map(m => ({
-            name: m.getAttribute('name') || m.getAttribute('property'),
-            content: m.getAttribute('content')
-          })).filter(m => m.name)
-        };
-      })()
-    `;
+  reportJournalResult(message, result) {
+    if (!result) {
+      this.appendOutput('ERROR: Could not apply DOM history to the page', 'error');
+      return;
+    }
     
-    this.executeInPage(code, (result) => {
-      if (result) {
-        this.appendOutput(`\nTitle: ${result.title}`, 'success');
-        this.appendOutput('\nMeta Tags:', 'success');
-        result.metas.forEach(meta => {
-          this.appendOutput(`  ${meta.name}: ${meta.content}`, 'success');
-        });
-      }
-    });
+    this.appendOutput(`${message} (${result.applied} node(s) restored)`, 'success');
+    
+    if (result.skipped > 0) {
+      this.appendOutput(`WARNING: ${result.skipped} node(s) changed since and were left untouched`, 'warning');
+    }
+  }
+  
+  /**
+   * Drop the DOM journal after the inspected page navigates
+   */
+  invalidateDomJournal() {
+    if (this.domUndoStack.length === 0 && this.domRedoStack.length === 0) return;
+    
+    this.domUndoStack = [];
+    this.domRedoStack = [];
+    this.appendOutput('INFO: Page navigated - DOM history cleared', 'warning');
+  }
+  
+  /**
+   * Quote an argument so it reads back the same through tokenize()
+   */
+  quoteArgument(arg) {
+    return arg === '' || /[\s"'\\]/.test(arg) ? JSON.stringify(arg) : arg;
+  }
+  
+  /**
+   * Report the outcome of a DOM command's page-side script
+   */
+  reportDomResult(result, isException, successMessage, emptyMessage = 'WARNING: No elements matched selector') {
+    if (isException) {
+      this.appendOutput(`EXCEPTION: ${this.describeException(isException)}`, 'error');
+    } else if (result && result.count > 0) {
+      this.appendOutput(successMessage(result.count), 'success');
+    } else {
+      this.appendOutput(emptyMessage, 'warning');
+    }
   }
   
   /**
-   * Handle DOM modification commands
+   * Serialize a value for embedding in page-side code
+   *
+   * JSON is valid JavaScript literal syntax, so user input always arrives
+   * in the page as data and is never parsed as code. U+2028/U+2029 are
+   * escaped for engines that treat them as line terminators.
    */
-  async handleDomCommand(args) {
-    this.setStatusIndicator('dom', true);
+  toPageLiteral(value) {
+    return JSON.stringify(value)
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+  }
+  
+  /**
+   * Handle JavaScript snippet execution
+   */
+  async handleSnippetExecution(code) {
+    if (!code) {
+      this.appendOutput('ERROR: No code provided', 'error');
+      return;
+    }
+    
+    this.setStatusIndicator('snippet', true);
     
     try {
-      const action = args[0]?.toLowerCase();
+      // Syntax-check and split off the completion value before anything
+      // reaches the page
+      const analysis = await this.analyzeSnippet(code);
       
-      switch(action) {
-        case 'set':
-          await this.domSetText(args.slice(1));
+      if (!analysis.ok) {
+        this.reportSyntaxError(code, analysis);
+        return;
+      }
+      
+      // Run as an async function body so statements, loops, declarations
+      // and top-level await work; the completion expression is returned
+      const body = analysis.completion === null
+        ? analysis.statements
+        : `${analysis.statements}\nreturn (${analysis.completion}\n);`;
+      
+      // Piped, the result goes to the filters as data rather than to the
+      // inspector
+      const outcome = await this.runAsyncInPage(body, {
+        helpers: this.pipeCapture ? PIPE_VALUE_HELPERS : PREVIEW_HELPERS,
+        timeout: this.settings.timeout,
+        onPending: () => this.appendOutput('Waiting for promise to settle... (type \'cancel\' to stop)', 'success')
+      });
+      
+      switch(outcome.state) {
+        case 'fulfilled':
+          if (!this.pipeValue(outcome.result)) {
+            this.appendInspector(outcome.result);
+          }
           break;
-          
-        case 'html':
-          await this.domSetHtml(args.slice(1));
+        case 'rejected':
+          this.appendOutput(`ERROR: ${outcome.error}`, 'error');
           break;
-          
-        case 'attr':
-          await this.domSetAttribute(args.slice(1));
+        case 'exception':
+          this.appendOutput(`EXCEPTION: ${outcome.error}`, 'error');
           break;
-          
-        case 'replace':
-          await this.domReplaceText(args.slice(1));
+        case 'timeout':
+          this.appendOutput(`ERROR: Snippet did not settle within ${this.settings.timeout} ms (see 'set timeout')`, 'error');
+          break;
+        case 'cancelled':
+          this.appendOutput('WARNING: Snippet cancelled; any work already started in the page continues', 'warning');
+          break;
+        case 'missing':
+          this.appendOutput('ERROR: Page navigated before the snippet settled', 'error');
           break;
-          
-        default:
-          this.appendOutput('ERROR: Unknown DOM action. Use: set, html, attr, or replace', 'error');
       }
+      
     } finally {
-      this.setStatusIndicator('dom', false);
+      this.setStatusIndicator('snippet', false);
     }
   }
   
   /**
-   * Set text content of elements
+   * Run an async function body in the page and wait for it to settle
+   * 
+   * inspectedWindow.eval cannot return a Promise, so the page-side
+   * wrapper parks the settled value in a result slot (a Map under a
+   * Symbol.for key on window) which is then polled. The RUN badge is held
+   * for the whole wait. Resolves to { state, result | error } where state
+   * is fulfilled, rejected, exception, timeout, cancelled or missing.
+   * `helpers` is page code defining preview(value), which a fulfilled
+   * result passes through before the JSON round trip (PREVIEW_HELPERS
+   * for the inspector); without it the raw value is returned.
    */
-  async domSetText(args) {
-    if (args.length < 2) {
-      this.appendOutput('ERROR: Usage: dom set <selector> <text>', 'error');
-      return;
-    }
+  async runAsyncInPage(body, { timeout = 0, onPending = null, helpers = 'const preview = (value) => value;' } = {}) {
+    const id = `${Date.now()}-${++this.snippetCounter}`;
+    const payload = this.toPageLiteral(id);
     
-    const selector = args[0];
-    const text = args.slice(1).join(' ');
+    const startCode = `
+      (() => {
+        ${helpers}
+        const key = Symbol.for('securityResearchTerminal.results');
+        const slots = window[key] || (window[key] = new Map());
+        const id = ${payload};
+        slots.set(id, { state: 'pending' });
+        (async () => {
+${body}
+        })().then(
+          (result) => { if (slots.has(id)) slots.set(id, { state: 'fulfilled', result: preview(result) }); },
+          (error) => {
+            if (slots.has(id)) {
+              slots.set(id, { state: 'rejected', error: error instanceof Error ? error.message : String(error) });
+            }
+          }
+        );
+      })()
+    `;
     
-    const code = `
+    const readCode = `
       (() => {
-        const elements = document.querySelectorAll('${selector.replace(/'/g, "\\'")}');
-        elements.forEach(el => el.textContent = '${text.replace(/'/g, "\\'")}');
-        return { count: elements.length };
+        const slots = window[Symbol.for('securityResearchTerminal.results')];
+        const slot = slots && slots.get(${payload});
+        if (!slot) return { state: 'missing' };
+        if (slot.state !== 'pending') slots.delete(${payload});
+        return slot;
       })()
     `;
     
-    this.executeInPage(code, (result) => {
-      if (result && result.count > 0) {
-        this.appendOutput(`✓ Updated ${result.count} element(s)`, 'success');
-      } else {
-        this.appendOutput('WARNING: No elements matched selector', 'warning');
+    this.beginExecution();
+    
+    try {
+      const start = await this.executeInPage(startCode);
+      if (start.isException) {
+        return { state: 'exception', error: this.describeException(start.isException) };
       }
-    });
+      
+      return await new Promise((resolve) => {
+        const startedAt = Date.now();
+        let timer = null;
+        let notified = false;
+        
+        const finish = (outcome) => {
+          clearTimeout(timer);
+          this.pendingSnippets.delete(id);
+          resolve(outcome);
+        };
+        
+        const poll = async () => {
+          const { result, isException } = await this.executeInPage(readCode);
+          
+          // Cancelled while this poll was in flight
+          if (!this.pendingSnippets.has(id)) return;
+          
+          if (isException) {
+            finish({ state: 'exception', error: this.describeException(isException) });
+          } else if (result && result.state !== 'pending') {
+            finish(result);
+          } else if (timeout > 0 && Date.now() - startedAt >= timeout) {
+            this.discardResultSlot(id);
+            finish({ state: 'timeout' });
+          } else {
+            if (!notified && onPending) {
+              notified = true;
+              onPending();
+            }
+            timer = setTimeout(poll, SNIPPET_POLL_INTERVAL);
+          }
+        };
+        
+        this.pendingSnippets.set(id, {
+          cancel: () => {
+            this.discardResultSlot(id);
+            finish({ state: 'cancelled' });
+          }
+        });
+        
+        poll();
+      });
+    } finally {
+      this.endExecution();
+    }
   }
   
   /**
-   * Set innerHTML of elements
+   * Drop a result slot so a late settlement is not kept in the page
    */
-  async domSetHtml(args) {
-    if (args.length < 2) {
-      this.appendOutput('ERROR: Usage: dom html <selector> <html>', 'error');
-      return;
-    }
-    
-    const selector = args[0];
-    const html = args.slice(1).join(' ');
-    
-    const code = `
+  discardResultSlot(id) {
+    this.executeInPage(`
       (() => {
-        const elements = document.querySelectorAll('${selector.replace(/'/g, "\\'")}');
-        elements.forEach(el => el.innerHTML = '${html.replace(/'/g, "\\'")}');
-        return { count: elements.length };
+        const slots = window[Symbol.for('securityResearchTerminal.results')];
+        if (slots) slots.delete(${this.toPageLiteral(id)});
       })()
-    `;
-    
-    this.executeInPage(code, (result) => {
-      if (result && result.count > 0) {
-        this.appendOutput(`✓ Updated HTML of ${result.count} element(s)`, 'success');
-      } else {
-        this.appendOutput('WARNING: No elements matched selector', 'warning');
-      }
-    });
+    `);
   }
   
   /**
-   * Set attribute of elements
+   * Stop waiting for every pending snippet
    */
-  async domSetAttribute(args) {
-    if (args.length < 3) {
-      this.appendOutput('ERROR: Usage: dom attr <selector> <attribute> <value>', 'error');
+  cancelSnippets() {
+    if (this.pendingSnippets.size === 0) {
+      this.appendOutput('No pending snippet to cancel', 'warning');
       return;
     }
     
-    const selector = args[0];
-    const attr = args[1];
-    const value = args.slice(2).join(' ');
-    
-    const code = `
-      (() => {
-        const elements = document.querySelectorAll('${selector.replace(/'/g, "\\'")}');
-        elements.forEach(el => el.setAttribute('${attr.replace(/'/g, "\\'")}', '${value.replace(/'/g, "\\'")}'));
-        return { count: elements.length };
-      })()
-    `;
+    Array.from(this.pendingSnippets.values()).forEach(pending => pending.cancel());
+  }
+  
+  /**
+   * Ask the sandbox to syntax-check a snippet
+   * 
+   * Resolves to { ok, statements, completion } or, for invalid code,
+   * { ok: false, message, line, column }.
+   */
+  async analyzeSnippet(code) {
+    await this.sandboxReady;
     
-    this.executeInPage(code, (result) => {
-      if (result && result.count > 0) {
-        this.appendOutput(`✓ Updated attribute of ${result.count} element(s)`, 'success');
-      } else {
-        this.appendOutput('WARNING: No elements matched selector', 'warning');
-      }
+    return new Promise((resolve, reject) => {
+      const id = ++this.sandboxRequestId;
+      const timer = setTimeout(() => {
+        this.sandboxRequests.delete(id);
+        reject(new Error('Snippet analyzer did not respond'));
+      }, 5000);
+      
+      this.sandboxRequests.set(id, (response) => {
+        clearTimeout(timer);
+        resolve(response);
+      });
+      
+      this.sandboxFrame.contentWindow.postMessage({ id, type: 'ANALYZE_SNIPPET', code }, '*');
     });
   }
   
   /**
-   * Replace text in page
+   * Route analyzer responses to their pending requests
    */
-  async domReplaceText(args) {
-    if (args.length < 2) {
-      this.appendOutput('ERROR: Usage: dom replace <old text> <new text>', 'error');
-      return;
-    }
-    
-    const oldText = args[0];
-    const newText = args.slice(1).join(' ');
-    
-    const code = `
-      (() => {
-        let count = 0;
-        const walker = document.createTreeWalker(
-          document.body,
-          NodeFilter.SHOW_TEXT,
-          null,
-          false
-        );
-        
-        const nodesToReplace = [];
-        while(walker.nextNode()) {
-          const node = walker.currentNode;
-          if (node.nodeValue && node.nodeValue.includes('${oldText.replace(/'/g, "\\'")}')) {
-            nodesToReplace.push(node);
-          }
-        }
-        
-        nodesToReplace.forEach(node => {
-          node.nodeValue = node.nodeValue.replace(
-            new RegExp('${oldText.replace(/'/g, "\\'")}', 'g'),
-            '${newText.replace(/'/g, "\\'")}'
-          );
-          count++;
-        });
-        
-        return { count };
-      })()
-    `;
+  handleSandboxMessage(e) {
+    if (!this.sandboxFrame || e.source !== this.sandboxFrame.contentWindow) return;
     
-    this.executeInPage(code, (result) => {
-      if (result && result.count > 0) {
-        this.appendOutput(`✓ Replaced text in ${result.count} location(s)`, 'success');
-      } else {
-        this.appendOutput('WARNING: Text not found in page', 'warning');
-      }
-    });
+    const resolve = this.sandboxRequests.get(e.data && e.data.id);
+    if (resolve) {
+      this.sandboxRequests.delete(e.data.id);
+      resolve(e.data);
+    }
   }
   
   /**
-   * Handle JavaScript snippet execution
+   * Show a snippet syntax error with the offending line marked
    */
-  async handleSnippetExecution(code) {
-    if (!code) {
-      this.appendOutput('ERROR: No code provided', 'error');
+  reportSyntaxError(code, analysis) {
+    if (analysis.line === null) {
+      this.appendOutput(`SYNTAX ERROR: ${analysis.message}`, 'error');
       return;
     }
     
-    this.setStatusIndicator('snippet', true);
+    // Errors at end of input point just past the snippet; clamp to it
+    const lines = code.split('\n');
+    const lineNumber = Math.min(Math.max(analysis.line, 1), lines.length);
+    const lineText = lines[lineNumber - 1];
+    const column = lineNumber === analysis.line
+      ? analysis.column
+      : lineText.length + 1;
+    const gutter = `${lineNumber} | `;
     
-    try {
-      // Wrap code to capture return value
-      const wrappedCode = `
-        (() => {
-          try {
-            const result = ${code};
-            return { success: true, result };
-          } catch (error) {
-            return { success: false, error: error.message };
-          }
-        })()
-      `;
-      
-      this.executeInPage(wrappedCode, (result, isException) => {
-        if (isException) {
-          this.appendOutput(`EXCEPTION: ${result}`, 'error');
-        } else if (result && !result.success) {
-          this.appendOutput(`ERROR: ${result.error}`, 'error');
-        } else if (result && result.result !== undefined) {
-          this.appendOutput(JSON.stringify(result.result, null, 2), 'success');
-        } else {
-          this.appendOutput('undefined', 'success');
-        }
-      });
-      
-    } finally {
-      this.setStatusIndicator('snippet', false);
-    }
+    this.appendOutput(
+      `SYNTAX ERROR: ${analysis.message} (line ${lineNumber}, column ${column})\n` +
+      `  ${gutter}${lineText}\n` +
+      `  ${' '.repeat(gutter.length + column - 1)}^`,
+      'error'
+    );
+  }
+  
+  /**
+   * Extract a readable message from inspectedWindow.eval exception info
+   */
+  describeException(exceptionInfo) {
+    const info = typeof exceptionInfo === 'object' ? exceptionInfo : {};
+    return info.value || info.description || 'Page evaluation failed';
   }
   
   /**
@@ -732,20 +9235,60 @@ ETHICAL USAGE GUIDELINES
    * - Requires DevTools to be open
    * - Is the same mechanism used by Chrome Console
    * - Cannot access extension APIs or cross-origin data
+   * 
+   * Returns a promise resolving to { result, isException } after the
+   * callback has run, so callers can await completion. `options` go to
+   * inspectedWindow.eval, e.g. { frameURL } to run in an iframe.
+   * 
+   * Pages (and frames) outside the saved scope are refused: the code is
+   * not run and the callback gets an E_SCOPE exception explaining why.
    */
-  executeInPage(code, callback) {
-    chrome.runtime.sendMessage({ type: 'EXECUTION_START' });
+  async executeInPage(code, callback, options = {}) {
+    const violation = await this.inspectedScopeViolation(options);
+    if (violation) {
+      const isException = { isError: true, code: 'E_SCOPE', description: violation };
+      if (callback) {
+        callback(undefined, isException);
+      }
+      return { result: undefined, isException };
+    }
     
-    chrome.devtools.inspectedWindow.eval(
-      code,
-      (result, isException) => {
-        chrome.runtime.sendMessage({ type: 'EXECUTION_END' });
-        
-        if (callback) {
-          callback(result, isException);
+    return new Promise((resolve) => {
+      this.beginExecution();
+      
+      chrome.devtools.inspectedWindow.eval(
+        code,
+        options,
+        (result, isException) => {
+          this.endExecution();
+          
+          if (callback) {
+            callback(result, isException);
+          }
+          resolve({ result, isException });
         }
-      }
-    );
+      );
+    });
+  }
+  
+  /**
+   * Tell the background worker an execution started, for the RUN badge
+   */
+  beginExecution() {
+    chrome.runtime.sendMessage({
+      type: 'EXECUTION_START',
+      tabId: chrome.devtools.inspectedWindow.tabId
+    });
+  }
+  
+  /**
+   * Tell the background worker an execution finished
+   */
+  endExecution() {
+    chrome.runtime.sendMessage({
+      type: 'EXECUTION_END',
+      tabId: chrome.devtools.inspectedWindow.tabId
+    });
   }
   
   /**
@@ -764,6 +9307,15 @@ ETHICAL USAGE GUIDELINES
       case 'scraping':
         element = this.scrapeStatus;
         break;
+      case 'capture':
+        element = this.captureStatus;
+        break;
+      case 'trace':
+        element = this.traceStatus;
+        break;
+      case 'messages':
+        element = this.messageStatus;
+        break;
     }
     
     if (element) {
@@ -781,17 +9333,188 @@ ETHICAL USAGE GUIDELINES
     }
   }
   
+  /**
+   * Render a page value preview as a collapsible inspector tree
+   */
+  appendInspector(preview) {
+    const result = document.createElement('div');
+    result.className = 'command-result success inspector';
+    result.appendChild(this.createInspectorNode(null, preview, new Set()));
+    
+    this.appendEntry(result, preview.description);
+  }
+  
+  /**
+   * Display rows as a table; the transcript gets them tab separated
+   */
+  appendTable(headers, rows) {
+    // Piped, the rows go on as objects keyed by the headers
+    if (this.pipeValue(rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]]))))) return;
+    
+    const result = document.createElement('div');
+    result.className = 'command-result success';
+    
+    const table = document.createElement('table');
+    table.className = 'table-output';
+    
+    const headRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+      const cell = document.createElement('th');
+      cell.textContent = header;
+      headRow.appendChild(cell);
+    });
+    
+    const body = table.createTBody();
+    rows.forEach(row => {
+      const tableRow = body.insertRow();
+      row.forEach(value => {
+        tableRow.insertCell().textContent = String(value ?? '');
+      });
+    });
+    
+    result.appendChild(table);
+    
+    this.appendEntry(result, [headers, ...rows].map(row => row.join('\t')).join('\n'));
+  }
+  
+  /**
+   * Build one inspector row; expandable rows fetch their entries from
+   * the page on first open
+   */
+  createInspectorNode(name, preview, ancestors, separator = ': ') {
+    const node = document.createElement('div');
+    node.className = 'inspector-node';
+    
+    const line = document.createElement('div');
+    line.className = 'inspector-line';
+    
+    // Expanding an ancestor again would loop forever
+    const circular = preview.handle !== undefined && ancestors.has(preview.handle);
+    const expandable = preview.handle !== undefined && !circular;
+    
+    const toggle = this.createSpan('inspector-toggle', expandable ? '▶' : ' ');
+    line.appendChild(toggle);
+    
+    if (name !== null) {
+      line.appendChild(this.createSpan('inspector-key', `${name}${separator}`));
+    }
+    
+    line.appendChild(circular
+      ? this.createSpan('preview-cycle', '[Circular]')
+      : this.createSpan(`preview-${preview.type}`, preview.description));
+    node.appendChild(line);
+    
+    if (expandable) {
+      const children = document.createElement('div');
+      children.className = 'inspector-children';
+      children.hidden = true;
+      node.appendChild(children);
+      
+      const childAncestors = new Set(ancestors).add(preview.handle);
+      let loaded = false;
+      
+      line.classList.add('expandable');
+      line.addEventListener('click', () => {
+        children.hidden = !children.hidden;
+        toggle.textContent = children.hidden ? '▶' : '▼';
+        
+        if (!children.hidden && !loaded) {
+          loaded = true;
+          this.loadInspectorEntries(preview.handle, children, childAncestors, 0);
+        }
+      });
+    }
+    
+    return node;
+  }
+  
+  /**
+   * Fetch one page of an object's entries into an inspector row
+   */
+  async loadInspectorEntries(handle, container, ancestors, offset) {
+    const code = `
+      (() => {
+        ${PREVIEW_HELPERS}
+        return expand(${this.toPageLiteral(handle)}, ${this.toPageLiteral(offset)});
+      })()
+    `;
+    
+    const { result, isException } = await this.executeInPage(code);
+    
+    if (isException || !result) {
+      container.appendChild(this.createSpan('preview-cycle', '(object no longer available in the page)'));
+      return;
+    }
+    
+    result.entries.forEach(entry => {
+      container.appendChild(this.createInspectorNode(entry.name, entry.value, ancestors, entry.separator));
+    });
+    
+    if (result.remaining > 0) {
+      const more = document.createElement('div');
+      more.className = 'inspector-line expandable inspector-more';
+      more.textContent = `… ${result.remaining} more`;
+      more.addEventListener('click', () => {
+        more.remove();
+        this.loadInspectorEntries(handle, container, ancestors, offset + result.entries.length);
+      });
+      container.appendChild(more);
+    }
+  }
+  
+  /**
+   * Create a span with a class and text content
+   */
+  createSpan(className, text) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    return span;
+  }
+  
   /**
    * Append output to terminal
    */
   appendOutput(text, type = 'success') {
-    const entry = document.createElement('div');
-    entry.className = 'command-entry';
+    // Piped, printed results are captured for the filters; errors and
+    // warnings are still shown
+    if (this.pipeCapture && (type === 'success' || type === 'code')) {
+      this.pipeCapture.push({ text });
+      return;
+    }
+    
+    // Lets a macro tell that its step failed
+    if (type === 'error') {
+      this.errorCount++;
+    }
     
+    this.appendBackgroundOutput(text, type);
+  }
+  
+  /**
+   * Append output no command asked for: sink hits, monitored messages and
+   * navigation warnings arrive on timers and events, possibly while a
+   * macro step or pipeline is awaited. They are always shown, never piped,
+   * and never count as the running step's error.
+   */
+  appendBackgroundOutput(text, type = 'success') {
     const result = document.createElement('div');
     result.className = `command-result ${type}`;
     result.textContent = text;
     
+    this.appendEntry(result, text);
+  }
+  
+  /**
+   * Add a result element to the output as one entry; `text` is what the
+   * transcript and finding evidence record for it
+   */
+  appendEntry(result, text) {
+    const entry = document.createElement('div');
+    entry.className = 'command-entry';
+    entry.dataset.transcript = this.transcript.length;
+    this.transcript.push(text);
+    
     entry.appendChild(result);
     this.output.appendChild(entry);
   }
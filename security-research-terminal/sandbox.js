@@ -0,0 +1,149 @@
+/**
+ * Snippet Analyzer Sandbox
+ * 
+ * Extension pages under Manifest V3 may not compile strings, so the panel
+ * hands snippet source to this manifest-declared sandbox page (opaque
+ * origin, no extension APIs) to be syntax-checked and split into its
+ * statements and final completion expression.
+ * 
+ * SECURITY NOTE: Snippets are only ever compiled here, never executed.
+ * Execution happens exclusively in the inspected page.
+ */
+
+/**
+ * Lines the syntax-check script places before the snippet
+ */
+const SCRIPT_PREAMBLE_LINES = 2;
+
+/**
+ * A line starting with one of these tokens continues the previous line's
+ * expression (`'a'\n+ 'b'` is `'a' + 'b'`), so the line break before it
+ * is no statement boundary. `++` and `--` start a new statement.
+ */
+const CONTINUATION_PATTERN = /^(?!\+\+|--)[-+*/%([`.?,=&|<>]/;
+
+/**
+ * Whitespace and comments ahead of the next token
+ */
+const LEADING_TRIVIA_PATTERN = /^(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/;
+
+/**
+ * Snippets run as async function bodies so top-level await is allowed
+ */
+const AsyncFunction = (async function () {}).constructor;
+
+/**
+ * Return true if `body` compiles as an async function body
+ */
+function compiles(body) {
+  try {
+    new AsyncFunction(body);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Locate a syntax error by loading the snippet as an inline script
+ * 
+ * V8 reports no position for Function() syntax errors, but the window
+ * error event carries line and column for scripts. The leading `throw 0`
+ * guarantees that a script which does parse never runs.
+ */
+function locateSyntaxError(code) {
+  let location = null;
+  
+  const onError = (event) => {
+    event.preventDefault();
+    if (event.error !== 0) {
+      location = {
+        message: event.message.replace(/^Uncaught /, ''),
+        line: event.lineno - SCRIPT_PREAMBLE_LINES,
+        column: event.colno
+      };
+    }
+  };
+  
+  window.addEventListener('error', onError);
+  const script = document.createElement('script');
+  script.textContent = `throw 0;\n(async function () {\n${code}\n});`;
+  document.head.appendChild(script);
+  script.remove();
+  window.removeEventListener('error', onError);
+  
+  return location;
+}
+
+/**
+ * Split a snippet into leading statements and a trailing expression
+ * 
+ * Mirrors the console's "completion value": the longest trailing run of
+ * code that is itself an expression, starting at a statement boundary,
+ * becomes the return value. Snippets ending in a loop, declaration etc.
+ * have no completion expression and evaluate to undefined.
+ * 
+ * A line break or `}` followed by a continuation token is skipped, since
+ * splitting there would change what the snippet means.
+ */
+function splitCompletion(code) {
+  const boundaries = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === ';') {
+      boundaries.push(i + 1);
+    } else if ((code[i] === '\n' || code[i] === '}') && !continuesExpression(code.substring(i + 1))) {
+      boundaries.push(i + 1);
+    }
+  }
+  
+  for (const index of boundaries) {
+    const statements = code.substring(0, index);
+    const completion = code.substring(index).replace(/[\s;]+$/, '');
+    
+    if (!completion.trim()) continue;
+    
+    if (compiles(`return (${completion}\n);`) &&
+        compiles(statements) &&
+        compiles(`${statements}\nreturn (${completion}\n);`)) {
+      return { statements, completion };
+    }
+  }
+  
+  return { statements: code, completion: null };
+}
+
+/**
+ * Whether code following a line break or `}` carries on the expression
+ * before it
+ */
+function continuesExpression(rest) {
+  return CONTINUATION_PATTERN.test(rest.replace(LEADING_TRIVIA_PATTERN, ''));
+}
+
+/**
+ * Check a snippet and describe how to evaluate it
+ */
+function analyzeSnippet(code) {
+  if (!compiles(code)) {
+    const location = locateSyntaxError(code);
+    return {
+      ok: false,
+      message: location ? location.message : 'SyntaxError: Invalid snippet',
+      line: location ? location.line : null,
+      column: location ? location.column : null
+    };
+  }
+  
+  return { ok: true, ...splitCompletion(code) };
+}
+
+window.addEventListener('message', (event) => {
+  // Only the embedding panel may use the analyzer
+  if (event.source !== window.parent) return;
+  
+  const { id, type, code } = event.data || {};
+  
+  if (type === 'ANALYZE_SNIPPET') {
+    event.source.postMessage({ id, ...analyzeSnippet(String(code)) }, '*');
+  }
+});